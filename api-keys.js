@@ -0,0 +1,227 @@
+// Admin-managed API keys for the gateway server. A key carries scopes, an optional expiry and
+// the serialized Otter.ai session it acts as, so services never see an Otter.ai password.
+// Only a SHA-256 hash of the secret is stored; the plaintext key is returned once, on creation.
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionStore } = require('./session-store');
+const { AuthenticationError, NotFoundError, ValidationError } = require('./errors');
+
+const KEY_PREFIX = 'otk_';
+const SCOPES = ['read', 'write', 'upload', 'delete'];
+const INDEX_ID = 'index';
+const OWNER_PREFIX = 'owner:'; // owner -> ids of its keys, oldest first
+const RECORD_TTL = 10 * 365 * 24 * 60 * 60 * 1000; // records outlive any key; expiry is checked per key
+const LAST_USED_RESOLUTION = 60 * 1000; // don't write on every request
+
+const _hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// otk_<id>_<secret>: the id locates the record, the secret is checked against its hash
+const _parseKey = (key) => {
+    const match = /^otk_([a-f0-9]{16})_([a-f0-9]{64})$/.exec(String(key || ''));
+    return match ? { id: match[1], secret: match[2] } : null;
+};
+
+// Index records share the store with key records
+const _isKeyId = (id) => /^[a-f0-9]{16}$/.test(String(id));
+
+// Store update that appends `id` to a list unless it is already there
+const _appendId = (id) => (ids) => ((ids || []).includes(id) ? null : [...(ids || []), id]);
+
+const keyStatus = (record, now = Date.now()) => {
+    if (record.revokedAt) {
+        return 'revoked';
+    }
+    if (record.expiresAt && now >= Date.parse(record.expiresAt)) {
+        return 'expired';
+    }
+    return 'active';
+};
+
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError(`scopes must be a non-empty list of ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown scope: ${unknown.join(', ')}. Use ${SCOPES.join(', ')}`);
+    }
+    return Array.from(new Set(scopes));
+};
+
+class ApiKeyStore {
+    // `store` is any SessionStore backend, used as key-value storage for key records
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    async _index() {
+        return (await this.store.get(INDEX_ID)) || [];
+    }
+
+    // Store a new record. The indexes are updated atomically, so concurrent creations all stay listed.
+    async _add(record) {
+        await this.store.set(record.id, record);
+        await this.store.update(INDEX_ID, _appendId(record.id));
+        await this.store.update(OWNER_PREFIX + record.owner, _appendId(record.id));
+        return record;
+    }
+
+    // Change the latest stored copy of a record, so concurrent changes to other fields survive.
+    // `change` edits the record in place, or returns false to leave it as it is.
+    async _modify(id, change) {
+        const record = _isKeyId(id)
+            ? await this.store.update(id, current => (current && change(current) !== false ? current : null))
+            : null;
+        if (!record) {
+            throw new NotFoundError(`No API key found with ID: ${id}`);
+        }
+        return record;
+    }
+
+    async _issue(fields) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(32).toString('hex');
+        const record = await this._add({
+            id,
+            keyHash: _hash(secret),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            replacedBy: null,
+            ...fields
+        });
+        return { record, key: `${KEY_PREFIX}${id}_${secret}` };
+    }
+
+    // `session` is the output of OtterAI#exportSession(); `owner` identifies the key across
+    // rotations (jobs, webhooks and search indexes are tied to it)
+    async create({ name, scopes, session, expiresAt = null }) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            throw new ValidationError('name is required (at most 100 characters)');
+        }
+        if (!session || !session.userid) {
+            throw new ValidationError('An API key must be bound to an Otter.ai session');
+        }
+        if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+            throw new ValidationError('expiresAt must be a date');
+        }
+        const owner = `key_${crypto.randomBytes(8).toString('hex')}`;
+        return this._issue({
+            name: name.trim(),
+            scopes: validateScopes(scopes),
+            session,
+            owner,
+            expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+            rotatedFrom: null
+        });
+    }
+
+    async get(id) {
+        if (!_isKeyId(id)) {
+            return null;
+        }
+        return this.store.get(id);
+    }
+
+    async list() {
+        const records = await Promise.all((await this._index()).map(id => this.store.get(id)));
+        return records.filter(Boolean);
+    }
+
+    // The active key of an owner (the latest rotation), for background work done on its behalf
+    async findActiveByOwner(owner) {
+        const ids = (await this.store.get(OWNER_PREFIX + owner)) || [];
+        const records = await Promise.all(ids.map(id => this.get(id)));
+        return records.filter(record => record && keyStatus(record) === 'active').pop() || null;
+    }
+
+    async _require(id) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new NotFoundError(`No API key found with ID: ${id}`);
+        }
+        return record;
+    }
+
+    // Issue a replacement with the same scopes, session and expiry. The old key keeps working for
+    // `gracePeriod` ms so callers can switch over, or stops immediately without one.
+    async rotate(id, { gracePeriod = 0 } = {}) {
+        const old = await this._require(id);
+        if (keyStatus(old) !== 'active') {
+            throw new ValidationError(`Cannot rotate a ${keyStatus(old)} API key`);
+        }
+        const { record, key } = await this._issue({
+            name: old.name,
+            scopes: old.scopes,
+            session: old.session,
+            owner: old.owner,
+            expiresAt: old.expiresAt,
+            rotatedFrom: old.id
+        });
+
+        const now = Date.now();
+        await this._modify(old.id, (current) => {
+            current.replacedBy = record.id;
+            if (gracePeriod > 0) {
+                const graceEnd = now + gracePeriod;
+                current.expiresAt = new Date(current.expiresAt ? Math.min(Date.parse(current.expiresAt), graceEnd) : graceEnd).toISOString();
+            } else {
+                current.revokedAt = new Date(now).toISOString();
+            }
+        });
+        return { record, key };
+    }
+
+    async revoke(id) {
+        return this._modify(id, (current) => {
+            if (current.revokedAt) {
+                return false;
+            }
+            current.revokedAt = new Date().toISOString();
+        });
+    }
+
+    // Replace the Otter.ai session a key acts as, e.g. after Otter.ai rotated its cookies
+    async updateSession(id, session) {
+        return this._modify(id, (current) => {
+            current.session = session;
+        });
+    }
+
+    // Resolve a presented key to its record, or throw AuthenticationError
+    async verify(key) {
+        const parsed = _parseKey(key);
+        const record = parsed ? await this.get(parsed.id) : null;
+        const expected = record ? Buffer.from(record.keyHash, 'hex') : null;
+        if (!record || !crypto.timingSafeEqual(expected, Buffer.from(_hash(parsed.secret), 'hex'))) {
+            throw new AuthenticationError('Invalid API key');
+        }
+
+        const status = keyStatus(record);
+        if (status !== 'active') {
+            throw new AuthenticationError(`API key has ${status === 'revoked' ? 'been revoked' : 'expired'}`);
+        }
+
+        if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION) {
+            const lastUsedAt = new Date().toISOString();
+            return this._modify(record.id, (current) => {
+                current.lastUsedAt = lastUsedAt;
+            });
+        }
+        return record;
+    }
+}
+
+// Same backend as the session store (SESSION_STORE), kept apart by file or key prefix:
+//   API_KEY_FILE=./data/api-keys.json   (file backend)
+//   REDIS_API_KEY_PREFIX=otter:apikey:  (redis backend)
+const createApiKeyStore = (env = process.env) => new ApiKeyStore({
+    store: createSessionStore({
+        ...env,
+        SESSION_FILE: env.API_KEY_FILE || path.join('data', 'api-keys.json'),
+        REDIS_SESSION_PREFIX: env.REDIS_API_KEY_PREFIX || 'otter:apikey:',
+        SESSION_TIMEOUT: String(RECORD_TTL)
+    })
+});
+
+module.exports = { ApiKeyStore, createApiKeyStore, keyStatus, validateScopes, SCOPES, KEY_PREFIX };
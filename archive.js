@@ -0,0 +1,227 @@
+// Local mirror of an Otter.ai library: normalized transcripts, rendered exports and audio,
+// kept up to date incrementally through a manifest of what has been synced
+const fs = require('fs');
+const path = require('path');
+const { normalizeSpeech } = require('./transcript');
+const { FORMATS: TRANSCRIPT_FORMATS, isTranscriptFormat, renderTranscript } = require('./exporters');
+const { ensureOk, AuthenticationError, RateLimitError, ValidationError } = require('./errors');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const DEFAULT_FORMATS = ['txt', 'srt', 'vtt', 'md'];
+
+// Otter ids are used as directory names, so keep them to a safe character set
+const _safeName = (otid) => String(otid).replace(/[^A-Za-z0-9_-]/g, '_');
+
+const _exists = async (filePath) => {
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+class TranscriptArchive {
+    constructor({ otter, directory, formats = DEFAULT_FORMATS, audio = true, audioFormat = 'mp3', folder = 0, exportOptions = {} }) {
+        if (!directory) {
+            throw new ValidationError('TranscriptArchive requires a directory');
+        }
+        const unknown = formats.filter(format => !isTranscriptFormat(format));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unsupported transcript format: ${unknown.join(', ')}`);
+        }
+        this.otter = otter;
+        this.directory = path.resolve(directory);
+        this.formats = formats;
+        this.audio = audio;
+        this.audioFormat = audioFormat;
+        this.folder = folder;
+        this.exportOptions = exportOptions;
+        this.manifestPath = path.join(this.directory, MANIFEST_FILE);
+    }
+
+    async loadManifest() {
+        try {
+            const manifest = JSON.parse(await fs.promises.readFile(this.manifestPath, 'utf8'));
+            if (manifest.version === MANIFEST_VERSION) {
+                return manifest;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return { version: MANIFEST_VERSION, lastSyncAt: null, speeches: {} };
+    }
+
+    async _saveManifest(manifest) {
+        const tempPath = `${this.manifestPath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+        await fs.promises.rename(tempPath, this.manifestPath);
+    }
+
+    speechDirectory(otid) {
+        return path.join(this.directory, 'speeches', _safeName(otid));
+    }
+
+    _expectedFiles() {
+        const files = ['transcript.json', ...this.formats.map(format => `transcript.${TRANSCRIPT_FORMATS[format].extension}`)];
+        if (this.audio) {
+            files.push(`audio.${this.audioFormat}`);
+        }
+        return files;
+    }
+
+    // A speech needs fetching when it is new, changed upstream, failed last time or misses a file
+    async _needsSync(entry, speech) {
+        if (!entry || entry.error || entry.modifiedTime !== (speech.modified_time ?? null)) {
+            return true;
+        }
+        const directory = this.speechDirectory(speech.otid);
+        for (const file of this._expectedFiles()) {
+            if (!entry.files.includes(file) || !(await _exists(path.join(directory, file)))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async _syncSpeech(speech) {
+        const directory = this.speechDirectory(speech.otid);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const result = ensureOk(await this.otter.getSpeech(speech.otid), 'speech', { 404: `No speech found with ID: ${speech.otid}` });
+        const transcript = normalizeSpeech(result.data);
+        const files = [];
+
+        await fs.promises.writeFile(path.join(directory, 'transcript.json'), JSON.stringify(transcript, null, 2));
+        files.push('transcript.json');
+
+        for (const format of this.formats) {
+            const file = `transcript.${TRANSCRIPT_FORMATS[format].extension}`;
+            await fs.promises.writeFile(path.join(directory, file), renderTranscript(transcript, format, this.exportOptions));
+            files.push(file);
+        }
+
+        if (this.audio) {
+            // downloadSpeech appends the extension to the name it is given
+            ensureOk(await this.otter.downloadSpeech(speech.otid, path.join(directory, 'audio'), this.audioFormat), 'bulk_export');
+            files.push(`audio.${this.audioFormat}`);
+        }
+
+        return files;
+    }
+
+    // Pull new and changed speeches. Speeches deleted upstream keep their files and are
+    // flagged `removed` in the manifest until they are listed again. Progress is saved after
+    // every speech, so an interrupted run resumes where it stopped.
+    async sync({ force = false, dryRun = false, limit = Infinity, onProgress = null } = {}) {
+        const manifest = await this.loadManifest();
+        const listing = ensureOk(await this.otter.getAllSpeechesFromAllSources(this.folder), 'speeches');
+        const bySource = listing.data.speeches_by_source;
+        const failedSources = listing.data.failed_sources || [];
+
+        const remote = [];
+        ['owned', 'shared'].forEach(source => {
+            (bySource[source] || []).forEach(speech => {
+                if (speech.otid) {
+                    remote.push({ speech, source });
+                }
+            });
+        });
+
+        const report = { added: [], updated: [], unchanged: [], removed: [], restored: [], failed: [], dryRun };
+
+        const pending = [];
+        for (const item of remote) {
+            const entry = manifest.speeches[item.speech.otid];
+            // Listed again (restored from the trash, or re-shared): no longer removed
+            if (entry && entry.removed) {
+                report.restored.push(item.speech.otid);
+                if (!dryRun) {
+                    delete entry.removed;
+                    delete entry.removedAt;
+                    entry.source = item.source;
+                }
+            }
+            if (force || await this._needsSync(entry, item.speech)) {
+                pending.push({ ...item, isNew: !entry || !entry.syncedAt });
+            } else {
+                report.unchanged.push(item.speech.otid);
+            }
+        }
+
+        const remoteIds = new Set(remote.map(item => item.speech.otid));
+        const now = new Date().toISOString();
+        Object.entries(manifest.speeches).forEach(([otid, entry]) => {
+            // A source that failed to list says nothing about its speeches
+            if (!remoteIds.has(otid) && !entry.removed && !failedSources.includes(entry.source)) {
+                report.removed.push(otid);
+                if (!dryRun) {
+                    entry.removed = true;
+                    entry.removedAt = now;
+                }
+            }
+        });
+
+        const batch = pending.slice(0, limit);
+        for (let index = 0; index < batch.length; index++) {
+            const { speech, source, isNew } = batch[index];
+            if (onProgress) {
+                onProgress({ otid: speech.otid, title: speech.title || 'Untitled', index, total: batch.length });
+            }
+            if (dryRun) {
+                (isNew ? report.added : report.updated).push(speech.otid);
+                continue;
+            }
+
+            const previous = manifest.speeches[speech.otid] || {};
+            try {
+                const files = await this._syncSpeech(speech);
+                manifest.speeches[speech.otid] = {
+                    title: speech.title || 'Untitled',
+                    source,
+                    createdAt: speech.created_at || null,
+                    modifiedTime: speech.modified_time ?? null,
+                    syncedAt: new Date().toISOString(),
+                    path: path.relative(this.directory, this.speechDirectory(speech.otid)),
+                    files
+                };
+                (isNew ? report.added : report.updated).push(speech.otid);
+            } catch (error) {
+                // Session and rate limit problems affect every speech; stop and keep the progress so far
+                if (error instanceof AuthenticationError || error instanceof RateLimitError) {
+                    await this._saveManifest(manifest);
+                    throw error;
+                }
+                manifest.speeches[speech.otid] = {
+                    files: [],
+                    ...previous,
+                    title: speech.title || 'Untitled',
+                    source,
+                    error: { code: error.code || 'INTERNAL_ERROR', message: error.message, at: new Date().toISOString() }
+                };
+                report.failed.push({ otid: speech.otid, code: error.code || 'INTERNAL_ERROR', message: error.message });
+            }
+            await this._saveManifest(manifest);
+        }
+
+        if (!dryRun) {
+            manifest.lastSyncAt = now;
+            await this._saveManifest(manifest);
+        }
+
+        report.skipped = pending.length - batch.length;
+        return report;
+    }
+}
+
+// Convenience wrapper: syncArchive(otter, { directory, ...options })
+const syncArchive = (otter, { directory, formats, audio, audioFormat, folder, exportOptions, ...syncOptions }) => {
+    const archive = new TranscriptArchive({ otter, directory, formats, audio, audioFormat, folder, exportOptions });
+    return archive.sync(syncOptions);
+};
+
+module.exports = { TranscriptArchive, syncArchive, DEFAULT_FORMATS, MANIFEST_FILE };
@@ -0,0 +1,269 @@
+// Record and replay OtterAI HTTP traffic. In record mode every request and response passes
+// through to Otter.ai and is written, scrubbed of cookies and credentials, to a cassette file;
+// in replay mode responses are served from the cassette without touching the network.
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { ValidationError } = require('./errors');
+
+const CASSETTE_VERSION = 1;
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach a cassette, wherever they appear (query, bodies, headers)
+const SENSITIVE_KEYS = [
+    'password', 'username', 'email', 'authorization', 'cookie', 'set-cookie', 'x-csrftoken', 'csrftoken',
+    'sessionid', 'token', 'access_token', 'refresh_token', 'awsaccesskeyid', 'policy', 'signature',
+    'x-amz-security-token'
+];
+
+// Response headers worth keeping for replay
+const RECORDED_HEADERS = ['content-type', 'content-disposition', 'retry-after', 'location'];
+
+const _isSensitive = (key) => SENSITIVE_KEYS.includes(String(key).toLowerCase());
+
+const scrub = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(scrub);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, _isSensitive(key) ? REDACTED : scrub(item)]));
+    }
+    return value;
+};
+
+// JSON with sorted keys, so equal bodies always produce the same match key
+const _stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(_stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${_stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Request bodies as the adapter sees them: JSON strings, multipart FormData or nothing
+const _requestBody = (data) => {
+    if (data === undefined || data === null || data === '') {
+        return null;
+    }
+    if (typeof data.pipe === 'function' || typeof data.getBoundary === 'function') {
+        return '[multipart]';
+    }
+    if (Buffer.isBuffer(data)) {
+        return `[binary ${data.length} bytes]`;
+    }
+    if (typeof data === 'string') {
+        try {
+            return scrub(JSON.parse(data));
+        } catch (error) {
+            return data;
+        }
+    }
+    return scrub(data);
+};
+
+const _readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+};
+
+class Cassette {
+    // `baseUrls` maps a service name to its base URL, so recordings replay against any host
+    constructor(filePath, { mode = 'replay', baseUrls = {} } = {}) {
+        if (!['record', 'replay'].includes(mode)) {
+            throw new ValidationError(`Unknown cassette mode: ${mode}`);
+        }
+        this.filePath = path.resolve(filePath);
+        this.mode = mode;
+        this.baseUrls = baseUrls;
+        this.interactions = [];
+        this.recordedAt = null;
+        this._played = new Map(); // match key -> interactions served so far
+        this._writes = Promise.resolve();
+
+        if (mode === 'replay') {
+            this._load();
+        }
+    }
+
+    _load() {
+        let cassette;
+        try {
+            cassette = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Cannot read cassette ${this.filePath}: ${error.message}`);
+        }
+        if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+            throw new ValidationError(`Unsupported cassette format in ${this.filePath}`);
+        }
+        this.interactions = cassette.interactions;
+        this.recordedAt = cassette.recordedAt || null;
+    }
+
+    // Service-relative endpoint, e.g. { service: 'api', endpoint: 'speeches' }
+    _endpoint(url) {
+        for (const [service, baseUrl] of Object.entries(this.baseUrls)) {
+            if (baseUrl && url.startsWith(baseUrl)) {
+                return { service, endpoint: url.slice(baseUrl.length) };
+            }
+        }
+        return { service: 'external', endpoint: url };
+    }
+
+    _describeRequest(config) {
+        const url = new URL(config.url, config.baseURL);
+        const query = Object.fromEntries(url.searchParams.entries());
+        Object.entries(config.params || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                query[key] = String(value);
+            }
+        });
+        return {
+            method: (config.method || 'get').toUpperCase(),
+            ...this._endpoint(`${url.origin}${url.pathname}`),
+            query: scrub(query),
+            body: _requestBody(config.data)
+        };
+    }
+
+    _matchKey(request) {
+        return _stableStringify([request.method, request.service, request.endpoint, request.query, request.body]);
+    }
+
+    async _recordResponse(config, response) {
+        let data = response.data;
+        let body = null;
+        let encoding = 'json';
+
+        // Streams are buffered so they can be stored; the caller gets an identical stream back
+        if (data && typeof data.pipe === 'function') {
+            data = await _readStream(data);
+            response.data = Readable.from([data]);
+        }
+        if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+            const buffer = Buffer.from(data);
+            const text = buffer.toString('utf8');
+            try {
+                body = scrub(JSON.parse(text));
+            } catch (error) {
+                body = buffer.toString('base64');
+                encoding = 'base64';
+            }
+        } else if (typeof data === 'string') {
+            try {
+                body = scrub(JSON.parse(data));
+            } catch (error) {
+                body = data;
+                encoding = 'text';
+            }
+        } else if (data !== undefined) {
+            body = scrub(data);
+        }
+
+        const headers = {};
+        RECORDED_HEADERS.forEach(name => {
+            const value = response.headers && (typeof response.headers.get === 'function' ? response.headers.get(name) : response.headers[name]);
+            if (value !== undefined && value !== null) {
+                headers[name] = String(value);
+            }
+        });
+
+        this.interactions.push({
+            request: this._describeRequest(config),
+            response: { status: response.status, headers, encoding, body },
+            recordedAt: new Date().toISOString()
+        });
+        this._save();
+        return response;
+    }
+
+    _save() {
+        // Writes are chained so the file always holds a complete cassette
+        this._writes = this._writes.then(async () => {
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({
+                version: CASSETTE_VERSION,
+                recordedAt: this.interactions.length > 0 ? this.interactions[0].recordedAt : null,
+                interactions: this.interactions
+            }, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this._writes;
+    }
+
+    // Resolves once every recorded interaction is on disk
+    flush() {
+        return this._writes;
+    }
+
+    // Recorded responses for a request are served in order; the last one keeps being served
+    // after that, so polling loops settle on the final recorded state
+    _replayResponse(config) {
+        const request = this._describeRequest(config);
+        const key = this._matchKey(request);
+        const matches = this.interactions.filter(interaction => this._matchKey(interaction.request) === key);
+        if (matches.length === 0) {
+            const query = new URLSearchParams(request.query).toString();
+            throw new Error(`No recorded interaction for ${request.method} ${request.endpoint}${query ? `?${query}` : ''} in ${this.filePath}`);
+        }
+        const played = this._played.get(key) || 0;
+        this._played.set(key, played + 1);
+        const { status, headers, encoding, body } = matches[Math.min(played, matches.length - 1)].response;
+
+        let data;
+        if (encoding === 'base64') {
+            data = Buffer.from(body, 'base64');
+        } else if (encoding === 'text') {
+            data = Buffer.from(body, 'utf8');
+        } else {
+            data = Buffer.from(JSON.stringify(body), 'utf8');
+        }
+        // Match what the http adapter hands to axios for each responseType
+        if (config.responseType === 'stream') {
+            data = Readable.from([data]);
+        } else if (config.responseType !== 'arraybuffer') {
+            data = data.toString('utf8');
+        }
+
+        return {
+            data,
+            status,
+            statusText: String(status),
+            headers: new axios.AxiosHeaders(headers),
+            config,
+            request: {}
+        };
+    }
+
+    // axios adapter: records around the real adapter, or replays without one
+    adapter(realAdapter = axios.getAdapter(axios.defaults.adapter)) {
+        return async (config) => {
+            const response = this.mode === 'replay'
+                ? this._replayResponse(config)
+                : await this._recordResponse(config, await realAdapter(config));
+
+            if (config.validateStatus && !config.validateStatus(response.status)) {
+                throw new axios.AxiosError(`Request failed with status code ${response.status}`,
+                    axios.AxiosError.ERR_BAD_RESPONSE, config, response.request, response);
+            }
+            return response;
+        };
+    }
+}
+
+// Read the interactions of a cassette file, or of every cassette in a directory
+const loadInteractions = (target) => {
+    const stats = fs.statSync(target);
+    const files = stats.isDirectory()
+        ? fs.readdirSync(target).filter(file => file.endsWith('.json')).sort().map(file => path.join(target, file))
+        : [target];
+    return files.flatMap(file => new Cassette(file, { mode: 'replay' }).interactions);
+};
+
+module.exports = { Cassette, loadInteractions, scrub, SENSITIVE_KEYS, REDACTED, CASSETTE_VERSION };
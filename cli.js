@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+// `otter` command line interface: one subcommand per OtterAI client method
+//
+// Credentials come from `otter login` (cached with OTTERAI_CACHE_SECRET) or from
+// OTTERAI_USERNAME / OTTERAI_PASSWORD.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const {
+    OtterAI,
+    CredentialCache,
+    OtterAIException,
+    AuthenticationError,
+    ValidationError,
+    ensureOk,
+    isTranscriptFormat,
+    TRANSCRIPT_FORMATS
+} = require('./otterai');
+
+// Exit codes by error code; anything not listed exits with 1
+const EXIT_CODES = {
+    VALIDATION_ERROR: 2,
+    AUTHENTICATION_FAILED: 3,
+    NOT_FOUND: 4,
+    RATE_LIMITED: 5,
+    CONFLICT: 6
+};
+
+const USAGE = `Usage: otter <command> [options]
+
+Commands:
+  login [--username <email>] [--password <password>]   Log in and cache the session
+  logout                                               Forget the cached session
+  ls [--source owned|shared|all] [--folder <id>] [--limit <n>]
+  show <speech-id>                                     Speech details and transcript
+  search <speech-id> <query> [--size <n>]              Search within a speech
+  upload <file> [--language <xx>] [--folder <id>] [--content-type <type>] [--wait]
+  download <speech-id>... [--folder <id>] [--formats txt,pdf,mp3,docx,srt] [--name <path>]
+  export <speech-id> [--format ${Object.keys(TRANSCRIPT_FORMATS).join('|')}] [--out <file>]
+  trash <speech-id>                                    Move a speech to the trash
+  speakers [create <name>]                             List or create speakers
+  folders                                              List folders
+  groups                                               List groups
+  sync --dir <path> [...]                              Mirror the library locally (see sync.js --help)
+
+Global options:
+  --json                Print JSON instead of tables
+  --help                Show this message
+
+Exit codes: 0 ok, 1 error, 2 invalid usage, 3 not logged in, 4 not found, 5 rate limited, 6 conflict`;
+
+// Split argv into positionals and --options; `flags` lists options that take no value
+const parseArgs = (argv, flags = []) => {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            throw new ValidationError(`${arg} requires a value`);
+        } else {
+            options[name] = argv[++i];
+        }
+    }
+    return { positional, options };
+};
+
+const integerOption = (options, name) => {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(options[name])) {
+        throw new ValidationError(`--${name} must be a non-negative integer`);
+    }
+    return Number(options[name]);
+};
+
+const requireArg = (value, name) => {
+    if (!value) {
+        throw new ValidationError(`Missing <${name}>`);
+    }
+    return value;
+};
+
+// Plain-text table with column widths fitted to the content
+const formatTable = (rows, columns) => {
+    if (rows.length === 0) {
+        return '(none)';
+    }
+    const cell = (value) => (value === null || value === undefined ? '' : String(value));
+    const widths = columns.map(column => Math.max(
+        column.label.length,
+        ...rows.map(row => cell(row[column.key]).length)
+    ));
+    const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        line(columns.map(column => column.label)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(column => cell(row[column.key]))))
+    ].join('\n');
+};
+
+const formatDate = (value) => {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(typeof value === 'number' ? value * 1000 : value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 16).replace('T', ' ');
+};
+
+const formatDuration = (seconds) => {
+    const total = Math.round(Number(seconds) || 0);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+};
+
+const sessionCache = () => (process.env.OTTERAI_CACHE_SECRET ? new CredentialCache() : null);
+
+// Logged-in client from the cached session, falling back to credentials in the environment
+const createClient = async () => {
+    const otter = new OtterAI({
+        username: process.env.OTTERAI_USERNAME || null,
+        password: process.env.OTTERAI_PASSWORD || null,
+        sessionCache: sessionCache(),
+        ...OtterAI.endpointsFromEnv()
+    });
+    if (!(await otter.ensureSession())) {
+        throw new AuthenticationError('Not logged in. Run `otter login` or set OTTERAI_USERNAME and OTTERAI_PASSWORD.');
+    }
+    return otter;
+};
+
+const prompt = (question, { hidden = false } = {}) => {
+    // Hidden input: echo is suppressed by writing through a muted stream
+    const output = hidden ? new Writable({ write: (chunk, encoding, callback) => callback() }) : process.stderr;
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+    if (hidden) {
+        process.stderr.write(question);
+    }
+    return new Promise(resolve => rl.question(question, answer => {
+        rl.close();
+        if (hidden) {
+            process.stderr.write('\n');
+        }
+        resolve(answer);
+    }));
+};
+
+// Each command returns { data, table } where `table` renders the data for humans
+const commands = {
+    async login(args) {
+        const { options } = parseArgs(args);
+        const cache = sessionCache();
+        if (!cache) {
+            throw new ValidationError('Set OTTERAI_CACHE_SECRET so the session can be cached');
+        }
+        const username = options.username || process.env.OTTERAI_USERNAME || await prompt('Username: ');
+        const password = options.password || process.env.OTTERAI_PASSWORD || await prompt('Password: ', { hidden: true });
+        if (!username || !password) {
+            throw new ValidationError('Username and password are required');
+        }
+
+        const otter = new OtterAI({ sessionCache: cache, ...OtterAI.endpointsFromEnv() });
+        ensureOk(await otter.login(username, password), 'login', { 401: 'Invalid username or password' });
+        return {
+            data: { userid: otter.userid, username, cache: cache.filePath },
+            table: () => `Logged in as ${username} (session cached in ${cache.filePath})`
+        };
+    },
+
+    async logout() {
+        const cache = sessionCache();
+        if (cache) {
+            await cache.clear();
+        }
+        return { data: { success: true }, table: () => 'Logged out' };
+    },
+
+    async ls(args) {
+        const { options } = parseArgs(args);
+        const source = options.source || 'all';
+        if (!['owned', 'shared', 'all'].includes(source)) {
+            throw new ValidationError('--source must be owned, shared or all');
+        }
+        const folder = integerOption(options, 'folder') || 0;
+        const limit = integerOption(options, 'limit');
+
+        const otter = await createClient();
+        const speeches = [];
+        for (const current of source === 'all' ? ['owned', 'shared'] : [source]) {
+            const remaining = limit === undefined ? Infinity : limit - speeches.length;
+            for await (const speech of otter.iterateSpeeches({ folder, source: current, limit: remaining })) {
+                speeches.push({
+                    otid: speech.otid,
+                    title: speech.title || 'Untitled',
+                    created_at: speech.created_at || null,
+                    duration: speech.duration || 0,
+                    source: current
+                });
+            }
+        }
+        return {
+            data: speeches,
+            table: () => formatTable(speeches.map(speech => ({
+                ...speech,
+                created_at: formatDate(speech.created_at),
+                duration: formatDuration(speech.duration)
+            })), [
+                { key: 'otid', label: 'ID' },
+                { key: 'title', label: 'TITLE' },
+                { key: 'created_at', label: 'CREATED' },
+                { key: 'duration', label: 'DURATION' },
+                { key: 'source', label: 'SOURCE' }
+            ])
+        };
+    },
+
+    async show(args) {
+        const speechId = requireArg(parseArgs(args).positional[0], 'speech-id');
+        const otter = await createClient();
+        const transcript = ensureOk(await otter.getTranscript(speechId), 'speech', { 404: `No speech found with ID: ${speechId}` }).data;
+        return {
+            data: transcript,
+            table: () => [
+                `Title:    ${transcript.title}`,
+                `ID:       ${transcript.speechId}`,
+                `Created:  ${formatDate(transcript.createdAt)}`,
+                `Duration: ${formatDuration(transcript.duration)}`,
+                `Speakers: ${transcript.speakerNames.join(', ') || '-'}`,
+                '',
+                ...transcript.segments.map(segment =>
+                    `[${formatDuration(segment.start)}] ${segment.speaker || 'Unknown Speaker'}: ${segment.text}`)
+            ].join('\n')
+        };
+    },
+
+    async search(args) {
+        const { positional, options } = parseArgs(args);
+        const speechId = requireArg(positional[0], 'speech-id');
+        const query = requireArg(positional.slice(1).join(' '), 'query');
+        const size = integerOption(options, 'size') || 500;
+
+        const otter = await createClient();
+        const result = ensureOk(await otter.querySpeech(query, speechId, size), 'advanced_search').data;
+        const hits = result.hits || result.matches || [];
+        return {
+            data: result,
+            table: () => formatTable(hits.map(hit => ({
+                start: hit.start_offset !== undefined ? formatDuration(hit.start_offset / 16000) : '',
+                text: hit.transcript || hit.text || JSON.stringify(hit)
+            })), [
+                { key: 'start', label: 'AT' },
+                { key: 'text', label: 'MATCH' }
+            ])
+        };
+    },
+
+    async upload(args) {
+        const { positional, options } = parseArgs(args, ['wait']);
+        const filePath = requireArg(positional[0], 'file');
+        if (!fs.existsSync(filePath)) {
+            throw new ValidationError(`File not found: ${filePath}`);
+        }
+        const folderId = integerOption(options, 'folder');
+
+        const otter = await createClient();
+        const result = ensureOk(await otter.uploadSpeech(filePath, {
+            contentType: options.contentType,
+            language: options.language,
+            folderId: folderId === undefined ? null : folderId,
+            waitForTranscription: Boolean(options.wait),
+            onProgress: (event) => {
+                if (process.stderr.isTTY && event.percent !== null && event.percent !== undefined) {
+                    process.stderr.write(`\r${event.phase} ${event.percent}%   `);
+                }
+            }
+        }), 'finish_speech_upload').data;
+        if (process.stderr.isTTY) {
+            process.stderr.write('\n');
+        }
+        return {
+            data: result,
+            table: () => `Uploaded ${path.basename(filePath)} as ${result.otid}`
+        };
+    },
+
+    async download(args) {
+        const { positional, options } = parseArgs(args);
+        const folder = integerOption(options, 'folder');
+        if (folder === undefined) {
+            requireArg(positional[0], 'speech-id');
+        }
+        const otter = await createClient();
+
+        if (positional.length === 1 && folder === undefined) {
+            const result = ensureOk(await otter.downloadSpeech(positional[0], options.name || null, options.formats), 'bulk_export').data;
+            return { data: result, table: () => `Saved ${result.filename}` };
+        }
+
+        // Several speeches or a folder come back as one zip
+        const filename = `${options.name || 'otter-export'}.zip`;
+        const output = fs.createWriteStream(`${filename}.part`);
+        let result;
+        try {
+            result = ensureOk(await otter.exportSpeeches(positional.length > 0 ? positional : null, {
+                folder: folder === undefined ? null : folder,
+                formats: options.formats,
+                destination: output
+            }), 'bulk_export').data;
+        } catch (error) {
+            output.destroy();
+            await fs.promises.unlink(`${filename}.part`).catch(() => {});
+            throw error;
+        }
+        await fs.promises.rename(`${filename}.part`, filename);
+        const data = { filename, speech_ids: result.otids, size: result.size };
+        const count = result.otids.length;
+        return { data, table: () => `Saved ${count} ${count === 1 ? 'speech' : 'speeches'} to ${filename}` };
+    },
+
+    async export(args) {
+        const { positional, options } = parseArgs(args);
+        const speechId = requireArg(positional[0], 'speech-id');
+        const format = options.format || 'txt';
+        if (!isTranscriptFormat(format)) {
+            throw new ValidationError(`--format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+        }
+
+        const otter = await createClient();
+        const rendered = ensureOk(await otter.exportTranscript(speechId, format), 'speech', { 404: `No speech found with ID: ${speechId}` }).data;
+        if (options.out) {
+            await fs.promises.writeFile(options.out, rendered);
+            return { data: { speech_id: speechId, format, file: options.out }, table: () => `Saved ${options.out}` };
+        }
+        // Without --out the rendered transcript itself is the output, whatever the mode
+        return { raw: rendered };
+    },
+
+    async trash(args) {
+        const speechId = requireArg(parseArgs(args).positional[0], 'speech-id');
+        const otter = await createClient();
+        ensureOk(await otter.moveToTrashBin(speechId), 'move_to_trash_bin', { 404: `No speech found with ID: ${speechId}` });
+        return { data: { speech_id: speechId, trashed: true }, table: () => `Moved ${speechId} to the trash` };
+    },
+
+    async speakers(args) {
+        const { positional } = parseArgs(args);
+        const otter = await createClient();
+
+        if (positional[0] === 'create') {
+            const name = requireArg(positional.slice(1).join(' '), 'name');
+            const result = ensureOk(await otter.createSpeaker(name), 'create_speaker').data;
+            return { data: result, table: () => `Created speaker ${name}` };
+        }
+        if (positional.length > 0) {
+            throw new ValidationError(`Unknown speakers subcommand: ${positional[0]}`);
+        }
+
+        const speakers = ensureOk(await otter.getSpeakers(), 'speakers').data.speakers || [];
+        return {
+            data: speakers,
+            table: () => formatTable(speakers.map(speaker => ({
+                id: speaker.id,
+                name: speaker.speaker_name || speaker.name
+            })), [
+                { key: 'id', label: 'ID' },
+                { key: 'name', label: 'NAME' }
+            ])
+        };
+    },
+
+    async folders() {
+        const otter = await createClient();
+        const folders = ensureOk(await otter.getFolders(), 'folders').data.folders || [];
+        return {
+            data: folders,
+            table: () => formatTable(folders.map(folder => ({
+                id: folder.id,
+                name: folder.folder_name || folder.name,
+                speeches: folder.speech_count
+            })), [
+                { key: 'id', label: 'ID' },
+                { key: 'name', label: 'NAME' },
+                { key: 'speeches', label: 'SPEECHES' }
+            ])
+        };
+    },
+
+    async groups() {
+        const otter = await createClient();
+        const groups = ensureOk(await otter.listGroups(), 'list_groups').data.groups || [];
+        return {
+            data: groups,
+            table: () => formatTable(groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                members: group.member_count
+            })), [
+                { key: 'id', label: 'ID' },
+                { key: 'name', label: 'NAME' },
+                { key: 'members', label: 'MEMBERS' }
+            ])
+        };
+    }
+};
+
+const main = async (argv = process.argv.slice(2)) => {
+    const json = argv.includes('--json');
+    const args = argv.filter(arg => arg !== '--json');
+    const [command, ...rest] = args;
+
+    if (!command || command === '--help' || command === 'help') {
+        console.log(USAGE);
+        return command ? 0 : 2;
+    }
+    const sync = command === 'sync';
+    if (!sync && rest.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!sync && !Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        // sync reports its own results and usage errors; anything it throws is mapped below
+        if (sync) {
+            return await require('./sync').main(rest);
+        }
+        const result = await commands[command](rest);
+        if (result.raw !== undefined) {
+            process.stdout.write(result.raw.endsWith('\n') ? result.raw : `${result.raw}\n`);
+        } else {
+            console.log(json ? JSON.stringify(result.data, null, 2) : result.table());
+        }
+        return 0;
+    } catch (error) {
+        const code = error instanceof OtterAIException ? error.code : 'INTERNAL_ERROR';
+        if (json) {
+            console.error(JSON.stringify({ error: code, message: error.message }));
+        } else {
+            console.error(`otter ${command}: ${error.message}`);
+        }
+        return EXIT_CODES[code] || 1;
+    }
+};
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`otter: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, commands, parseArgs, formatTable, EXIT_CODES };
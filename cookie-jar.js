@@ -0,0 +1,266 @@
+// Minimal RFC 6265 cookie jar used by the OtterAI HTTP layer
+
+const _canonicalDomain = (domain) => String(domain || '').trim().replace(/^\./, '').toLowerCase();
+
+// RFC 6265 5.1.3
+const domainMatches = (host, domain) => {
+    host = _canonicalDomain(host);
+    domain = _canonicalDomain(domain);
+    if (host === domain) {
+        return true;
+    }
+    return host.endsWith('.' + domain) && !/^\d+\.\d+\.\d+\.\d+$/.test(host);
+};
+
+// RFC 6265 5.1.4
+const defaultPath = (pathname) => {
+    if (!pathname || pathname[0] !== '/') {
+        return '/';
+    }
+    const lastSlash = pathname.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+};
+
+const pathMatches = (requestPath, cookiePath) => {
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    if (requestPath.startsWith(cookiePath)) {
+        return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+    }
+    return false;
+};
+
+// Parse one Set-Cookie header value (RFC 6265 5.2). Returns null for headers that must be ignored.
+const parseSetCookie = (header, now = Date.now()) => {
+    const [nameValuePair, ...attributes] = String(header).split(';');
+    const separator = nameValuePair.indexOf('=');
+    if (separator === -1) {
+        return null;
+    }
+
+    const name = nameValuePair.slice(0, separator).trim();
+    const value = nameValuePair.slice(separator + 1).trim();
+    if (!name) {
+        return null;
+    }
+
+    const cookie = {
+        name,
+        value,
+        domain: null,
+        path: null,
+        expires: null,
+        secure: false,
+        httpOnly: false,
+        sameSite: null
+    };
+    let maxAge = null;
+
+    attributes.forEach(attribute => {
+        const index = attribute.indexOf('=');
+        const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+        const attributeValue = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+        switch (key) {
+            case 'expires': {
+                const time = Date.parse(attributeValue);
+                if (!Number.isNaN(time)) {
+                    cookie.expires = time;
+                }
+                break;
+            }
+            case 'max-age':
+                if (/^-?\d+$/.test(attributeValue)) {
+                    maxAge = parseInt(attributeValue, 10);
+                }
+                break;
+            case 'domain':
+                if (attributeValue) {
+                    cookie.domain = _canonicalDomain(attributeValue);
+                }
+                break;
+            case 'path':
+                cookie.path = attributeValue.startsWith('/') ? attributeValue : null;
+                break;
+            case 'secure':
+                cookie.secure = true;
+                break;
+            case 'httponly':
+                cookie.httpOnly = true;
+                break;
+            case 'samesite':
+                cookie.sameSite = attributeValue || null;
+                break;
+            default:
+                break;
+        }
+    });
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+        cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000;
+    }
+
+    return cookie;
+};
+
+class CookieJar {
+    constructor() {
+        this._cookies = new Map();
+    }
+
+    _key(cookie) {
+        return `${cookie.domain};${cookie.path};${cookie.name}`;
+    }
+
+    _isExpired(cookie, now = Date.now()) {
+        return cookie.expires !== null && cookie.expires <= now;
+    }
+
+    // Store a Set-Cookie header received from requestUrl. Returns the stored cookie or null.
+    setCookie(header, requestUrl, now = Date.now()) {
+        const url = new URL(requestUrl);
+        const parsed = parseSetCookie(header, now);
+        if (!parsed) {
+            return null;
+        }
+
+        const host = url.hostname.toLowerCase();
+        let hostOnly = true;
+        if (parsed.domain) {
+            // Reject cookies for domains the response host does not belong to
+            if (!domainMatches(host, parsed.domain)) {
+                return null;
+            }
+            hostOnly = false;
+        }
+
+        const cookie = {
+            ...parsed,
+            domain: parsed.domain || host,
+            path: parsed.path || defaultPath(url.pathname),
+            hostOnly,
+            createdAt: now
+        };
+
+        const key = this._key(cookie);
+        const existing = this._cookies.get(key);
+        if (existing) {
+            cookie.createdAt = existing.createdAt;
+        }
+
+        if (this._isExpired(cookie, now)) {
+            this._cookies.delete(key);
+            return cookie;
+        }
+
+        this._cookies.set(key, cookie);
+        return cookie;
+    }
+
+    // Store every Set-Cookie header of an axios response
+    setFromResponse(response) {
+        const headers = response && response.headers ? response.headers['set-cookie'] : null;
+        const config = response ? response.config || {} : {};
+        if (!headers || !config.url) {
+            return [];
+        }
+        const requestUrl = new URL(config.url, config.baseURL).toString();
+        const setCookies = Array.isArray(headers) ? headers : [headers];
+        return setCookies.map(header => this.setCookie(header, requestUrl)).filter(Boolean);
+    }
+
+    // Cookies to send to requestUrl, most specific path first (RFC 6265 5.4)
+    getCookies(requestUrl, now = Date.now()) {
+        const url = new URL(requestUrl);
+        const host = url.hostname.toLowerCase();
+        const secure = url.protocol === 'https:';
+
+        return Array.from(this._cookies.values())
+            .filter(cookie => !this._isExpired(cookie, now))
+            .filter(cookie => cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain))
+            .filter(cookie => pathMatches(url.pathname || '/', cookie.path))
+            .filter(cookie => !cookie.secure || secure)
+            .sort((a, b) => (b.path.length - a.path.length) || (a.createdAt - b.createdAt));
+    }
+
+    getCookieString(requestUrl) {
+        return this.getCookies(requestUrl).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    // Value of the named cookie, optionally scoped to a URL
+    get(name, requestUrl = null) {
+        const candidates = requestUrl
+            ? this.getCookies(requestUrl)
+            : Array.from(this._cookies.values()).filter(cookie => !this._isExpired(cookie));
+        const match = candidates
+            .filter(cookie => cookie.name === name)
+            .sort((a, b) => b.createdAt - a.createdAt)[0];
+        return match ? match.value : undefined;
+    }
+
+    // Add a plain name/value cookie for a domain (used to restore legacy sessions)
+    set(name, value, { domain, path = '/', expires = null, secure = false, hostOnly = false } = {}) {
+        const cookie = {
+            name,
+            value: String(value),
+            domain: _canonicalDomain(domain),
+            path,
+            expires,
+            secure,
+            httpOnly: false,
+            sameSite: null,
+            hostOnly,
+            createdAt: Date.now()
+        };
+        this._cookies.set(this._key(cookie), cookie);
+        return cookie;
+    }
+
+    removeExpired(now = Date.now()) {
+        for (const [key, cookie] of this._cookies.entries()) {
+            if (this._isExpired(cookie, now)) {
+                this._cookies.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this._cookies.clear();
+    }
+
+    // name -> value map of the live cookies
+    toObject() {
+        const values = {};
+        Array.from(this._cookies.values())
+            .filter(cookie => !this._isExpired(cookie))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(cookie => {
+                values[cookie.name] = cookie.value;
+            });
+        return values;
+    }
+
+    toJSON() {
+        this.removeExpired();
+        return Array.from(this._cookies.values()).map(cookie => ({ ...cookie }));
+    }
+
+    static fromJSON(cookies = []) {
+        const jar = new CookieJar();
+        cookies.forEach(cookie => {
+            jar._cookies.set(jar._key(cookie), { ...cookie });
+        });
+        jar.removeExpired();
+        return jar;
+    }
+}
+
+module.exports = {
+    CookieJar,
+    parseSetCookie,
+    domainMatches,
+    pathMatches,
+    defaultPath
+};
@@ -0,0 +1,73 @@
+// Encrypted on-disk cache for exported OtterAI sessions (AES-256-GCM, scrypt-derived key)
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CACHE_PATH = path.join(os.homedir(), '.otterai', 'session.enc');
+const FORMAT_VERSION = 1;
+
+class CredentialCache {
+    constructor({ filePath = process.env.OTTERAI_SESSION_CACHE || DEFAULT_CACHE_PATH, secret = process.env.OTTERAI_CACHE_SECRET } = {}) {
+        if (!secret) {
+            throw new Error('CredentialCache requires a secret (or OTTERAI_CACHE_SECRET)');
+        }
+        this.filePath = path.resolve(filePath);
+        this._secret = secret;
+    }
+
+    _key(salt) {
+        return crypto.scryptSync(this._secret, salt, 32);
+    }
+
+    async save(session) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._key(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+
+        const payload = {
+            v: FORMAT_VERSION,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+        await fs.promises.writeFile(this.filePath, JSON.stringify(payload), { mode: 0o600 });
+    }
+
+    // Returns the cached session, or null when there is none or it cannot be decrypted
+    async load() {
+        let payload;
+        try {
+            payload = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!payload || payload.v !== FORMAT_VERSION) {
+            return null;
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(
+                'aes-256-gcm',
+                this._key(Buffer.from(payload.salt, 'base64')),
+                Buffer.from(payload.iv, 'base64')
+            );
+            decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async clear() {
+        await fs.promises.rm(this.filePath, { force: true });
+    }
+}
+
+module.exports = { CredentialCache, DEFAULT_CACHE_PATH };
@@ -0,0 +1,155 @@
+// Error hierarchy shared by the OtterAI client and the API server.
+// `status` is the HTTP status Otter.ai answered with (null when no response was received),
+// `endpoint` the Otter.ai endpoint that was called and `body` the response body.
+
+class OtterAIException extends Error {
+    constructor(message, { status = null, endpoint = null, body = null, cause = null } = {}) {
+        super(message);
+        this.name = 'OtterAIException';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.body = body;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+
+    // HTTP status and error code the API server answers with
+    static httpStatus = 500;
+    static code = 'OTTERAI_ERROR';
+
+    get httpStatus() {
+        return this.constructor.httpStatus;
+    }
+
+    get code() {
+        return this.constructor.code;
+    }
+}
+
+class AuthenticationError extends OtterAIException {
+    static httpStatus = 401;
+    static code = 'AUTHENTICATION_FAILED';
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthenticationError';
+    }
+}
+
+class NotFoundError extends OtterAIException {
+    static httpStatus = 404;
+    static code = 'NOT_FOUND';
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+class RateLimitError extends OtterAIException {
+    static httpStatus = 429;
+    static code = 'RATE_LIMITED';
+
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter; // seconds, when Otter.ai sent Retry-After
+    }
+}
+
+class UpstreamError extends OtterAIException {
+    static httpStatus = 502;
+    static code = 'UPSTREAM_ERROR';
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamError';
+    }
+}
+
+class ValidationError extends OtterAIException {
+    static httpStatus = 400;
+    static code = 'VALIDATION_ERROR';
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ValidationError';
+    }
+}
+
+// Authenticated, but not allowed to do this (e.g. an API key without the required scope)
+class PermissionError extends OtterAIException {
+    static httpStatus = 403;
+    static code = 'FORBIDDEN';
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PermissionError';
+    }
+}
+
+// The speech changed since the client last read it (optimistic concurrency)
+class ConflictError extends OtterAIException {
+    static httpStatus = 409;
+    static code = 'CONFLICT';
+
+    constructor(message, { currentModifiedTime = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'ConflictError';
+        this.currentModifiedTime = currentModifiedTime;
+    }
+}
+
+// Build the matching error for a non-2xx axios response or `{status, data}` envelope
+const errorFromResponse = (response, endpoint, message = null) => {
+    const status = response.status;
+    const body = response.data !== undefined ? response.data : null;
+    const details = { status, endpoint, body };
+    const text = message || `Otter.ai ${endpoint} responded with status ${status}`;
+
+    if (status === 401 || status === 403) {
+        return new AuthenticationError(text, details);
+    }
+    if (status === 404) {
+        return new NotFoundError(text, details);
+    }
+    if (status === 409) {
+        return new ConflictError(text, details);
+    }
+    if (status === 429) {
+        const header = response.headers ? response.headers['retry-after'] : undefined;
+        const retryAfter = header !== undefined && /^\d+$/.test(String(header)) ? parseInt(header, 10) : null;
+        return new RateLimitError(text, { ...details, retryAfter });
+    }
+    if (status === 400 || status === 422) {
+        return new ValidationError(text, details);
+    }
+    if (status >= 500 || status === 408) {
+        return new UpstreamError(text, details);
+    }
+    return new OtterAIException(text, details);
+};
+
+// Pass 2xx envelopes through, throw the typed error for anything else.
+// `messages` optionally maps a status to a friendlier message, e.g. { 404: 'No such speech' }.
+const ensureOk = (result, endpoint, messages = {}) => {
+    if (result && result.status >= 200 && result.status < 300) {
+        return result;
+    }
+    const response = result || { status: null };
+    throw errorFromResponse(response, endpoint, messages[response.status] || null);
+};
+
+module.exports = {
+    OtterAIException,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError,
+    ValidationError,
+    ConflictError,
+    PermissionError,
+    errorFromResponse,
+    ensureOk
+};
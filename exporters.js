@@ -0,0 +1,310 @@
+// Local transcript renderers (SRT, WebVTT, plain text, Markdown and JSON)
+const { Transcript, TranscriptSegment, normalizeSpeech } = require('./transcript');
+
+const DEFAULT_OPTIONS = {
+    maxLineLength: 42,      // characters per subtitle line
+    maxLines: 2,            // lines per subtitle cue
+    mergeSpeakers: false,   // merge consecutive segments from the same speaker
+    granularity: 'ms',      // timestamp precision: 'ms', 's' or 'none'
+    speakerLabels: true     // prefix subtitle cues with the speaker name
+};
+
+const GRANULARITIES = ['ms', 's', 'none'];
+
+const _resolveOptions = (options = {}) => {
+    const resolved = { ...DEFAULT_OPTIONS };
+    Object.keys(options).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) {
+            resolved[key] = options[key];
+        }
+    });
+
+    resolved.maxLineLength = parseInt(resolved.maxLineLength, 10);
+    resolved.maxLines = parseInt(resolved.maxLines, 10);
+
+    if (!Number.isInteger(resolved.maxLineLength) || resolved.maxLineLength < 10) {
+        throw new RangeError('maxLineLength must be an integer of at least 10');
+    }
+    if (!Number.isInteger(resolved.maxLines) || resolved.maxLines < 1) {
+        throw new RangeError('maxLines must be a positive integer');
+    }
+    if (!GRANULARITIES.includes(resolved.granularity)) {
+        throw new RangeError(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    return resolved;
+};
+
+const _toTranscript = (input) => {
+    return input instanceof Transcript ? input : normalizeSpeech(input);
+};
+
+const _roundTime = (seconds, granularity) => {
+    if (granularity === 's') {
+        return Math.round(seconds);
+    }
+    return Math.round(seconds * 1000) / 1000;
+};
+
+// HH:MM:SS followed by `separator` and milliseconds unless the granularity is whole seconds
+const formatTimestamp = (seconds, separator = '.', granularity = 'ms') => {
+    const totalMs = Math.max(0, Math.round(_roundTime(seconds, granularity) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    const base = `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+    return separator === null ? base : `${base}${separator}${pad(ms, 3)}`;
+};
+
+const mergeSpeakerSegments = (segments) => {
+    const merged = [];
+    segments.forEach(segment => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.speaker === segment.speaker && previous.speakerId === segment.speakerId) {
+            merged[merged.length - 1] = new TranscriptSegment({
+                id: previous.id,
+                speakerId: previous.speakerId,
+                speaker: previous.speaker,
+                start: previous.start,
+                end: Math.max(previous.end, segment.end),
+                text: [previous.text, segment.text].filter(Boolean).join(' '),
+                words: [...previous.words, ...segment.words],
+                confidence: previous.confidence
+            });
+        } else {
+            merged.push(segment);
+        }
+    });
+    return merged;
+};
+
+const _segments = (transcript, options) => {
+    return options.mergeSpeakers ? mergeSpeakerSegments(transcript.segments) : transcript.segments;
+};
+
+const wrapText = (text, maxLineLength) => {
+    const lines = [];
+    let current = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if (current && (current.length + 1 + word.length) > maxLineLength) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    });
+    if (current) {
+        lines.push(current);
+    }
+    return lines;
+};
+
+// Split a segment into cues that fit in maxLines x maxLineLength characters.
+// Word timings are used when available, otherwise time is shared out by character count.
+const _segmentCues = (segment, options) => {
+    const maxChars = options.maxLineLength * options.maxLines;
+    const words = segment.words.length > 0
+        ? segment.words
+        : segment.text.split(/\s+/).filter(Boolean).map(text => ({ text, start: null, end: null }));
+
+    if (words.length === 0) {
+        return [];
+    }
+
+    const totalChars = words.reduce((sum, word) => sum + word.text.length, 0) || 1;
+    let elapsedChars = 0;
+    const timed = words.map(word => {
+        if (word.start !== null && word.end !== null) {
+            return word;
+        }
+        const start = segment.start + (segment.duration * elapsedChars) / totalChars;
+        elapsedChars += word.text.length;
+        const end = segment.start + (segment.duration * elapsedChars) / totalChars;
+        return { text: word.text, start, end };
+    });
+
+    const cues = [];
+    let chunk = [];
+    let chunkLength = 0;
+    const flush = () => {
+        if (chunk.length > 0) {
+            cues.push({
+                speaker: segment.speaker,
+                start: chunk[0].start,
+                end: chunk[chunk.length - 1].end,
+                text: chunk.map(word => word.text).join(' ')
+            });
+        }
+        chunk = [];
+        chunkLength = 0;
+    };
+
+    timed.forEach(word => {
+        const addedLength = chunkLength === 0 ? word.text.length : chunkLength + 1 + word.text.length;
+        if (chunk.length > 0 && addedLength > maxChars) {
+            flush();
+        }
+        chunkLength = chunkLength === 0 ? word.text.length : chunkLength + 1 + word.text.length;
+        chunk.push(word);
+    });
+    flush();
+
+    return cues;
+};
+
+const _cues = (transcript, options) => {
+    const cues = [];
+    _segments(transcript, options).forEach(segment => {
+        cues.push(..._segmentCues(segment, options));
+    });
+    return cues;
+};
+
+const _cueLines = (cue, options, speakerPrefix) => {
+    const speaker = options.speakerLabels && cue.speaker ? speakerPrefix(cue.speaker) : '';
+    const lines = wrapText(cue.text, options.maxLineLength);
+    if (speaker) {
+        lines[0] = `${speaker}${lines[0]}`;
+    }
+    return lines;
+};
+
+// Subtitles always carry timestamps, so 'none' falls back to millisecond precision
+const _subtitleGranularity = (options) => options.granularity === 'none' ? 'ms' : options.granularity;
+
+const toSrt = (input, options = {}) => {
+    const opts = _resolveOptions(options);
+    const transcript = _toTranscript(input);
+    const granularity = _subtitleGranularity(opts);
+
+    return _cues(transcript, opts).map((cue, index) => {
+        const start = formatTimestamp(cue.start, ',', granularity);
+        const end = formatTimestamp(cue.end, ',', granularity);
+        const lines = _cueLines(cue, opts, speaker => `${speaker}: `);
+        return `${index + 1}\n${start} --> ${end}\n${lines.join('\n')}\n`;
+    }).join('\n');
+};
+
+const _escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toVtt = (input, options = {}) => {
+    const opts = _resolveOptions(options);
+    const transcript = _toTranscript(input);
+    const granularity = _subtitleGranularity(opts);
+
+    const cues = _cues(transcript, opts).map(cue => {
+        const start = formatTimestamp(cue.start, '.', granularity);
+        const end = formatTimestamp(cue.end, '.', granularity);
+        const escaped = { ...cue, text: _escapeVtt(cue.text) };
+        const lines = _cueLines(escaped, opts, speaker => `<v ${_escapeVtt(speaker)}>`);
+        return `${start} --> ${end}\n${lines.join('\n')}\n`;
+    });
+
+    return ['WEBVTT\n', ...cues].join('\n');
+};
+
+const _timestampLabel = (seconds, options) => {
+    if (options.granularity === 'none') {
+        return '';
+    }
+    return formatTimestamp(seconds, options.granularity === 'ms' ? '.' : null, options.granularity);
+};
+
+const toText = (input, options = {}) => {
+    const opts = _resolveOptions(options);
+    const transcript = _toTranscript(input);
+
+    const lines = _segments(transcript, opts).map(segment => {
+        const timestamp = _timestampLabel(segment.start, opts);
+        const prefix = [
+            timestamp ? `[${timestamp}]` : '',
+            segment.speaker ? `${segment.speaker}:` : ''
+        ].filter(Boolean).join(' ');
+        return prefix ? `${prefix} ${segment.text}` : segment.text;
+    });
+
+    return lines.join('\n\n') + '\n';
+};
+
+const toMarkdown = (input, options = {}) => {
+    const opts = _resolveOptions(options);
+    const transcript = _toTranscript(input);
+    const output = [`# ${transcript.title}`, ''];
+
+    const details = [];
+    if (transcript.createdAt) {
+        details.push(`- **Date:** ${transcript.createdAt}`);
+    }
+    if (transcript.duration) {
+        details.push(`- **Duration:** ${formatTimestamp(transcript.duration, null, 's')}`);
+    }
+    if (transcript.speakers.length > 0) {
+        details.push(`- **Speakers:** ${transcript.speakerNames.join(', ')}`);
+    }
+    if (details.length > 0) {
+        output.push(...details, '');
+    }
+
+    if (transcript.summary) {
+        output.push('## Summary', '', transcript.summary, '');
+    }
+
+    output.push('## Transcript', '');
+    _segments(transcript, opts).forEach(segment => {
+        const timestamp = _timestampLabel(segment.start, opts);
+        const heading = [
+            segment.speaker ? `**${segment.speaker}**` : '',
+            timestamp ? `\`${timestamp}\`` : ''
+        ].filter(Boolean).join(' ');
+        if (heading) {
+            output.push(heading, '');
+        }
+        output.push(segment.text, '');
+    });
+
+    return output.join('\n');
+};
+
+const toJson = (input, options = {}) => {
+    const opts = _resolveOptions(options);
+    const transcript = _toTranscript(input);
+    const canonical = opts.mergeSpeakers
+        ? new Transcript({ ...transcript, segments: _segments(transcript, opts) })
+        : transcript;
+    return JSON.stringify(canonical, null, 2) + '\n';
+};
+
+const FORMATS = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', render: toSrt },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: toVtt },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: toText },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: toMarkdown },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: toJson }
+};
+
+// Own keys only, so names like "constructor" are not taken for formats
+const isTranscriptFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+const renderTranscript = (input, format, options = {}) => {
+    if (!isTranscriptFormat(format)) {
+        throw new RangeError(`Unsupported transcript format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return FORMATS[format].render(input, options);
+};
+
+module.exports = {
+    FORMATS,
+    DEFAULT_OPTIONS,
+    GRANULARITIES,
+    isTranscriptFormat,
+    renderTranscript,
+    toSrt,
+    toVtt,
+    toText,
+    toMarkdown,
+    toJson,
+    formatTimestamp,
+    mergeSpeakerSegments,
+    wrapText
+};
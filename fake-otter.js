@@ -0,0 +1,728 @@
+#!/usr/bin/env node
+// Stand-in for the Otter.ai API and its S3 upload bucket, backed by fixture data, so the client,
+// API server and CLI can run end to end without credentials or network access
+//
+//   node fake-otter.js [--port 4010] [--fixtures ./fixtures/otter.json]
+//
+// then point the wrapper at it:
+//
+//   OTTERAI_API_BASE_URL=http://localhost:4010/forward/api/v1/
+//   OTTERAI_S3_BASE_URL=http://localhost:4010/s3/
+//   OTTERAI_LIVE_WS_URL=ws://localhost:4010/live
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const WebSocket = require('ws');
+const { normalizeSpeech } = require('./transcript');
+const { renderTranscript } = require('./exporters');
+
+const API_PREFIX = '/forward/api/v1';
+const S3_PREFIX = '/s3';
+const LIVE_PATH = '/live';
+const UPLOAD_BUCKET = 'speech-upload-prod';
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'otter.json');
+const OFFSET_UNITS_PER_SECOND = 16000;
+
+// CRC-32 as used by the zip format
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const _crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Minimal zip archive (stored, no compression) of `[{ name, data }]`
+const _createZip = (entries) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = _crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);        // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const _parseCookies = (header) => {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+};
+
+const _randomId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+
+const _now = () => Math.floor(Date.now() / 1000);
+
+class FakeOtter {
+    constructor({ fixtures = DEFAULT_FIXTURES, transcriptionDelay = 0, rotateCsrfToken = false } = {}) {
+        const data = typeof fixtures === 'string' ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : fixtures;
+        // Deep copy so every instance starts from the same fixture state
+        this.fixtures = JSON.parse(JSON.stringify(data));
+        this.credentials = this.fixtures.credentials;
+        this.user = this.fixtures.user;
+        this.speakers = this.fixtures.speakers || [];
+        this.folders = this.fixtures.folders || [];
+        this.groups = this.fixtures.groups || [];
+        this.speeches = new Map((this.fixtures.speeches || []).map(speech => [speech.otid, speech]));
+        this.transcriptionDelay = transcriptionDelay; // ms before an uploaded speech is "transcribed"
+        this.rotateCsrfToken = rotateCsrfToken; // issue a new CSRF token with every response, as Otter.ai does
+
+        this.sessions = new Map(); // sessionid cookie -> csrf token
+        this.uploads = new Map(); // S3 key -> { fileName, contentType, size }
+        this.liveSessions = new Map(); // speech_start token -> { otid, segments, ... } until speech_finish
+        this.requests = []; // { method, endpoint } for every request, for assertions in tests
+        this.failures = new Map(); // endpoint -> { status, headers, message, remaining } queued by fail()
+        this.server = null;
+        this.liveServer = null;
+        this.app = this._createApp();
+    }
+
+    async listen(port = 0, host = '127.0.0.1') {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, resolve);
+            this.server.once('error', reject);
+        });
+        this.liveServer = new WebSocket.Server({ server: this.server, path: LIVE_PATH });
+        this.liveServer.on('connection', (ws, req) => this._handleLiveSocket(ws, req));
+
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}`;
+        this.apiBaseUrl = `${this.url}${API_PREFIX}/`;
+        this.s3BaseUrl = `${this.url}${S3_PREFIX}/`;
+        this.liveWsUrl = `ws://${host}:${address.port}${LIVE_PATH}`;
+        return this;
+    }
+
+    // Client options that point an OtterAI instance at this server
+    get endpoints() {
+        return { apiBaseUrl: this.apiBaseUrl, s3BaseUrl: this.s3BaseUrl, liveWsUrl: this.liveWsUrl };
+    }
+
+    // Answer the next `times` requests to an endpoint (e.g. 'speech') with an error status, to
+    // exercise retries and error mapping; runs before the session check
+    fail(endpoint, status, { times = 1, headers = {}, message = `Fake ${status} error` } = {}) {
+        this.failures.set(endpoint, { status, headers, message, remaining: times });
+    }
+
+    close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        this.liveServer.clients.forEach(ws => ws.terminate());
+        this.liveServer.close();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Live transcription socket: after the config message, every full second of audio becomes a
+    // final segment and anything short of that a partial one; end_of_stream flushes the rest and
+    // answers `finished`. Closing is left to the client, as with Otter.ai.
+    _handleLiveSocket(ws, req) {
+        const live = this.liveSessions.get(new URL(req.url, this.url).searchParams.get('token'));
+        if (!live || live.connected) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Invalid or used speech token' }));
+            return ws.close(4001, 'Invalid token');
+        }
+        live.connected = true;
+
+        let bytesPerSecond = 16000 * 2;
+        let received = 0;
+        let flushed = 0;
+        const segmentOf = (start, end) => ({
+            uuid: `live-${live.segments.length + 1}`,
+            speaker_id: null,
+            start_offset: Math.round(start / bytesPerSecond * OFFSET_UNITS_PER_SECOND),
+            end_offset: Math.round(end / bytesPerSecond * OFFSET_UNITS_PER_SECOND),
+            transcript: `Live segment ${live.segments.length + 1}.`
+        });
+        const sendFinal = (end) => {
+            const segment = segmentOf(flushed, end);
+            live.segments.push(segment);
+            flushed = end;
+            ws.send(JSON.stringify({ type: 'final', transcript: segment }));
+        };
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                received += data.length;
+                while (received - flushed >= bytesPerSecond) {
+                    sendFinal(flushed + bytesPerSecond);
+                }
+                if (received > flushed) {
+                    ws.send(JSON.stringify({ type: 'partial', transcript: segmentOf(flushed, received) }));
+                }
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return;
+            }
+            if (message.type === 'config') {
+                // 16-bit samples
+                bytesPerSecond = (Number(message.sample_rate) || 16000) * 2 * (Number(message.channels) || 1);
+            } else if (message.type === 'end_of_stream') {
+                if (received > flushed) {
+                    sendFinal(received);
+                }
+                live.duration = received / bytesPerSecond;
+                ws.send(JSON.stringify({ type: 'finished', otid: live.otid }));
+            }
+        });
+    }
+
+    _speechSummary(speech) {
+        const { transcripts, source, ...summary } = speech;
+        return summary;
+    }
+
+    _speechesFrom(source, folder) {
+        return Array.from(this.speeches.values())
+            .filter(speech => speech.source === source)
+            .filter(speech => !folder || String(speech.folder_id) === String(folder))
+            .sort((a, b) => b.modified_time - a.modified_time || a.otid.localeCompare(b.otid));
+    }
+
+    // Uploaded speeches finish "transcribing" once transcriptionDelay has passed
+    _refresh(speech) {
+        if (!speech.process_finished && Date.now() >= speech.ready_at) {
+            speech.process_finished = true;
+            delete speech.ready_at;
+        }
+        return speech;
+    }
+
+    _exportFile(speech, format) {
+        const transcript = normalizeSpeech(speech);
+        if (format === 'txt' || format === 'srt') {
+            return Buffer.from(renderTranscript(transcript, format));
+        }
+        // Binary formats are placeholders; only the file names and sizes matter to callers
+        return Buffer.from(`Fake ${format} export of ${speech.otid}: ${transcript.title}\n`);
+    }
+
+    _createApp() {
+        const app = express();
+        const api = express.Router();
+        const error = (res, status, message) => res.status(status).json({ status: 'error', message });
+
+        app.use((req, res, next) => {
+            const endpoint = req.path.replace(`${API_PREFIX}/`, '');
+            this.requests.push({ method: req.method, endpoint });
+            const failure = this.failures.get(endpoint);
+            if (failure) {
+                if (--failure.remaining === 0) {
+                    this.failures.delete(endpoint);
+                }
+                return res.status(failure.status).set(failure.headers).json({ status: 'error', message: failure.message });
+            }
+            next();
+        });
+
+        api.use(express.json());
+
+        api.get('/login', (req, res) => {
+            const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+            const [username, ...rest] = scheme === 'Basic' ? Buffer.from(encoded || '', 'base64').toString('utf8').split(':') : [];
+            if (username !== this.credentials.username || rest.join(':') !== this.credentials.password) {
+                return error(res, 401, 'Invalid username or password');
+            }
+            const sessionId = _randomId('');
+            const csrfToken = _randomId('');
+            this.sessions.set(sessionId, csrfToken);
+            res.cookie('sessionid', sessionId, { path: '/', httpOnly: true });
+            res.cookie('csrftoken', csrfToken, { path: '/' });
+            res.json({ status: 'OK', userid: this.user.userid, email: this.user.email });
+        });
+
+        // Everything else needs the session cookie, and writes need the matching CSRF header
+        api.use((req, res, next) => {
+            const cookies = _parseCookies(req.headers.cookie);
+            if (!this.sessions.has(cookies.sessionid)) {
+                return error(res, 401, 'Authentication credentials were not provided.');
+            }
+            if (req.method === 'POST' && req.headers['x-csrftoken'] !== this.sessions.get(cookies.sessionid)) {
+                return error(res, 403, 'CSRF verification failed.');
+            }
+            if (this.rotateCsrfToken) {
+                const csrfToken = _randomId('');
+                this.sessions.set(cookies.sessionid, csrfToken);
+                res.cookie('csrftoken', csrfToken, { path: '/' });
+            }
+            next();
+        });
+
+        api.get('/user', (req, res) => res.json({ status: 'OK', user: this.user, userid: this.user.userid }));
+
+        api.get('/speeches', (req, res) => {
+            const pageSize = Math.max(1, parseInt(req.query.page_size, 10) || 45);
+            const speeches = this._speechesFrom(req.query.source || 'owned', Number(req.query.folder) || 0);
+            let start = 0;
+            if (req.query.last_load_speech_id) {
+                start = speeches.findIndex(speech => speech.otid === req.query.last_load_speech_id) + 1;
+            }
+            const page = speeches.slice(start, start + pageSize);
+            res.json({
+                status: 'OK',
+                speeches: page.map(speech => this._speechSummary(this._refresh(speech))),
+                end_of_list: start + pageSize >= speeches.length
+            });
+        });
+
+        api.get('/speech', (req, res) => {
+            const speech = this.speeches.get(req.query.otid);
+            if (!speech || speech.source === 'trash') {
+                return error(res, 404, `Speech ${req.query.otid} not found`);
+            }
+            const { source, ...body } = this._refresh(speech);
+            res.json({ status: 'OK', speech: body });
+        });
+
+        api.get('/advanced_search', (req, res) => {
+            const speech = this.speeches.get(req.query.otid);
+            if (!speech) {
+                return error(res, 404, `Speech ${req.query.otid} not found`);
+            }
+            const query = String(req.query.query || '').toLowerCase();
+            const hits = (speech.transcripts || [])
+                .filter(segment => query && segment.transcript.toLowerCase().includes(query))
+                .slice(0, parseInt(req.query.size, 10) || 500)
+                .map(segment => ({ ...segment, otid: speech.otid }));
+            res.json({ status: 'OK', hits });
+        });
+
+        api.get('/speech_upload_params', (req, res) => {
+            res.json({
+                status: 'OK',
+                data: {
+                    key: `${this.user.userid}/${_randomId('upload_')}`,
+                    acl: 'private',
+                    AWSAccessKeyId: 'FAKEACCESSKEY',
+                    policy: Buffer.from('{"fake":true}').toString('base64'),
+                    signature: 'fake-signature',
+                    success_action_status: 201,
+                    form_action: `${this.s3BaseUrl}${UPLOAD_BUCKET}`
+                }
+            });
+        });
+
+        api.get('/finish_speech_upload', (req, res) => {
+            const upload = this.uploads.get(req.query.key);
+            if (req.query.bucket !== UPLOAD_BUCKET || !upload) {
+                return error(res, 404, `No upload found for key ${req.query.key}`);
+            }
+            this.uploads.delete(req.query.key);
+
+            const now = _now();
+            const otid = _randomId('fake_');
+            const title = upload.fileName.replace(/\.[^.]+$/, '') || 'Untitled';
+            const speech = {
+                otid,
+                source: 'owned',
+                title,
+                summary: null,
+                created_at: now,
+                modified_time: now,
+                duration: 4,
+                folder_id: req.query.folder_id ? Number(req.query.folder_id) : null,
+                language: req.query.language || 'en',
+                process_finished: false,
+                ready_at: Date.now() + this.transcriptionDelay,
+                speakers: [],
+                transcripts: [
+                    { uuid: 'seg-1', start_offset: 0, end_offset: 4 * OFFSET_UNITS_PER_SECOND, transcript: `Transcript of ${upload.fileName}.` }
+                ]
+            };
+            this.speeches.set(otid, speech);
+            res.json({ status: 'OK', otid });
+        });
+
+        api.post('/bulk_export', (req, res) => {
+            const formats = String(req.body.formats || '').split(',').filter(Boolean);
+            const otids = req.body.speech_otid_list || [];
+            const missing = otids.filter(otid => !this.speeches.has(otid));
+            if (formats.length === 0 || otids.length === 0) {
+                return error(res, 400, 'formats and speech_otid_list are required');
+            }
+            if (missing.length > 0) {
+                return error(res, 404, `Speech ${missing[0]} not found`);
+            }
+
+            // A single file comes back as is, anything more as a zip
+            if (otids.length === 1 && formats.length === 1) {
+                return res.type('application/octet-stream').send(this._exportFile(this.speeches.get(otids[0]), formats[0]));
+            }
+            const entries = [];
+            otids.forEach(otid => formats.forEach(format => {
+                entries.push({ name: `${otid}.${format}`, data: this._exportFile(this.speeches.get(otid), format) });
+            }));
+            res.type('application/zip').send(_createZip(entries));
+        });
+
+        const trashRoute = (endpoint, from, to) => {
+            api.post(`/${endpoint}`, (req, res) => {
+                const speech = this.speeches.get(req.body.otid);
+                if (!speech || !from.includes(speech.source)) {
+                    return error(res, 404, `Speech ${req.body.otid} not found`);
+                }
+                if (to) {
+                    speech.source = to;
+                    speech.modified_time = _now();
+                } else {
+                    this.speeches.delete(speech.otid);
+                }
+                res.json({ status: 'OK' });
+            });
+        };
+        trashRoute('move_to_trash_bin', ['owned'], 'trash');
+        trashRoute('restore_from_trash_bin', ['trash'], 'owned');
+        trashRoute('remove_from_trash_bin', ['trash'], null);
+
+        // Live transcription: speech_start hands out the token for the socket, speech_finish turns
+        // what was streamed into a speech
+        api.get('/speech_start', (req, res) => {
+            const token = _randomId('live_token_');
+            const otid = _randomId('fake_live_');
+            this.liveSessions.set(token, { otid, segments: [], duration: 0, connected: false, startedAt: _now() });
+            res.json({ status: 'OK', token, otid });
+        });
+
+        api.post('/speech_finish', (req, res) => {
+            const token = Array.from(this.liveSessions.keys()).find(key => this.liveSessions.get(key).otid === req.body.otid);
+            if (!token) {
+                return error(res, 404, `No live speech ${req.body.otid}`);
+            }
+            const live = this.liveSessions.get(token);
+            this.liveSessions.delete(token);
+
+            this.speeches.set(live.otid, {
+                otid: live.otid,
+                source: 'owned',
+                title: 'Live recording',
+                summary: null,
+                created_at: live.startedAt,
+                modified_time: _now(),
+                start_time: live.startedAt,
+                end_time: live.startedAt + Math.ceil(live.duration),
+                duration: Math.ceil(live.duration),
+                folder_id: null,
+                process_finished: true,
+                speakers: [],
+                transcripts: live.segments
+            });
+            res.json({ status: 'OK', otid: live.otid });
+        });
+
+        // Edits apply to speeches that are not in the trash and bump their modification time
+        const editable = (req, res) => {
+            const speech = this.speeches.get(req.body.otid);
+            if (!speech || speech.source === 'trash') {
+                error(res, 404, `Speech ${req.body.otid} not found`);
+                return null;
+            }
+            return speech;
+        };
+        const segmentOf = (speech, req, res) => {
+            const segment = (speech.transcripts || []).find(item => item.uuid === req.body.transcript_uuid);
+            if (!segment) {
+                error(res, 404, `Transcript ${req.body.transcript_uuid} not found`);
+            }
+            return segment;
+        };
+
+        api.post('/set_speech_title', (req, res) => {
+            const speech = editable(req, res);
+            if (speech) {
+                speech.title = req.body.title;
+                speech.modified_time = _now();
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/set_speech_summary', (req, res) => {
+            const speech = editable(req, res);
+            if (speech) {
+                speech.summary = req.body.summary || null;
+                speech.modified_time = _now();
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/edit_transcript', (req, res) => {
+            const speech = editable(req, res);
+            const segment = speech && segmentOf(speech, req, res);
+            if (segment) {
+                segment.transcript = req.body.transcript;
+                speech.modified_time = _now();
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/set_transcript_speaker', (req, res) => {
+            const speech = editable(req, res);
+            const segment = speech && segmentOf(speech, req, res);
+            if (segment) {
+                segment.speaker_id = req.body.speaker_id;
+                speech.modified_time = _now();
+                speech.speakers = speech.speakers || [];
+                if (!speech.speakers.some(speaker => String(speaker.id) === String(req.body.speaker_id))) {
+                    speech.speakers.push({ id: req.body.speaker_id, speaker_name: req.body.speaker_name });
+                }
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.get('/speakers', (req, res) => res.json({ status: 'OK', speakers: this.speakers }));
+
+        api.post('/create_speaker', (req, res) => {
+            if (!req.body.speaker_name) {
+                return error(res, 400, 'speaker_name is required');
+            }
+            const speaker = { id: Math.max(0, ...this.speakers.map(item => item.id)) + 1, speaker_name: req.body.speaker_name };
+            this.speakers.push(speaker);
+            res.json({ status: 'OK', speaker });
+        });
+
+        api.post('/update_speaker', (req, res) => {
+            const speaker = this.speakers.find(item => String(item.id) === String(req.body.speaker_id));
+            if (!speaker) {
+                return error(res, 404, `Speaker ${req.body.speaker_id} not found`);
+            }
+            speaker.speaker_name = req.body.speaker_name;
+            res.json({ status: 'OK', speaker });
+        });
+
+        api.post('/delete_speaker', (req, res) => {
+            const index = this.speakers.findIndex(item => String(item.id) === String(req.body.speaker_id));
+            if (index === -1) {
+                return error(res, 404, `Speaker ${req.body.speaker_id} not found`);
+            }
+            this.speakers.splice(index, 1);
+            res.json({ status: 'OK' });
+        });
+
+        api.get('/folders', (req, res) => {
+            const folders = this.folders.map(folder => ({
+                ...folder,
+                speech_count: this._speechesFrom('owned', folder.id).length
+            }));
+            res.json({ status: 'OK', folders });
+        });
+
+        const folderOf = (req, res) => {
+            const folder = this.folders.find(item => String(item.id) === String(req.body.folder_id));
+            if (!folder) {
+                error(res, 404, `Folder ${req.body.folder_id} not found`);
+            }
+            return folder;
+        };
+        // The speeches of a bulk request, or a 404 naming the first unknown one
+        const speechesOf = (req, res) => {
+            const otids = req.body.speech_otid_list || [];
+            const missing = otids.filter(otid => !this.speeches.has(otid));
+            if (otids.length === 0 || missing.length > 0) {
+                error(res, otids.length === 0 ? 400 : 404, otids.length === 0 ? 'speech_otid_list is required' : `Speech ${missing[0]} not found`);
+                return null;
+            }
+            return otids.map(otid => this.speeches.get(otid));
+        };
+
+        api.post('/create_folder', (req, res) => {
+            if (!req.body.folder_name) {
+                return error(res, 400, 'folder_name is required');
+            }
+            const folder = { id: Math.max(0, ...this.folders.map(item => item.id)) + 1, folder_name: req.body.folder_name };
+            this.folders.push(folder);
+            res.json({ status: 'OK', folder });
+        });
+
+        api.post('/rename_folder', (req, res) => {
+            const folder = folderOf(req, res);
+            if (folder) {
+                folder.folder_name = req.body.folder_name;
+                res.json({ status: 'OK', folder });
+            }
+        });
+
+        api.post('/delete_folder', (req, res) => {
+            const folder = folderOf(req, res);
+            if (folder) {
+                this.folders.splice(this.folders.indexOf(folder), 1);
+                this.speeches.forEach(speech => {
+                    if (speech.folder_id === folder.id) {
+                        speech.folder_id = null;
+                    }
+                });
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/add_folder_speeches', (req, res) => {
+            const folder = folderOf(req, res);
+            const speeches = folder && speechesOf(req, res);
+            if (speeches) {
+                speeches.forEach(speech => {
+                    speech.folder_id = folder.id;
+                });
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/remove_folder_speeches', (req, res) => {
+            const folder = folderOf(req, res);
+            const speeches = folder && speechesOf(req, res);
+            if (speeches) {
+                speeches.filter(speech => speech.folder_id === folder.id).forEach(speech => {
+                    speech.folder_id = null;
+                });
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.get('/list_groups', (req, res) => res.json({ status: 'OK', groups: this.groups }));
+
+        const groupOf = (req, res) => {
+            const group = this.groups.find(item => String(item.id) === String(req.body.group_id));
+            if (!group) {
+                error(res, 404, `Group ${req.body.group_id} not found`);
+            }
+            return group;
+        };
+
+        api.post('/add_group_speeches', (req, res) => {
+            const group = groupOf(req, res);
+            const speeches = group && speechesOf(req, res);
+            if (speeches) {
+                speeches.forEach(speech => {
+                    speech.shared_groups = speech.shared_groups || [];
+                    if (!speech.shared_groups.some(shared => shared.id === group.id)) {
+                        speech.shared_groups.push({ id: group.id });
+                    }
+                });
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.post('/remove_group_speeches', (req, res) => {
+            const group = groupOf(req, res);
+            const speeches = group && speechesOf(req, res);
+            if (speeches) {
+                speeches.forEach(speech => {
+                    speech.shared_groups = (speech.shared_groups || []).filter(shared => shared.id !== group.id);
+                });
+                res.json({ status: 'OK' });
+            }
+        });
+
+        api.get('/get_notification_settings', (req, res) => {
+            res.json({ status: 'OK', notification_settings: { email_on_transcription_complete: true, email_weekly_digest: false } });
+        });
+
+        api.use((req, res) => error(res, 404, `The fake Otter.ai server does not implement ${req.method} ${req.path.slice(1)}`));
+
+        app.use(API_PREFIX, api);
+
+        // S3 bucket: CORS preflight and the multipart form POST answered with an XML PostResponse
+        const s3Upload = multer({ storage: multer.memoryStorage() }).single('file');
+
+        app.options(`${S3_PREFIX}/${UPLOAD_BUCKET}`, (req, res) => {
+            res.set({
+                'Access-Control-Allow-Origin': req.headers.origin || '*',
+                'Access-Control-Allow-Methods': 'POST'
+            }).status(200).end();
+        });
+
+        app.post(`${S3_PREFIX}/${UPLOAD_BUCKET}`, s3Upload, (req, res) => {
+            const key = req.body && req.body.key;
+            if (!key || !req.file) {
+                return res.status(400).type('application/xml')
+                    .send('<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>InvalidArgument</Code><Message>key and file are required</Message></Error>');
+            }
+            this.uploads.set(key, { fileName: req.file.originalname, contentType: req.file.mimetype, size: req.file.size });
+            const etag = crypto.createHash('md5').update(req.file.buffer).digest('hex');
+            res.status(201).type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<PostResponse><Location>${this.s3BaseUrl}${UPLOAD_BUCKET}/${key}</Location>` +
+                `<Bucket>${UPLOAD_BUCKET}</Bucket><Key>${key}</Key><ETag>"${etag}"</ETag></PostResponse>`);
+        });
+
+        return app;
+    }
+}
+
+// startFakeOtter({ port, fixtures }) -> listening FakeOtter
+const startFakeOtter = ({ port = 0, host = '127.0.0.1', ...options } = {}) => new FakeOtter(options).listen(port, host);
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = argv.indexOf(`--${name}`);
+        return index !== -1 && argv[index + 1] !== undefined ? argv[index + 1] : fallback;
+    };
+
+    startFakeOtter({
+        port: Number(option('port', process.env.FAKE_OTTER_PORT || 4010)),
+        host: option('host', '127.0.0.1'),
+        fixtures: option('fixtures', DEFAULT_FIXTURES)
+    }).then(fake => {
+        console.log(`Fake Otter.ai listening on ${fake.url}`);
+        console.log(`   OTTERAI_API_BASE_URL=${fake.apiBaseUrl}`);
+        console.log(`   OTTERAI_S3_BASE_URL=${fake.s3BaseUrl}`);
+        console.log(`   OTTERAI_LIVE_WS_URL=${fake.liveWsUrl}`);
+        console.log(`   Log in as ${fake.credentials.username} / ${fake.credentials.password}`);
+    }).catch(error => {
+        console.error(`Fake Otter.ai failed to start: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { FakeOtter, startFakeOtter, DEFAULT_FIXTURES };
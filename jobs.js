@@ -0,0 +1,76 @@
+// In-memory registry for long-running server jobs (uploads, exports) that clients poll
+const crypto = require('crypto');
+
+const DEFAULT_JOB_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+class JobStore {
+    // `onRemove(job)` runs when a job is deleted or expires, e.g. to clean up files it produced
+    constructor({ ttl = DEFAULT_JOB_TTL, onRemove = null } = {}) {
+        this.ttl = ttl;
+        this.onRemove = onRemove;
+        this.jobs = new Map();
+    }
+
+    create(type, { owner = null, ...fields } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: `job_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            owner,
+            status: 'pending',
+            progress: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    // Jobs are only visible to the owner that created them
+    get(id, owner = null) {
+        const job = this.jobs.get(id);
+        if (!job || (owner !== null && job.owner !== owner)) {
+            return null;
+        }
+        return job;
+    }
+
+    update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+        return job;
+    }
+
+    fail(id, error) {
+        return this.update(id, {
+            status: 'failed',
+            error: { code: error.code || 'INTERNAL_ERROR', message: error.message }
+        });
+    }
+
+    delete(id) {
+        const job = this.jobs.get(id);
+        this.jobs.delete(id);
+        if (job && this.onRemove) {
+            this.onRemove(job);
+        }
+    }
+
+    cleanup(now = Date.now()) {
+        const removed = [];
+        for (const [id, job] of this.jobs.entries()) {
+            if (now - Date.parse(job.updatedAt) > this.ttl) {
+                this.delete(id);
+                removed.push(id);
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = { JobStore, DEFAULT_JOB_TTL };
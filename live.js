@@ -0,0 +1,222 @@
+// Real-time transcription over Otter.ai's speech WebSocket.
+// PCM audio goes up as binary frames, partial and final transcript events come back as JSON.
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { TranscriptSegment, OFFSET_UNITS_PER_SECOND } = require('./transcript');
+const { OtterAIException, UpstreamError } = require('./errors');
+
+const LIVE_WS_URL = 'wss://ws.aisense.com/api/v2/client/speech';
+
+const _toSeconds = (offset) => {
+    const value = Number(offset);
+    return Number.isFinite(value) ? Math.round((value / OFFSET_UNITS_PER_SECOND) * 1000) / 1000 : null;
+};
+
+// Turn a transcript message into a segment; Otter nests it under `transcript` or `segment`
+const _toSegment = (message) => {
+    const raw = (message.transcript && typeof message.transcript === 'object')
+        ? message.transcript
+        : (message.segment || message);
+    const text = typeof raw.transcript === 'string' ? raw.transcript : (raw.text || '');
+    return new TranscriptSegment({
+        id: raw.uuid || raw.id || null,
+        speakerId: raw.speaker_id !== undefined ? raw.speaker_id : null,
+        speaker: raw.speaker_name || raw.speaker_model_label || null,
+        start: _toSeconds(raw.start_offset),
+        end: _toSeconds(raw.end_offset),
+        text: text.trim()
+    });
+};
+
+class LiveTranscription extends EventEmitter {
+    constructor({
+        token,
+        otid = null,
+        wsUrl = LIVE_WS_URL,
+        sampleRate = 16000,
+        encoding = 'pcm_s16le',
+        channels = 1,
+        finishTimeout = 30000,
+        WebSocketImpl = WebSocket
+    }) {
+        super();
+        if (!token) {
+            throw new OtterAIException('A speech_start token is required for live transcription');
+        }
+        this.token = token;
+        this.otid = otid;
+        this.wsUrl = wsUrl;
+        this.sampleRate = sampleRate;
+        this.encoding = encoding;
+        this.channels = channels;
+        this.finishTimeout = finishTimeout;
+        this.WebSocketImpl = WebSocketImpl;
+        this.segments = [];
+        this.ws = null;
+        this.state = 'idle'; // idle -> open -> finishing -> closed
+    }
+
+    connect() {
+        if (this.ws) {
+            return Promise.resolve(this);
+        }
+
+        const url = new URL(this.wsUrl);
+        url.searchParams.set('token', this.token);
+
+        return new Promise((resolve, reject) => {
+            const ws = new this.WebSocketImpl(url.toString());
+            this.ws = ws;
+
+            ws.on('open', () => {
+                this.state = 'open';
+                // Describe the audio that follows
+                ws.send(JSON.stringify({
+                    type: 'config',
+                    otid: this.otid,
+                    sample_rate: this.sampleRate,
+                    encoding: this.encoding,
+                    channels: this.channels
+                }));
+                this.emit('open');
+                resolve(this);
+            });
+
+            ws.on('message', (data, isBinary) => {
+                if (!isBinary) {
+                    this._handleMessage(data.toString());
+                }
+            });
+
+            ws.on('error', (error) => {
+                const wrapped = new UpstreamError(`Live transcription socket error: ${error.message}`, {
+                    endpoint: 'speech_socket',
+                    cause: error
+                });
+                if (this.state === 'idle') {
+                    reject(wrapped);
+                } else if (this.listenerCount('error') > 0) {
+                    this.emit('error', wrapped);
+                }
+            });
+
+            ws.on('close', (code, reason) => {
+                const wasIdle = this.state === 'idle';
+                this.state = 'closed';
+                this.emit('close', { code, reason: reason ? reason.toString() : '' });
+                if (wasIdle) {
+                    reject(new UpstreamError(`Live transcription socket closed before opening (${code})`, {
+                        endpoint: 'speech_socket'
+                    }));
+                }
+            });
+        });
+    }
+
+    _handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+
+        this.emit('message', message);
+
+        switch (message.type) {
+            case 'partial':
+            case 'partial_transcript':
+                this.emit('partial', _toSegment(message));
+                break;
+            case 'final':
+            case 'final_transcript':
+                this._emitFinal(message);
+                break;
+            case 'transcript':
+                if (message.is_final || message.final) {
+                    this._emitFinal(message);
+                } else {
+                    this.emit('partial', _toSegment(message));
+                }
+                break;
+            case 'finished':
+            case 'speech_finished':
+                if (message.otid) {
+                    this.otid = message.otid;
+                }
+                this.emit('finished', message);
+                break;
+            case 'error':
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', new UpstreamError(`Live transcription error: ${message.message || 'unknown'}`, {
+                        endpoint: 'speech_socket',
+                        body: message
+                    }));
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    _emitFinal(message) {
+        const segment = _toSegment(message);
+        this.segments.push(segment);
+        this.emit('final', segment);
+    }
+
+    // Send one chunk of raw PCM audio; resolves once it has been handed to the socket
+    write(chunk) {
+        if (this.state !== 'open') {
+            return Promise.reject(new OtterAIException(`Cannot send audio while the live session is ${this.state}`));
+        }
+        return new Promise((resolve, reject) => {
+            this.ws.send(chunk, { binary: true }, error => error ? reject(error) : resolve());
+        });
+    }
+
+    // Stream PCM audio from a Readable until it ends (does not finish the session)
+    async pipeFrom(readable) {
+        for await (const chunk of readable) {
+            await this.write(chunk);
+        }
+    }
+
+    // Signal end of audio and wait for the server to flush final results and close
+    finish() {
+        if (this.state === 'closed') {
+            return Promise.resolve(this.segments);
+        }
+        if (this.state !== 'open') {
+            return Promise.reject(new OtterAIException(`Cannot finish a live session that is ${this.state}`));
+        }
+
+        this.state = 'finishing';
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                this.removeListener('finished', onFinished);
+                resolve(this.segments);
+            };
+            const onFinished = () => {
+                if (this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.close(1000);
+                }
+            };
+            const timer = setTimeout(() => this.ws.terminate(), this.finishTimeout);
+
+            this.once('close', done);
+            this.once('finished', onFinished);
+            this.ws.send(JSON.stringify({ type: 'end_of_stream' }));
+        });
+    }
+
+    // Abort without waiting for final results
+    close() {
+        if (this.ws && this.state !== 'closed') {
+            this.ws.terminate();
+        }
+    }
+}
+
+module.exports = { LiveTranscription, LIVE_WS_URL };
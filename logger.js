@@ -0,0 +1,181 @@
+// Structured JSON logging shared by the client and the server: one JSON object per line, filtered
+// by LOG_LEVEL, tagged with the current request id and scrubbed of secrets and meeting content.
+//
+//   {"time":"2025-01-01T10:00:00.000Z","level":"info","msg":"Login succeeded","request_id":"req_...","userid":1001}
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Field names are compared lowercased with '-' and '_' removed, so session_id, sessionId and
+// session-id all match 'sessionid'
+const SECRET_KEYS = [
+    'password', 'cookie', 'cookies', 'setcookie', 'csrftoken', 'xcsrftoken', 'sessionid', 'session',
+    'authorization', 'xapikey', 'apikey', 'key', 'keyhash', 'secret', 'token', 'accesstoken', 'refreshtoken'
+];
+const TRANSCRIPT_KEYS = [
+    'transcript', 'transcripts', 'transcripttext', 'structuredtranscript', 'segments', 'words', 'text',
+    'summary', 'abstractsummary', 'snippet'
+];
+
+const _normalizeKey = (key) => String(key).toLowerCase().replace(/[-_]/g, '');
+
+// Request-scoped fields (the request id) follow async work started while handling the request
+const logContext = new AsyncLocalStorage();
+
+// Stacks name files and code paths, so they are only kept at debug level
+const _serializeError = (error, stacks) => {
+    const serialized = { name: error.name, message: error.message };
+    ['code', 'status', 'endpoint'].forEach(field => {
+        if (error[field] !== undefined && error[field] !== null) {
+            serialized[field] = error[field];
+        }
+    });
+    if (stacks && error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+};
+
+const redact = (value, { transcripts = true, stacks = false } = {}) => {
+    const keys = new Set(transcripts ? [...SECRET_KEYS, ...TRANSCRIPT_KEYS] : SECRET_KEYS);
+    const seen = new WeakSet();
+
+    const visit = (item, depth) => {
+        if (item instanceof Error) {
+            return _serializeError(item, stacks);
+        }
+        if (item === null || typeof item !== 'object') {
+            return typeof item === 'bigint' ? String(item) : item;
+        }
+        if (Buffer.isBuffer(item)) {
+            return `[binary ${item.length} bytes]`;
+        }
+        if (item instanceof Date) {
+            return item.toISOString();
+        }
+        if (seen.has(item)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return '[Truncated]';
+        }
+        seen.add(item);
+        const result = Array.isArray(item)
+            ? item.map(entry => visit(entry, depth + 1))
+            : Object.fromEntries(Object.entries(item).map(([key, entry]) => [
+                key,
+                keys.has(_normalizeKey(key)) && entry !== null && entry !== undefined ? REDACTED : visit(entry, depth + 1)
+            ]));
+        seen.delete(item);
+        return result;
+    };
+
+    return visit(value, 0);
+};
+
+class Logger {
+    constructor({ level = 'info', stream = process.stdout, fields = {}, redactTranscripts = true } = {}) {
+        if (LEVELS[level] === undefined) {
+            throw new RangeError(`Unknown log level "${level}". Use ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.level = level;
+        this.stream = stream;
+        this.fields = fields;
+        this.redactTranscripts = redactTranscripts;
+    }
+
+    // A logger that adds `fields` to every entry, e.g. logger.child({ component: 'watcher' })
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            stream: this.stream,
+            fields: { ...this.fields, ...fields },
+            redactTranscripts: this.redactTranscripts
+        });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] <= LEVELS[this.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        const entry = redact({
+            ...this.fields,
+            ...(logContext.getStore() || {}),
+            ...(fields instanceof Error ? { error: fields } : fields)
+        }, { transcripts: this.redactTranscripts, stacks: this.isLevelEnabled('debug') });
+        this.stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...entry })}\n`);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+}
+
+//   LOG_LEVEL=error|warn|info|debug   (default info)
+//   LOG_TRANSCRIPTS=true              keep transcript text in log entries (redacted by default)
+const createLogger = (env = process.env, options = {}) => {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    const created = new Logger({
+        level: LEVELS[level] === undefined ? 'info' : level,
+        redactTranscripts: env.LOG_TRANSCRIPTS !== 'true',
+        ...options
+    });
+    if (LEVELS[level] === undefined) {
+        created.warn(`Unknown LOG_LEVEL "${env.LOG_LEVEL}"; logging at info`);
+    }
+    return created;
+};
+
+const logger = createLogger();
+
+// Default for client instances: same settings, but on stderr so library warnings never end up in
+// the stdout of the program using the client (CLI output piped to a file, for instance)
+const stderrLogger = new Logger({ level: logger.level, stream: process.stderr, redactTranscripts: logger.redactTranscripts });
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Express middleware: give each request an id (a well-formed incoming X-Request-Id is kept),
+// echo it back, tag every entry logged while handling the request and log its completion
+const requestLogging = (log = logger) => (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : `req_${crypto.randomBytes(12).toString('hex')}`;
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        // The path only: query strings can carry search terms
+        log.log(level, 'Request completed', {
+            request_id: requestId,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+            ip: req.ip
+        });
+    });
+
+    logContext.run({ request_id: requestId }, next);
+};
+
+module.exports = { Logger, createLogger, logger, stderrLogger, redact, requestLogging, logContext, LEVELS, REDACTED };
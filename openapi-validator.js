@@ -0,0 +1,299 @@
+// Validate requests (and, in development, responses) against the server's OpenAPI document.
+// Implements the part of JSON Schema the document uses: types, nullable, enum, string and number
+// bounds, patterns, date-time formats, arrays, objects, allOf/anyOf/oneOf and local $refs.
+const { ValidationError } = require('./errors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_REPORTED_PROBLEMS = 10;
+
+// Query strings, path segments, headers and form fields arrive as strings
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+const _resolve = (document, schema) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const target = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+        if (!target) {
+            throw new Error(`Cannot resolve ${resolved.$ref} in the OpenAPI document`);
+        }
+        resolved = target;
+    }
+    return resolved || {};
+};
+
+const _matchesType = (type, value) => {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+};
+
+const _article = (word) => (/^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`);
+
+const _describe = (document, schema) => {
+    const rule = _resolve(document, schema);
+    return rule.type ? _article(rule.type) : 'a valid value';
+};
+
+const _child = (name, key) => (name ? `${name}.${key}` : key);
+
+// Problems with `value`, e.g. ['limit must be at most 1000']; an empty list means it is valid.
+// `name` prefixes each problem; the request body itself has no name.
+const validateValue = (document, schema, value, name = '') => {
+    const rule = _resolve(document, schema);
+    const label = name || 'Request body';
+
+    if (value === null) {
+        if (rule.nullable) {
+            return [];
+        }
+        if (rule.type) {
+            return [`${label} must not be null`];
+        }
+    }
+
+    if (rule.allOf) {
+        const problems = rule.allOf.flatMap(part => validateValue(document, part, value, name));
+        if (problems.length > 0) {
+            return problems;
+        }
+    }
+    const options = rule.anyOf || rule.oneOf;
+    if (options) {
+        const matching = options.filter(option => validateValue(document, option, value, name).length === 0).length;
+        if (matching === 0 || (rule.oneOf && matching > 1)) {
+            return [`${label} must be ${options.map(option => _describe(document, option)).join(' or ')}`];
+        }
+    }
+
+    if (value === null) {
+        return [];
+    }
+    if (rule.type && !_matchesType(rule.type, value)) {
+        return [`${label} must be ${_article(rule.type)}`];
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return [`${label} must be one of: ${rule.enum.join(', ')}`];
+    }
+
+    const problems = [];
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            problems.push(rule.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            problems.push(`${label} must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern !== undefined && !new RegExp(rule.pattern).test(value)) {
+            problems.push(`${label} must match ${rule.pattern}`);
+        }
+        if (rule.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            problems.push(`${label} must be an ISO 8601 date`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (rule.minimum !== undefined && value < rule.minimum) {
+            problems.push(`${label} must be at least ${rule.minimum}`);
+        }
+        if (rule.maximum !== undefined && value > rule.maximum) {
+            problems.push(`${label} must be at most ${rule.maximum}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            problems.push(`${label} must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            problems.push(`${label} must have at most ${rule.maxItems} items`);
+        }
+        if (rule.items) {
+            value.forEach((item, index) => problems.push(...validateValue(document, rule.items, item, `${label}[${index}]`)));
+        }
+    } else if (_matchesType('object', value)) {
+        (rule.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                problems.push(`${_child(name, key)} is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (item === undefined) {
+                return;
+            }
+            const property = rule.properties && rule.properties[key];
+            if (property) {
+                problems.push(...validateValue(document, property, item, _child(name, key)));
+            } else if (rule.additionalProperties === false) {
+                problems.push(`${_child(name, key)} is not allowed`);
+            } else if (rule.additionalProperties && typeof rule.additionalProperties === 'object') {
+                problems.push(...validateValue(document, rule.additionalProperties, item, _child(name, key)));
+            }
+        });
+    }
+    return problems;
+};
+
+// Convert a string to the schema's scalar type when it spells one; anything else is left for
+// validateValue to reject
+const coerceValue = (document, schema, value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const rule = _resolve(document, schema);
+    if ((rule.type === 'integer' || rule.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (rule.type === 'boolean' && BOOLEAN_STRINGS[value.toLowerCase()] !== undefined) {
+        return BOOLEAN_STRINGS[value.toLowerCase()];
+    }
+    return value;
+};
+
+const _escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// '/api/folders/{folderId}' -> /^\/api\/folders\/([^/]+)$/ with names ['folderId']
+const _compileRoutes = (document) => Object.entries(document.paths).flatMap(([template, pathItem]) => {
+    const names = [];
+    const source = template.split(/(\{[^}]+\})/).map(part => {
+        const param = /^\{([^}]+)\}$/.exec(part);
+        if (param) {
+            names.push(param[1]);
+            return '([^/]+)';
+        }
+        return _escapeRegExp(part);
+    }).join('');
+
+    return METHODS.filter(method => pathItem[method]).map(method => ({
+        method: method.toUpperCase(),
+        template,
+        pattern: new RegExp(`^${source}$`),
+        names,
+        operation: pathItem[method],
+        parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+    }));
+}).sort((a, b) => a.names.length - b.names.length); // literal segments win over parameters
+
+// Middleware factory. `onResponseMismatch({ method, path, status, problems })` is called for
+// responses that do not match the document when `checkResponses` is on.
+const createOpenApiValidator = (document, { checkResponses = false, onResponseMismatch = () => {} } = {}) => {
+    const routes = _compileRoutes(document);
+
+    const findRoute = (req) => {
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        for (const route of routes) {
+            const match = route.method === method && route.pattern.exec(req.path);
+            if (match) {
+                return { route, values: match.slice(1) };
+            }
+        }
+        return null;
+    };
+
+    const _parameterValue = (req, parameter, pathParams) => {
+        switch (parameter.in) {
+            case 'path':
+                return pathParams[parameter.name];
+            case 'query':
+                return req.query[parameter.name];
+            case 'header':
+                return req.get(parameter.name);
+            default:
+                return undefined;
+        }
+    };
+
+    const _bodyProblems = (req, operation) => {
+        const requestBody = operation.requestBody ? _resolve(document, operation.requestBody) : null;
+        // Multipart uploads are checked by the upload handler as the parts stream in
+        if (!requestBody || req.is('multipart/form-data')) {
+            return [];
+        }
+        if (req.body === undefined) {
+            return requestBody.required ? ['Request body is required'] : [];
+        }
+        const media = requestBody.content['application/json'];
+        if (!media) {
+            return [];
+        }
+        let body = req.body;
+        if (req.is('application/x-www-form-urlencoded') && _matchesType('object', body)) {
+            const properties = _resolve(document, media.schema).properties || {};
+            body = Object.fromEntries(Object.entries(body).map(([key, value]) => [
+                key,
+                properties[key] ? coerceValue(document, properties[key], value) : value
+            ]));
+        }
+        return validateValue(document, media.schema, body);
+    };
+
+    const validateRequest = (req, res, next) => {
+        const match = findRoute(req);
+        if (!match) {
+            return next();
+        }
+        const { route, values } = match;
+        const problems = [];
+
+        const pathParams = {};
+        route.names.forEach((name, index) => {
+            try {
+                pathParams[name] = decodeURIComponent(values[index]);
+            } catch (error) {
+                problems.push(`${name} is not a valid URL path segment`);
+            }
+        });
+
+        route.parameters.map(parameter => _resolve(document, parameter)).forEach(parameter => {
+            const raw = _parameterValue(req, parameter, pathParams);
+            if (raw === undefined) {
+                if (parameter.required && parameter.in !== 'path') {
+                    problems.push(`${parameter.name} is required`);
+                }
+                return;
+            }
+            problems.push(...validateValue(document, parameter.schema, coerceValue(document, parameter.schema, raw), parameter.name));
+        });
+        problems.push(..._bodyProblems(req, route.operation));
+
+        if (problems.length > 0) {
+            const extra = problems.length - MAX_REPORTED_PROBLEMS;
+            throw new ValidationError(problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ') + (extra > 0 ? ` (and ${extra} more)` : ''));
+        }
+        next();
+    };
+
+    const validateResponses = (req, res, next) => {
+        const match = checkResponses ? findRoute(req) : null;
+        if (!match) {
+            return next();
+        }
+        const { route } = match;
+        const json = res.json.bind(res);
+
+        res.json = (body) => {
+            const status = String(res.statusCode);
+            const responses = route.operation.responses || {};
+            const response = responses[status] || responses[`${status[0]}XX`] || responses.default;
+            const media = response ? (_resolve(document, response).content || {})['application/json'] : null;
+            const problems = media
+                ? validateValue(document, media.schema, body, 'response')
+                : [`status ${status} is not documented as a JSON response`];
+            if (problems.length > 0) {
+                onResponseMismatch({ method: route.method, path: route.template, status: res.statusCode, problems });
+            }
+            return json(body);
+        };
+        next();
+    };
+
+    return { validateRequest, validateResponses, findRoute };
+};
+
+module.exports = { createOpenApiValidator, validateValue, coerceValue };
@@ -0,0 +1,906 @@
+#!/usr/bin/env node
+// OpenAPI 3 description of the gateway server. server.js serves it at /api/openapi.json and
+// validates requests against it; run this file to print it for client generators:
+//
+//   node openapi.js > openapi.json
+const { BULK_EXPORT_FORMATS } = require('./otterai');
+const { FORMATS: TRANSCRIPT_FORMATS, GRANULARITIES } = require('./exporters');
+const { EVENT_TYPES } = require('./watcher');
+const { SCOPES } = require('./api-keys');
+
+const DEFAULT_LIMITS = {
+    maxPageLimit: 1000,
+    searchMaxLimit: 100,
+    maxRotationGrace: 7 * 24 * 60 * 60,
+    uploadMaxBytes: 500 * 1024 * 1024
+};
+
+const ERROR_CODES = [
+    'AUTHENTICATION_FAILED', 'NOT_FOUND', 'RATE_LIMITED', 'UPSTREAM_ERROR', 'VALIDATION_ERROR',
+    'CONFLICT', 'FORBIDDEN', 'OTTERAI_ERROR', 'INTERNAL_ERROR'
+];
+
+const ERROR_RESPONSES = {
+    400: 'ValidationError',
+    401: 'AuthenticationError',
+    403: 'PermissionError',
+    404: 'NotFoundError',
+    409: 'ConflictError',
+    429: 'RateLimited',
+    502: 'UpstreamError'
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Otter.ai hands out numeric ids for most things but the gateway passes anything through
+const ID = { anyOf: [{ type: 'integer' }, { type: 'string' }] };
+const NULLABLE_ID = { ...ID, nullable: true };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+const object = (properties, required = []) => (required.length > 0
+    ? { type: 'object', properties, required }
+    : { type: 'object', properties });
+
+const jsonBody = (schema, { required = true, description } = {}) => ({
+    ...(description ? { description } : {}),
+    required,
+    content: { 'application/json': { schema } }
+});
+
+const jsonResponse = (description, schema, headers) => ({
+    description,
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema } }
+});
+
+const NO_CONTENT = { description: 'Done; no content' };
+
+const errorResponses = (...statuses) => ({
+    ...Object.fromEntries(statuses.map(status => [String(status), { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])),
+    default: { $ref: '#/components/responses/InternalError' }
+});
+
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+const SESSION_SECURITY = [{ sessionId: [] }, { apiKey: [] }, { bearerApiKey: [] }];
+
+// Routes behind requireSession: a session-id header, or an API key holding `scope`
+const sessionOperation = (scope, { responses, extraErrors = [], description, ...operation }) => ({
+    ...operation,
+    description: `${description ? `${description}\n\n` : ''}API keys need the \`${scope}\` scope.`,
+    security: SESSION_SECURITY,
+    'x-required-scope': scope,
+    responses: { ...responses, ...errorResponses(400, 401, 403, ...extraErrors, 429, 502) }
+});
+
+const adminOperation = ({ responses, extraErrors = [], ...operation }) => ({
+    ...operation,
+    tags: ['API Keys'],
+    security: [{ adminToken: [] }],
+    responses: { ...responses, ...errorResponses(400, 401, 403, ...extraErrors, 429) }
+});
+
+const SPEECH_ID = pathParam('speechId', { type: 'string', minLength: 1 }, 'Speech otid');
+const SPEAKER_ID = pathParam('speakerId', { type: 'string', minLength: 1 }, 'Speaker ID');
+const FOLDER_ID = pathParam('folderId', { type: 'integer', minimum: 0 }, 'Folder ID');
+const GROUP_ID = pathParam('groupId', { type: 'integer', minimum: 0 }, 'Group ID');
+const JOB_ID = pathParam('jobId', { type: 'string', minLength: 1 }, 'Job ID');
+const KEY_ID = pathParam('id', { type: 'string', minLength: 1 }, 'API key ID');
+const DRY_RUN = queryParam('dry_run', { type: 'boolean' }, 'Only check that the action would apply');
+
+const buildSchemas = (limits) => ({
+    Error: object({
+        error: { type: 'string' },
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        endpoint: { type: 'string', description: 'Otter.ai endpoint that failed' },
+        upstream_status: { type: 'integer' },
+        upstream_body: { description: 'Otter.ai response body (development only)' },
+        current_modified_time: { ...TIMESTAMP, description: 'Modification time of the speech on a conflicting edit' }
+    }, ['error', 'code', 'message']),
+
+    LoginRequest: object({
+        username: { type: 'string', minLength: 1, maxLength: 200 },
+        password: { type: 'string', minLength: 1, maxLength: 200, format: 'password' }
+    }, ['username', 'password']),
+    LoginResponse: object({
+        success: { type: 'boolean' },
+        sessionId: { type: 'string' },
+        user: { type: 'object', properties: { userid: ID }, additionalProperties: true },
+        expiresIn: { type: 'integer', description: 'Session lifetime in milliseconds' }
+    }, ['success', 'sessionId', 'user', 'expiresIn']),
+    LogoutRequest: object({ sessionId: { type: 'string' } }),
+    LogoutResponse: object({ success: { type: 'boolean' }, message: { type: 'string' } }, ['success', 'message']),
+
+    SpeechSummary: object({
+        id: ID,
+        otid: nullable({ type: 'string' }),
+        title: { type: 'string' },
+        created_at: { type: 'number', nullable: true, description: 'Unix time in seconds' },
+        duration: { type: 'number' },
+        source: { type: 'string', enum: ['owned', 'shared', 'trash'] }
+    }, ['otid', 'title', 'created_at', 'duration', 'source']),
+    SpeechList: object({
+        total_count: { type: 'integer' },
+        speech_ids: listOf(ref('SpeechSummary')),
+        next_cursor: nullable({ type: 'string' })
+    }, ['total_count', 'speech_ids', 'next_cursor']),
+
+    TranscriptSegment: object({
+        id: { type: 'string' },
+        speakerId: NULLABLE_ID,
+        speaker: nullable({ type: 'string' }),
+        start: { type: 'number' },
+        end: { type: 'number' },
+        text: { type: 'string' },
+        words: listOf(object({
+            text: { type: 'string' },
+            start: { type: 'number' },
+            end: { type: 'number' },
+            confidence: nullable({ type: 'number' })
+        })),
+        confidence: nullable({ type: 'number' })
+    }, ['id', 'speakerId', 'speaker', 'start', 'end', 'text']),
+    StructuredTranscript: object({
+        speechId: nullable({ type: 'string' }),
+        title: { type: 'string' },
+        createdAt: nullable(TIMESTAMP),
+        modifiedTime: nullable(TIMESTAMP),
+        startTime: nullable(TIMESTAMP),
+        endTime: nullable(TIMESTAMP),
+        duration: { type: 'number' },
+        summary: nullable({ type: 'string' }),
+        language: nullable({ type: 'string' }),
+        folderId: NULLABLE_ID,
+        speakers: listOf(object({ id: NULLABLE_ID, name: { type: 'string' } })),
+        segments: listOf(ref('TranscriptSegment'))
+    }, ['speechId', 'title', 'duration', 'speakers', 'segments']),
+    Transcript: object({
+        speech_id: { type: 'string' },
+        title: { type: 'string' },
+        duration: { type: 'number' },
+        created_at: nullable(TIMESTAMP),
+        modified_time: nullable(TIMESTAMP),
+        transcript_text: { type: 'string' },
+        speakers: listOf({ type: 'string' }),
+        structured_transcript: ref('StructuredTranscript')
+    }, ['speech_id', 'title', 'duration', 'transcript_text', 'speakers', 'structured_transcript']),
+    TranscriptEdit: object({
+        title: { type: 'string', minLength: 1, maxLength: 500 },
+        summary: nullable({ type: 'string', maxLength: 10000 }),
+        segments: listOf(object({
+            id: { type: 'string' },
+            text: { type: 'string', minLength: 1, maxLength: 10000 }
+        }, ['id', 'text']), { minItems: 1, maxItems: 500 }),
+        modified_time: {
+            anyOf: [TIMESTAMP, { type: 'number' }],
+            nullable: true,
+            description: 'Last modification time you saw; the edit is rejected with 409 if the speech changed since'
+        }
+    }),
+    TranscriptEditResult: object({
+        speech_id: { type: 'string' },
+        title: { type: 'string' },
+        summary: nullable({ type: 'string' }),
+        modified_time: nullable(TIMESTAMP),
+        updated: object({
+            title: { type: 'boolean' },
+            summary: { type: 'boolean' },
+            segments: listOf({ type: 'string' })
+        }, ['title', 'summary', 'segments'])
+    }, ['speech_id', 'title', 'updated']),
+
+    SearchHit: object({
+        speech_id: { type: 'string' },
+        title: { type: 'string' },
+        speaker: nullable({ type: 'string' }),
+        start: { type: 'number' },
+        end: { type: 'number' },
+        timestamp: { type: 'string' },
+        snippet: { type: 'string' },
+        score: { type: 'number' },
+        created_at: nullable(TIMESTAMP),
+        folder_id: NULLABLE_ID,
+        source: nullable({ type: 'string' })
+    }, ['speech_id', 'title', 'start', 'end', 'snippet', 'score']),
+    SearchResults: object({
+        query: { type: 'string' },
+        total_count: { type: 'integer' },
+        hits: listOf(ref('SearchHit')),
+        index: object({
+            status: {
+                type: 'string',
+                enum: ['building', 'refreshing', 'ready'],
+                description: 'building: the first build is running and there are no hits yet'
+            },
+            speech_count: { type: 'integer' },
+            refreshed_at: nullable(TIMESTAMP),
+            failed: listOf({ type: 'string' }, { description: 'Speeches that could not be indexed' })
+        }, ['status', 'speech_count', 'refreshed_at', 'failed'])
+    }, ['query', 'total_count', 'hits', 'index']),
+
+    NameRequest: object({ name: { type: 'string', minLength: 1, maxLength: 100 } }, ['name']),
+    Speaker: object({ id: NULLABLE_ID, name: nullable({ type: 'string' }) }, ['id', 'name']),
+    SpeakerList: object({ total_count: { type: 'integer' }, speakers: listOf(ref('Speaker')) }, ['total_count', 'speakers']),
+    SpeakerMergeRequest: object({
+        into: { ...ID, description: 'Speaker that takes over the segments' },
+        speech_ids: listOf({ type: 'string', minLength: 1 }, { description: 'Only reassign segments in these speeches' }),
+        delete_source: { type: 'boolean', default: true }
+    }, ['into']),
+    SpeakerMergeResult: object({
+        source_id: ID,
+        target_id: ID,
+        speeches: listOf({ type: 'string' }, { description: 'Speeches that were fully reassigned' }),
+        updated_segments: { type: 'integer' },
+        source_deleted: { type: 'boolean', description: 'Only when delete_source was set and every speech succeeded' },
+        failed: { type: 'integer' },
+        results: listOf(object({
+            otid: { type: 'string' },
+            ok: { type: 'boolean' },
+            updated_segments: { type: 'integer' },
+            error: nullable(object({ code: { type: 'string' }, message: { type: 'string' } }, ['code', 'message']))
+        }, ['otid', 'ok', 'updated_segments', 'error']))
+    }, ['source_id', 'target_id', 'speeches', 'updated_segments', 'source_deleted', 'failed', 'results']),
+    TranscriptSpeakers: object({
+        speech_id: { type: 'string' },
+        speakers: listOf(object({
+            id: NULLABLE_ID,
+            name: nullable({ type: 'string' }),
+            segment_count: { type: 'integer' },
+            talk_time: { type: 'number', description: 'Seconds' }
+        })),
+        segments: listOf(object({
+            id: { type: 'string' },
+            speaker_id: NULLABLE_ID,
+            speaker: nullable({ type: 'string' }),
+            start: { type: 'number' },
+            end: { type: 'number' }
+        }))
+    }, ['speech_id', 'speakers', 'segments']),
+    SpeakerTagRequest: object({
+        speaker_id: ID,
+        segment_ids: listOf(ID, { minItems: 1 }),
+        start: nullable({ type: 'number', minimum: 0, description: 'Seconds' }),
+        end: nullable({ type: 'number', minimum: 0, description: 'Seconds' })
+    }, ['speaker_id']),
+    SpeakerTagResult: object({
+        otid: { type: 'string' },
+        speaker_id: ID,
+        speaker_name: nullable({ type: 'string' }),
+        matched: { type: 'integer' },
+        updated_segments: listOf({ type: 'string' })
+    }, ['otid', 'speaker_id', 'matched', 'updated_segments']),
+
+    Folder: object({ id: NULLABLE_ID, name: nullable({ type: 'string' }), speech_count: nullable({ type: 'integer' }) }, ['id', 'name']),
+    FolderList: object({ total_count: { type: 'integer' }, folders: listOf(ref('Folder')) }, ['total_count', 'folders']),
+    Group: object({ id: NULLABLE_ID, name: nullable({ type: 'string' }), member_count: nullable({ type: 'integer' }) }, ['id', 'name']),
+    GroupList: object({ total_count: { type: 'integer' }, groups: listOf(ref('Group')) }, ['total_count', 'groups']),
+    SpeechIdsRequest: object({
+        speech_ids: listOf({ type: 'string', minLength: 1 }, { minItems: 1, maxItems: 500 }),
+        dry_run: { type: 'boolean', description: 'Trash routes only: check without changing anything' }
+    }, ['speech_ids']),
+    FolderSpeeches: object({ folder_id: { type: 'integer' }, speech_ids: listOf({ type: 'string' }) }, ['folder_id', 'speech_ids']),
+    GroupSpeeches: object({ group_id: { type: 'integer' }, speech_ids: listOf({ type: 'string' }) }, ['group_id', 'speech_ids']),
+
+    SpeechDeleteResult: object({
+        speech_id: { type: 'string' },
+        action: { type: 'string', enum: ['trash', 'delete'] },
+        dry_run: { type: 'boolean' },
+        ok: { type: 'boolean' }
+    }, ['speech_id', 'action', 'dry_run', 'ok']),
+    TrashList: object({ total_count: { type: 'integer' }, speeches: listOf(ref('SpeechSummary')) }, ['total_count', 'speeches']),
+    BulkResult: object({
+        action: { type: 'string', enum: ['trash', 'restore', 'delete'] },
+        dry_run: { type: 'boolean' },
+        requested: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: listOf(object({
+            otid: { type: 'string' },
+            ok: { type: 'boolean' },
+            error: nullable(object({ code: { type: 'string' }, message: { type: 'string' } }, ['code', 'message']))
+        }, ['otid', 'ok', 'error']))
+    }, ['action', 'dry_run', 'requested', 'succeeded', 'failed', 'results']),
+
+    Job: object({
+        id: { type: 'string' },
+        type: { type: 'string', enum: ['upload', 'export'] },
+        status: { type: 'string', enum: ['pending', 'uploading', 'uploaded', 'processing', 'exporting', 'complete', 'failed'] },
+        progress: nullable(object({
+            phase: { type: 'string' },
+            percent: nullable({ type: 'number' }),
+            loaded: nullable({ type: 'integer' }),
+            total: nullable({ type: 'integer' })
+        })),
+        otid: nullable({ type: 'string' }),
+        file: nullable(object({
+            name: nullable({ type: 'string' }),
+            content_type: nullable({ type: 'string' }),
+            size: nullable({ type: 'integer' })
+        })),
+        error: nullable(object({ code: { type: 'string' }, message: { type: 'string' } }, ['code', 'message'])),
+        created_at: TIMESTAMP,
+        updated_at: TIMESTAMP,
+        links: object({
+            self: { type: 'string' },
+            transcript: { type: 'string' },
+            download: { type: 'string' }
+        }, ['self']),
+        speech_ids: nullable(listOf({ type: 'string' }, { description: 'Export jobs only' })),
+        folder_id: nullable({ type: 'integer', description: 'Export jobs only' }),
+        formats: listOf({ type: 'string', enum: BULK_EXPORT_FORMATS }, { description: 'Export jobs only' })
+    }, ['id', 'type', 'status', 'progress', 'otid', 'file', 'error', 'created_at', 'updated_at', 'links']),
+    UploadRequest: object({
+        language: { type: 'string', pattern: '^[a-z]{2}$' },
+        country: { type: 'string', pattern: '^[a-z]{2}$' },
+        folder_id: { type: 'integer', minimum: 0 },
+        size: { type: 'integer', minimum: 1, maximum: limits.uploadMaxBytes, description: 'File size in bytes, for progress reporting' },
+        file: { type: 'string', format: 'binary', description: 'Audio or video; send it after the other fields' }
+    }, ['file']),
+    ExportRequest: object({
+        speech_ids: listOf({ type: 'string', minLength: 1 }, { minItems: 1, maxItems: 500 }),
+        folder_id: { type: 'integer', minimum: 0 },
+        formats: {
+            anyOf: [
+                listOf({ type: 'string', enum: BULK_EXPORT_FORMATS }, { minItems: 1 }),
+                { type: 'string', description: 'Comma-separated formats' }
+            ],
+            default: BULK_EXPORT_FORMATS
+        }
+    }),
+
+    Webhook: object({
+        id: { type: 'string' },
+        url: { type: 'string', format: 'uri' },
+        events: listOf({ type: 'string', enum: EVENT_TYPES }),
+        created_at: TIMESTAMP,
+        secret: { type: 'string', description: 'Signing secret; only returned on creation' }
+    }, ['id', 'url', 'events', 'created_at']),
+    WebhookList: object({ total_count: { type: 'integer' }, webhooks: listOf(ref('Webhook')) }, ['total_count', 'webhooks']),
+    WebhookRequest: object({
+        url: { type: 'string', format: 'uri', minLength: 1 },
+        events: listOf({ type: 'string', enum: EVENT_TYPES }, { minItems: 1 }),
+        secret: { type: 'string', minLength: 16 }
+    }, ['url']),
+
+    ApiKey: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        prefix: { type: 'string' },
+        scopes: listOf({ type: 'string', enum: SCOPES }),
+        status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+        otter_username: nullable({ type: 'string' }),
+        otter_userid: ID,
+        created_at: TIMESTAMP,
+        expires_at: nullable(TIMESTAMP),
+        revoked_at: nullable(TIMESTAMP),
+        last_used_at: nullable(TIMESTAMP),
+        rotated_from: nullable({ type: 'string' }),
+        replaced_by: nullable({ type: 'string' })
+    }, ['id', 'name', 'prefix', 'scopes', 'status', 'otter_userid', 'created_at', 'expires_at', 'revoked_at', 'last_used_at', 'rotated_from', 'replaced_by']),
+    ApiKeyWithSecret: {
+        allOf: [
+            ref('ApiKey'),
+            object({ key: { type: 'string', description: 'Plaintext key; shown only once' } }, ['key'])
+        ]
+    },
+    ApiKeyList: object({ total_count: { type: 'integer' }, keys: listOf(ref('ApiKey')) }, ['total_count', 'keys']),
+    ApiKeyRequest: object({
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: listOf({ type: 'string', enum: SCOPES }, { minItems: 1 }),
+        session_id: { type: 'string', description: 'Existing server session the key acts as' },
+        username: { type: 'string', description: 'Otter.ai login for the key, used once and not stored' },
+        password: { type: 'string', format: 'password' },
+        expires_in: { type: 'integer', minimum: 1, description: 'Seconds' },
+        expires_at: nullable(TIMESTAMP)
+    }, ['name', 'scopes']),
+    ApiKeyRotateRequest: object({
+        grace_period: { type: 'integer', minimum: 0, maximum: limits.maxRotationGrace, default: 0, description: 'Seconds the old key keeps working' }
+    })
+});
+
+const buildPaths = (limits) => ({
+    '/health': {
+        get: {
+            tags: ['Server'],
+            operationId: 'getHealth',
+            summary: 'Health check',
+            security: [],
+            responses: {
+                200: jsonResponse('Server is up', object({ status: { type: 'string' }, timestamp: TIMESTAMP }, ['status', 'timestamp']))
+            }
+        }
+    },
+    '/api/openapi.json': {
+        get: {
+            tags: ['Server'],
+            operationId: 'getOpenApiDocument',
+            summary: 'This document',
+            security: [],
+            responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+        }
+    },
+    '/api/auth/login': {
+        post: {
+            tags: ['Authentication'],
+            operationId: 'login',
+            summary: 'Log in with Otter.ai credentials and start a session',
+            security: [],
+            requestBody: jsonBody(ref('LoginRequest')),
+            responses: {
+                200: jsonResponse('Session created; send sessionId as the session-id header', ref('LoginResponse')),
+                ...errorResponses(400, 401, 429, 502)
+            }
+        }
+    },
+    '/api/auth/logout': {
+        post: {
+            tags: ['Authentication'],
+            operationId: 'logout',
+            summary: 'End a session',
+            description: 'The session comes from the session-id header or the body.',
+            security: [{ sessionId: [] }, {}],
+            requestBody: jsonBody(ref('LogoutRequest'), { required: false }),
+            responses: { 200: jsonResponse('Logged out', ref('LogoutResponse')), ...errorResponses(400) }
+        }
+    },
+    '/api/speech-ids': {
+        get: sessionOperation('read', {
+            tags: ['Speeches'],
+            operationId: 'listSpeeches',
+            summary: 'List owned and shared speeches',
+            description: 'Everything in one response, or pages when `cursor` or `limit` is given.',
+            parameters: [
+                queryParam('cursor', { type: 'string' }, 'next_cursor from the previous page'),
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: limits.maxPageLimit }, `Page size (default 100)`),
+                queryParam('folder_id', { type: 'integer', minimum: 0 }, 'Only speeches in this folder'),
+                queryParam('group_id', { type: 'integer', minimum: 0 }, 'Only speeches whose shared_groups include this group')
+            ],
+            responses: { 200: jsonResponse('Speeches', ref('SpeechList')) }
+        })
+    },
+    '/api/transcript/{speechId}': {
+        parameters: [SPEECH_ID],
+        get: sessionOperation('read', {
+            tags: ['Transcripts'],
+            operationId: 'getTranscript',
+            summary: 'Get a transcript',
+            description: 'With `format` the transcript is rendered as a file instead; `format=json` returns the structured transcript.',
+            parameters: [
+                queryParam('format', { type: 'string', enum: Object.keys(TRANSCRIPT_FORMATS) }, 'Render as a subtitle or text file'),
+                queryParam('max_line_length', { type: 'integer', minimum: 10 }, 'Characters per subtitle line (default 42)'),
+                queryParam('merge_speakers', { type: 'boolean' }, 'Merge consecutive segments from the same speaker'),
+                queryParam('granularity', { type: 'string', enum: GRANULARITIES }, 'Timestamp precision (default ms)')
+            ],
+            responses: {
+                200: {
+                    description: 'Transcript',
+                    headers: { 'Last-Modified': { schema: { type: 'string' } } },
+                    content: {
+                        'application/json': { schema: ref('Transcript') },
+                        ...Object.fromEntries(Object.entries(TRANSCRIPT_FORMATS)
+                            .filter(([format]) => format !== 'json')
+                            .map(([, { contentType }]) => [contentType.split(';')[0], { schema: { type: 'string' } }]))
+                    }
+                }
+            },
+            extraErrors: [404]
+        }),
+        patch: sessionOperation('write', {
+            tags: ['Transcripts'],
+            operationId: 'editTranscript',
+            summary: 'Edit the title, summary or segment text',
+            parameters: [{
+                name: 'If-Unmodified-Since',
+                in: 'header',
+                required: false,
+                description: 'Reject the edit if the speech changed since (or send modified_time)',
+                schema: { type: 'string' }
+            }],
+            requestBody: jsonBody(ref('TranscriptEdit')),
+            responses: { 200: jsonResponse('Edited', ref('TranscriptEditResult')) },
+            extraErrors: [404, 409]
+        })
+    },
+    '/api/transcript/{speechId}/speakers': {
+        parameters: [SPEECH_ID],
+        get: sessionOperation('read', {
+            tags: ['Speakers'],
+            operationId: 'getTranscriptSpeakers',
+            summary: 'Speakers in a transcript and their talk time',
+            responses: { 200: jsonResponse('Speakers', ref('TranscriptSpeakers')) },
+            extraErrors: [404]
+        }),
+        post: sessionOperation('write', {
+            tags: ['Speakers'],
+            operationId: 'tagTranscriptSpeaker',
+            summary: 'Tag segments with a speaker, by segment ID or time range',
+            requestBody: jsonBody(ref('SpeakerTagRequest')),
+            responses: { 200: jsonResponse('Tagged', ref('SpeakerTagResult')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/search': {
+        get: sessionOperation('read', {
+            tags: ['Search'],
+            operationId: 'search',
+            summary: 'Full-text search across every accessible speech',
+            parameters: [
+                { ...queryParam('q', { type: 'string', minLength: 1, maxLength: 200 }, 'Search terms; quote phrases'), required: true },
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: limits.searchMaxLimit }, 'Hits per page (default 20)'),
+                queryParam('offset', { type: 'integer', minimum: 0 }, 'Hits to skip'),
+                queryParam('from', { type: 'string' }, 'Only speeches created on or after this ISO 8601 date'),
+                queryParam('to', { type: 'string' }, 'Only speeches created on or before this ISO 8601 date'),
+                queryParam('folder_id', { type: 'integer', minimum: 0 }, 'Only speeches in this folder'),
+                queryParam('speaker', { type: 'string' }, 'Only segments by this speaker'),
+                queryParam('refresh', { type: 'boolean' }, 'Start a refresh of the index now')
+            ],
+            responses: {
+                200: jsonResponse('Search hits', ref('SearchResults')),
+                202: jsonResponse('The index is still being built; search again later', ref('SearchResults'), {
+                    'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before searching again' }
+                })
+            }
+        })
+    },
+    '/api/speakers': {
+        get: sessionOperation('read', {
+            tags: ['Speakers'],
+            operationId: 'listSpeakers',
+            summary: 'List speakers',
+            responses: { 200: jsonResponse('Speakers', ref('SpeakerList')) }
+        }),
+        post: sessionOperation('write', {
+            tags: ['Speakers'],
+            operationId: 'createSpeaker',
+            summary: 'Create a speaker',
+            requestBody: jsonBody(ref('NameRequest')),
+            responses: { 201: jsonResponse('Created', ref('Speaker')) }
+        })
+    },
+    '/api/speakers/{speakerId}': {
+        parameters: [SPEAKER_ID],
+        patch: sessionOperation('write', {
+            tags: ['Speakers'],
+            operationId: 'renameSpeaker',
+            summary: 'Rename a speaker',
+            requestBody: jsonBody(ref('NameRequest')),
+            responses: { 200: jsonResponse('Renamed', ref('Speaker')) },
+            extraErrors: [404]
+        }),
+        delete: sessionOperation('delete', {
+            tags: ['Speakers'],
+            operationId: 'deleteSpeaker',
+            summary: 'Delete a speaker',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/speakers/{speakerId}/merge': {
+        parameters: [SPEAKER_ID],
+        post: sessionOperation('write', {
+            tags: ['Speakers'],
+            operationId: 'mergeSpeakers',
+            summary: 'Merge a speaker into another',
+            description: 'Segments are reassigned to `into`; the speaker is then deleted unless `delete_source` is false.',
+            requestBody: jsonBody(ref('SpeakerMergeRequest')),
+            responses: { 200: jsonResponse('Merged', ref('SpeakerMergeResult')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/folders': {
+        get: sessionOperation('read', {
+            tags: ['Folders'],
+            operationId: 'listFolders',
+            summary: 'List folders',
+            responses: { 200: jsonResponse('Folders', ref('FolderList')) }
+        }),
+        post: sessionOperation('write', {
+            tags: ['Folders'],
+            operationId: 'createFolder',
+            summary: 'Create a folder',
+            requestBody: jsonBody(ref('NameRequest')),
+            responses: { 201: jsonResponse('Created', ref('Folder')) }
+        })
+    },
+    '/api/folders/{folderId}': {
+        parameters: [FOLDER_ID],
+        patch: sessionOperation('write', {
+            tags: ['Folders'],
+            operationId: 'renameFolder',
+            summary: 'Rename a folder',
+            requestBody: jsonBody(ref('NameRequest')),
+            responses: { 200: jsonResponse('Renamed', ref('Folder')) },
+            extraErrors: [404]
+        }),
+        delete: sessionOperation('delete', {
+            tags: ['Folders'],
+            operationId: 'deleteFolder',
+            summary: 'Delete a folder; its speeches are kept',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/folders/{folderId}/speeches': {
+        parameters: [FOLDER_ID],
+        post: sessionOperation('write', {
+            tags: ['Folders'],
+            operationId: 'addFolderSpeeches',
+            summary: 'Move speeches into a folder',
+            requestBody: jsonBody(ref('SpeechIdsRequest')),
+            responses: { 200: jsonResponse('Moved', ref('FolderSpeeches')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/folders/{folderId}/speeches/{speechId}': {
+        parameters: [FOLDER_ID, SPEECH_ID],
+        delete: sessionOperation('write', {
+            tags: ['Folders'],
+            operationId: 'removeFolderSpeech',
+            summary: 'Take a speech out of a folder',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/groups': {
+        get: sessionOperation('read', {
+            tags: ['Groups'],
+            operationId: 'listGroups',
+            summary: 'List groups',
+            responses: { 200: jsonResponse('Groups', ref('GroupList')) }
+        })
+    },
+    '/api/groups/{groupId}/speeches': {
+        parameters: [GROUP_ID],
+        post: sessionOperation('write', {
+            tags: ['Groups'],
+            operationId: 'shareWithGroup',
+            summary: 'Share speeches with a group',
+            requestBody: jsonBody(ref('SpeechIdsRequest')),
+            responses: { 200: jsonResponse('Shared', ref('GroupSpeeches')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/groups/{groupId}/speeches/{speechId}': {
+        parameters: [GROUP_ID, SPEECH_ID],
+        delete: sessionOperation('write', {
+            tags: ['Groups'],
+            operationId: 'unshareFromGroup',
+            summary: 'Stop sharing a speech with a group',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/speeches': {
+        post: sessionOperation('upload', {
+            tags: ['Uploads'],
+            operationId: 'uploadSpeech',
+            summary: 'Upload audio or video as a new speech',
+            description: 'Answers with a job to poll as soon as the file starts arriving; the file is streamed to Otter.ai behind it.',
+            requestBody: {
+                required: true,
+                content: { 'multipart/form-data': { schema: ref('UploadRequest') } }
+            },
+            responses: {
+                202: jsonResponse('Upload accepted', ref('Job'), { Location: { schema: { type: 'string' } } })
+            }
+        })
+    },
+    '/api/speeches/{speechId}': {
+        parameters: [SPEECH_ID],
+        delete: sessionOperation('delete', {
+            tags: ['Trash'],
+            operationId: 'deleteSpeech',
+            summary: 'Move a speech to the trash, or delete it for good',
+            parameters: [
+                queryParam('permanent', { type: 'boolean' }, 'Permanently delete a speech that is already in the trash'),
+                DRY_RUN
+            ],
+            responses: { 200: jsonResponse('Done', ref('SpeechDeleteResult')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/trash': {
+        get: sessionOperation('read', {
+            tags: ['Trash'],
+            operationId: 'listTrash',
+            summary: 'List trashed speeches',
+            parameters: [queryParam('limit', { type: 'integer', minimum: 1, maximum: limits.maxPageLimit }, `At most this many (default ${limits.maxPageLimit})`)],
+            responses: { 200: jsonResponse('Trashed speeches', ref('TrashList')) }
+        }),
+        post: sessionOperation('delete', {
+            tags: ['Trash'],
+            operationId: 'trashSpeeches',
+            summary: 'Move speeches to the trash',
+            parameters: [DRY_RUN],
+            requestBody: jsonBody(ref('SpeechIdsRequest')),
+            responses: { 200: jsonResponse('Result per speech', ref('BulkResult')) }
+        })
+    },
+    '/api/trash/restore': {
+        post: sessionOperation('delete', {
+            tags: ['Trash'],
+            operationId: 'restoreSpeeches',
+            summary: 'Restore speeches from the trash',
+            parameters: [DRY_RUN],
+            requestBody: jsonBody(ref('SpeechIdsRequest')),
+            responses: { 200: jsonResponse('Result per speech', ref('BulkResult')) }
+        })
+    },
+    '/api/trash/delete': {
+        post: sessionOperation('delete', {
+            tags: ['Trash'],
+            operationId: 'deleteSpeechesPermanently',
+            summary: 'Permanently delete trashed speeches',
+            parameters: [DRY_RUN],
+            requestBody: jsonBody(ref('SpeechIdsRequest')),
+            responses: { 200: jsonResponse('Result per speech', ref('BulkResult')) }
+        })
+    },
+    '/api/uploads/{jobId}': {
+        parameters: [JOB_ID],
+        get: sessionOperation('upload', {
+            tags: ['Uploads'],
+            operationId: 'getUploadJob',
+            summary: 'Upload and transcription status',
+            responses: { 200: jsonResponse('Upload job', ref('Job')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/exports': {
+        post: sessionOperation('read', {
+            tags: ['Exports'],
+            operationId: 'createExport',
+            summary: 'Export speeches (by ID or a whole folder) as one zip',
+            description: 'Send either `speech_ids` or `folder_id`. Answers with a job to poll, or with the export itself '
+                + 'when exports do not run in the background (serverless hosts, `EXPORT_IN_BACKGROUND=false`).',
+            requestBody: jsonBody(ref('ExportRequest')),
+            responses: {
+                200: {
+                    description: 'The export, when it does not run in the background',
+                    content: {
+                        'application/zip': { schema: { type: 'string', format: 'binary' } },
+                        'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+                    }
+                },
+                202: jsonResponse('Export started', ref('Job'), { Location: { schema: { type: 'string' } } })
+            }
+        })
+    },
+    '/api/exports/{jobId}': {
+        parameters: [JOB_ID],
+        get: sessionOperation('read', {
+            tags: ['Exports'],
+            operationId: 'getExportJob',
+            summary: 'Export status and progress',
+            responses: { 200: jsonResponse('Export job', ref('Job')) },
+            extraErrors: [404]
+        })
+    },
+    '/api/exports/{jobId}/download': {
+        parameters: [JOB_ID],
+        get: sessionOperation('read', {
+            tags: ['Exports'],
+            operationId: 'downloadExport',
+            summary: 'Download a finished export',
+            responses: {
+                200: { description: 'Zip archive', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } }
+            },
+            extraErrors: [404, 409]
+        })
+    },
+    '/api/webhooks': {
+        get: sessionOperation('read', {
+            tags: ['Webhooks'],
+            operationId: 'listWebhooks',
+            summary: 'List webhook subscriptions',
+            responses: { 200: jsonResponse('Subscriptions', ref('WebhookList')) }
+        }),
+        post: sessionOperation('write', {
+            tags: ['Webhooks'],
+            operationId: 'createWebhook',
+            summary: 'Subscribe a URL to speech events',
+            description: 'Subscriptions live in the memory of one server process; serverless hosts refuse them with 403.',
+            requestBody: jsonBody(ref('WebhookRequest')),
+            responses: {
+                201: jsonResponse('Subscribed; the secret is only returned here', ref('Webhook'), { Location: { schema: { type: 'string' } } })
+            }
+        })
+    },
+    '/api/webhooks/{id}': {
+        parameters: [pathParam('id', { type: 'string', minLength: 1 }, 'Webhook ID')],
+        delete: sessionOperation('write', {
+            tags: ['Webhooks'],
+            operationId: 'deleteWebhook',
+            summary: 'Remove a webhook subscription',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/admin/keys': {
+        get: adminOperation({
+            operationId: 'listApiKeys',
+            summary: 'List API keys',
+            responses: { 200: jsonResponse('API keys, without secrets', ref('ApiKeyList')) }
+        }),
+        post: adminOperation({
+            operationId: 'createApiKey',
+            summary: 'Create an API key',
+            description: 'Bind the key to an existing `session_id`, or to a fresh login with `username` and `password`.',
+            requestBody: jsonBody(ref('ApiKeyRequest')),
+            responses: { 201: jsonResponse('Created; the key is only returned here', ref('ApiKeyWithSecret')) },
+            extraErrors: [502]
+        })
+    },
+    '/api/admin/keys/{id}': {
+        parameters: [KEY_ID],
+        get: adminOperation({
+            operationId: 'getApiKey',
+            summary: 'Get an API key',
+            responses: { 200: jsonResponse('API key', ref('ApiKey')) },
+            extraErrors: [404]
+        }),
+        delete: adminOperation({
+            operationId: 'revokeApiKey',
+            summary: 'Revoke an API key',
+            responses: { 204: NO_CONTENT },
+            extraErrors: [404]
+        })
+    },
+    '/api/admin/keys/{id}/rotate': {
+        parameters: [KEY_ID],
+        post: adminOperation({
+            operationId: 'rotateApiKey',
+            summary: 'Replace an API key',
+            description: 'The old key stops now, or after `grace_period` seconds.',
+            requestBody: jsonBody(ref('ApiKeyRotateRequest'), { required: false }),
+            responses: { 201: jsonResponse('Replacement key; only returned here', ref('ApiKeyWithSecret')) },
+            extraErrors: [404]
+        })
+    }
+});
+
+const buildOpenApiDocument = (limits = {}) => {
+    const resolvedLimits = { ...DEFAULT_LIMITS, ...limits };
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Otter.ai API',
+            version: '1.0.0',
+            description: 'Gateway to Otter.ai: speeches, transcripts, search, speakers, folders, uploads, exports and webhooks.'
+        },
+        servers: [{ url: '/' }],
+        security: SESSION_SECURITY,
+        tags: ['Server', 'Authentication', 'Speeches', 'Transcripts', 'Search', 'Speakers', 'Folders', 'Groups', 'Trash', 'Uploads', 'Exports', 'Webhooks', 'API Keys']
+            .map(name => ({ name })),
+        paths: buildPaths(resolvedLimits),
+        components: {
+            securitySchemes: {
+                sessionId: { type: 'apiKey', in: 'header', name: 'session-id', description: 'sessionId from POST /api/auth/login' },
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key (otk_...)' },
+                bearerApiKey: { type: 'http', scheme: 'bearer', description: 'API key (otk_...) as a bearer token' },
+                adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_TOKEN' }
+            },
+            schemas: buildSchemas(resolvedLimits),
+            responses: {
+                ValidationError: jsonResponse('Invalid request', ref('Error')),
+                AuthenticationError: jsonResponse('Missing or invalid credentials', ref('Error')),
+                PermissionError: jsonResponse('Not allowed', ref('Error')),
+                NotFoundError: jsonResponse('Not found', ref('Error')),
+                ConflictError: jsonResponse('Conflicts with the current state', ref('Error')),
+                RateLimited: jsonResponse('Too many requests', ref('Error')),
+                UpstreamError: jsonResponse('Otter.ai is unavailable or failed', ref('Error')),
+                InternalError: jsonResponse('Unexpected error', ref('Error'))
+            }
+        }
+    };
+};
+
+if (require.main === module) {
+    console.log(JSON.stringify(buildOpenApiDocument(), null, 2));
+}
+
+module.exports = { buildOpenApiDocument, DEFAULT_LIMITS };
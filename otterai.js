@@ -2,27 +2,306 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
+const { Transform } = stream;
 const { XMLParser } = require('fast-xml-parser');
+const { Transcript, TranscriptSegment, TranscriptWord, normalizeSpeech } = require('./transcript');
+const { FORMATS: TRANSCRIPT_FORMATS, isTranscriptFormat, renderTranscript } = require('./exporters');
+const { CredentialCache } = require('./credential-cache');
+const { CookieJar } = require('./cookie-jar');
+const { RequestPipeline } = require('./request-pipeline');
+const { Cassette } = require('./cassette');
+const { LiveTranscription, LIVE_WS_URL } = require('./live');
+const { Logger, createLogger, stderrLogger: defaultLogger } = require('./logger');
+const {
+    OtterAIException,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError,
+    ValidationError,
+    ConflictError,
+    PermissionError,
+    errorFromResponse,
+    ensureOk
+} = require('./errors');
 
-class OtterAIException extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'OtterAIException';
+// Formats Otter.ai's bulk_export can produce
+const BULK_EXPORT_FORMATS = ['txt', 'pdf', 'mp3', 'docx', 'srt'];
+
+const _withTrailingSlash = (url) => (String(url).endsWith('/') ? String(url) : `${url}/`);
+
+// Pagination cursor for the speeches endpoint: last-modified time and otid of the last speech seen
+const speechCursor = (speech) => {
+    if (!speech || !speech.otid) {
+        return null;
     }
-}
+    return {
+        modifiedTime: speech.modified_time !== undefined ? speech.modified_time : speech.created_at,
+        otid: speech.otid
+    };
+};
+
+// Opaque, URL-safe form of a cursor (including its source) for API clients
+const encodeSpeechCursor = (cursor) => {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeSpeechCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        if (!cursor || typeof cursor !== 'object' || !cursor.otid) {
+            throw new Error('missing otid');
+        }
+        return cursor;
+    } catch (error) {
+        throw new ValidationError('Invalid speeches cursor');
+    }
+};
+
+// Speech modification times arrive as unix seconds but clients may echo them back as ISO dates;
+// compare them at one-second resolution
+const _modifiedSeconds = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        return Math.floor(number);
+    }
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+};
 
 class OtterAI {
     static API_BASE_URL = 'https://otter.ai/forward/api/v1/';
     static S3_BASE_URL = 'https://s3.us-west-2.amazonaws.com/';
+    static LIVE_WS_URL = LIVE_WS_URL;
 
-    constructor() {
+    constructor({
+        username = null,
+        password = null,
+        sessionCache = null,
+        autoRelogin = true,
+        retry = {},
+        maxConcurrency = 4,
+        hooks = {},
+        apiBaseUrl = OtterAI.API_BASE_URL,
+        s3BaseUrl = OtterAI.S3_BASE_URL,
+        liveWsUrl = OtterAI.LIVE_WS_URL,
+        cassette = null,
+        logger = defaultLogger
+    } = {}) {
+        // Base URLs default to Otter.ai; point them at another host (e.g. fake-otter.js) per instance
+        this.apiBaseUrl = _withTrailingSlash(apiBaseUrl);
+        this.s3BaseUrl = _withTrailingSlash(s3BaseUrl);
+        this.liveWsUrl = liveWsUrl;
+        this.logger = logger;
         this.session = axios.create({
             timeout: 30000,
             validateStatus: () => true, // Don't throw on HTTP error status codes
             withCredentials: true // Enable cookies
         });
         this.userid = null;
-        this.cookies = {};
+        this.cookieJar = new CookieJar();
+        this.username = username;
+        this.sessionCache = sessionCache;
+        this.autoRelogin = autoRelogin;
+        this._credentials = username && password ? { username, password } : null;
+        this._reloginPromise = null;
+
+        // Cookies are sent from and refreshed into the jar on every request, including S3 and exports
+        this.session.interceptors.request.use(config => this._applyCookies(config));
+        this.session.interceptors.response.use(response => this._storeCookies(response));
+
+        // Every endpoint method goes through the pipeline (retries, backoff, concurrency cap, hooks,
+        // and re-login on expired sessions)
+        this.pipeline = new RequestPipeline(this.session, {
+            retry,
+            maxConcurrency,
+            hooks,
+            reauthenticate: (config, response) => this._reloginOnExpiry(config, response)
+        });
+
+        // `cassette: { mode: 'record' | 'replay', path }` captures or serves HTTP traffic (see cassette.js)
+        this.cassette = null;
+        if (cassette) {
+            this.cassette = new Cassette(cassette.path, {
+                mode: cassette.mode,
+                baseUrls: { api: this.apiBaseUrl, s3: this.s3BaseUrl }
+            });
+            this.session.defaults.adapter = this.cassette.adapter();
+        }
+    }
+
+    _request(config) {
+        return this.pipeline.request(config);
+    }
+
+    _get(url, config = {}) {
+        return this._request({ ...config, method: 'get', url });
+    }
+
+    _post(url, data, config = {}) {
+        return this._request({ ...config, method: 'post', url, data });
+    }
+
+    // name -> value view of the current cookies
+    get cookies() {
+        return this.cookieJar.toObject();
+    }
+
+    set cookies(values) {
+        // Plain name/value cookies are scoped to the Otter.ai domain
+        this.cookieJar.clear();
+        const domain = new URL(this.apiBaseUrl).hostname;
+        Object.entries(values || {}).forEach(([name, value]) => {
+            this.cookieJar.set(name, value, { domain });
+        });
+    }
+
+    // Base URL overrides from OTTERAI_API_BASE_URL, OTTERAI_S3_BASE_URL and OTTERAI_LIVE_WS_URL;
+    // unset variables keep the Otter.ai defaults
+    static endpointsFromEnv(env = process.env) {
+        return {
+            apiBaseUrl: env.OTTERAI_API_BASE_URL || undefined,
+            s3BaseUrl: env.OTTERAI_S3_BASE_URL || undefined,
+            liveWsUrl: env.OTTERAI_LIVE_WS_URL || undefined
+        };
+    }
+
+    static fromSession(session, options = {}) {
+        // Rebuild a client from the output of exportSession()
+        if (!session || !session.userid) {
+            throw new ValidationError('Cannot restore session: userid is missing');
+        }
+        const otter = new OtterAI({ username: session.username || null, ...options });
+        otter._applySession(session);
+        return otter;
+    }
+
+    exportSession() {
+        // Serializable snapshot of the login state (never includes the password)
+        return {
+            userid: this.userid,
+            username: this.username,
+            cookies: this.cookies,
+            cookieJar: this.cookieJar.toJSON(),
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    _applySession(session) {
+        this.userid = session.userid;
+        this.username = session.username || this.username;
+        if (Array.isArray(session.cookieJar)) {
+            this.cookieJar = CookieJar.fromJSON(session.cookieJar);
+        } else {
+            this.cookies = session.cookies;
+        }
+    }
+
+    async isSessionValid() {
+        // Cheap probe: the user endpoint only answers 200 for a live session
+        if (this._isUseridInvalid()) {
+            return false;
+        }
+        const response = await this._get(this.apiBaseUrl + 'user', { _skipRelogin: true });
+        return response.status === 200;
+    }
+
+    async ensureSession() {
+        // Reuse the in-memory or cached session when it is still valid, otherwise log in again
+        if (this._isUseridInvalid() && this.sessionCache) {
+            const cached = await this.sessionCache.load();
+            if (cached && cached.userid && (!this.username || cached.username === this.username)) {
+                this._applySession(cached);
+            }
+        }
+
+        if (await this.isSessionValid()) {
+            return true;
+        }
+
+        if (!this._credentials) {
+            return false;
+        }
+
+        const response = await this.login(this._credentials.username, this._credentials.password);
+        return response.status === 200;
+    }
+
+    async _reloginOnExpiry(config, response) {
+        // Expired cookies: log in again with the supplied credentials and hand back the request to
+        // replay, or null to keep the 401/403
+        if (!this.autoRelogin || !this._credentials) {
+            return null;
+        }
+
+        // Sent with cookies an earlier re-login has since replaced: replay without logging in again
+        const sentCookies = response.config && response.config.headers ? response.config.headers.Cookie : undefined;
+        if (sentCookies && !this._reloginPromise &&
+            sentCookies !== this.cookieJar.getCookieString(this._requestUrl(response.config))) {
+            return this._replayConfig(config);
+        }
+
+        if (!this._reloginPromise) {
+            this._reloginPromise = this.login(this._credentials.username, this._credentials.password)
+                .finally(() => { this._reloginPromise = null; });
+        }
+        const loginResponse = await this._reloginPromise;
+        if (loginResponse.status !== 200) {
+            return null;
+        }
+
+        return this._replayConfig(config);
+    }
+
+    _replayConfig(config) {
+        // Cookie and CSRF headers are refreshed from the jar when the request is replayed
+        if (config.params && config.params.userid !== undefined) {
+            return { ...config, params: { ...config.params, userid: this.userid } };
+        }
+        return config;
+    }
+
+    _requestUrl(config) {
+        return new URL(config.url, config.baseURL).toString();
+    }
+
+    _applyCookies(config) {
+        const requestUrl = this._requestUrl(config);
+        const cookieString = this.cookieJar.getCookieString(requestUrl);
+        if (cookieString) {
+            config.headers.set('Cookie', cookieString);
+        } else {
+            config.headers.delete('Cookie');
+        }
+
+        // Always send the latest CSRF token, it rotates during long-lived sessions
+        if (config.headers.has('x-csrftoken')) {
+            const csrfToken = this.cookieJar.get('csrftoken', requestUrl) || this.cookieJar.get('csrftoken');
+            config.headers.set('x-csrftoken', csrfToken);
+        }
+        return config;
+    }
+
+    _storeCookies(response) {
+        this.cookieJar.setFromResponse(response);
+        return response;
+    }
+
+    _csrfToken() {
+        return this.cookieJar.get('csrftoken', this.apiBaseUrl) || this.cookieJar.get('csrftoken');
+    }
+
+    _wrapError(error, message, endpoint) {
+        // Typed errors pass through; transport failures become UpstreamErrors
+        if (error instanceof OtterAIException) {
+            return error;
+        }
+        return new UpstreamError(`${message}: ${error.message}`, { endpoint, cause: error });
     }
 
     _isUseridInvalid() {
@@ -33,6 +312,10 @@ class OtterAI {
         if (data) {
             return { status: response.status, data: data };
         }
+        if (response.status === 429 && response.headers && response.headers['retry-after'] !== undefined) {
+            // Kept so errorFromResponse (and the API server) can pass Otter.ai's Retry-After on
+            return { status: response.status, data: response.data, headers: { 'retry-after': response.headers['retry-after'] } };
+        }
         try {
             return { status: response.status, data: response.data };
         } catch (error) {
@@ -40,44 +323,21 @@ class OtterAI {
         }
     }
 
-    _extractCookies(response) {
-        const cookies = {};
-        const setCookieHeader = response.headers['set-cookie'];
-        if (setCookieHeader) {
-            setCookieHeader.forEach(cookie => {
-                const [nameValue] = cookie.split(';');
-                const [name, value] = nameValue.split('=');
-                if (name && value) {
-                    cookies[name.trim()] = value.trim();
-                }
-            });
-        }
-        return cookies;
-    }
-
-    _setCookieHeader() {
-        if (Object.keys(this.cookies).length > 0) {
-            const cookieString = Object.entries(this.cookies)
-                .map(([name, value]) => `${name}=${value}`)
-                .join('; ');
-            this.session.defaults.headers.common['Cookie'] = cookieString;
-        }
-    }
-
     async login(username, password) {
         // API URL
-        const authUrl = OtterAI.API_BASE_URL + 'login';
+        const authUrl = this.apiBaseUrl + 'login';
         // Query Parameters
         const params = { username: username };
         
         try {
             // GET with basic authentication
-            const response = await this.session.get(authUrl, {
+            const response = await this._get(authUrl, {
                 params: params,
                 auth: {
                     username: username,
                     password: password
-                }
+                },
+                _skipRelogin: true
             });
 
             // Check status
@@ -85,36 +345,41 @@ class OtterAI {
                 return this._handleResponse(response);
             }
 
-            // Set userid & cookies
+            // Set userid (cookies were stored in the jar by the response interceptor)
             this.userid = response.data.userid;
-            this.cookies = this._extractCookies(response);
-            this._setCookieHeader(); // Set cookies for subsequent requests
+
+            // Remember credentials so an expired session can be renewed
+            this.username = username;
+            this._credentials = { username, password };
+            if (this.sessionCache) {
+                await this.sessionCache.save(this.exportSession());
+            }
 
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Login failed: ${error.message}`);
+            throw this._wrapError(error, 'Login failed', 'login');
         }
     }
 
     async getUser() {
         // API URL
-        const userUrl = OtterAI.API_BASE_URL + 'user';
+        const userUrl = this.apiBaseUrl + 'user';
         
         try {
             // GET
-            const response = await this.session.get(userUrl);
+            const response = await this._get(userUrl);
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get user failed: ${error.message}`);
+            throw this._wrapError(error, 'Get user failed', 'user');
         }
     }
 
     async getSpeakers() {
         // API URL
-        const speakersUrl = OtterAI.API_BASE_URL + 'speakers';
+        const speakersUrl = this.apiBaseUrl + 'speakers';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Parameters
@@ -122,19 +387,19 @@ class OtterAI {
         
         try {
             // GET
-            const response = await this.session.get(speakersUrl, { params });
+            const response = await this._get(speakersUrl, { params });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get speakers failed: ${error.message}`);
+            throw this._wrapError(error, 'Get speakers failed', 'speakers');
         }
     }
 
-    async getSpeeches(folder = 0, pageSize = 45, source = "owned") {
+    async getSpeeches(folder = 0, pageSize = 45, source = "owned", cursor = null) {
         // API URL
-        const speechesUrl = OtterAI.API_BASE_URL + 'speeches';
+        const speechesUrl = this.apiBaseUrl + 'speeches';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Parameters
@@ -144,43 +409,80 @@ class OtterAI {
             page_size: pageSize,
             source: source
         };
+
+        // Continue after the last speech of the previous page
+        if (cursor) {
+            params.last_load_ts = cursor.modifiedTime;
+            params.last_load_speech_id = cursor.otid;
+        }
         
         try {
             // GET
-            const response = await this.session.get(speechesUrl, { params });
+            const response = await this._get(speechesUrl, { params });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get speeches failed: ${error.message}`);
+            throw this._wrapError(error, 'Get speeches failed', 'speeches');
         }
     }
 
-    async getAllSpeeches(folder = 0, source = "owned", maxSpeeches = 1000) {
-        // Get all speeches by making multiple requests with different page sizes
-        // Note: Otter.ai API doesn't seem to support offset-based pagination
-        // So we'll try to get the maximum number of speeches in a single request
-        
+    async *iterateSpeeches({ folder = 0, source = "owned", pageSize = 100, cursor = null, limit = Infinity } = {}) {
+        // Follow the last-modified/otid cursor until Otter reports the end of the list
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
-        try {
-            console.log(`Getting all ${source} speeches from folder ${folder}...`);
-            
-            // First, try with a large page size to get as many as possible
-            const largePageSize = Math.min(maxSpeeches, 200); // Some APIs have limits
-            const response = await this.getSpeeches(folder, largePageSize, source);
-            
+        let nextCursor = cursor;
+        let yielded = 0;
+
+        while (yielded < limit) {
+            const response = await this.getSpeeches(folder, pageSize, source, nextCursor);
+
             if (response.status !== 200 || !response.data?.speeches) {
-                throw new OtterAIException(`Failed to get speeches: ${response.status}`);
+                throw errorFromResponse(response, 'speeches', `Failed to get speeches: ${response.status}`);
             }
 
             const speeches = response.data.speeches;
-            console.log(`Retrieved ${speeches.length} speeches`);
 
-            // Check if there might be more speeches by testing with different methods
-            if (speeches.length === largePageSize) {
-                console.log(`⚠️  Retrieved maximum page size (${largePageSize}). There might be more speeches.`);
-                console.log(`   The Otter.ai API may have pagination limitations.`);
+            for (const speech of speeches) {
+                if (yielded >= limit) {
+                    return;
+                }
+                yielded++;
+                yield speech;
+            }
+
+            const endOfList = response.data.end_of_list === true || speeches.length < pageSize;
+            const pageCursor = speechCursor(speeches[speeches.length - 1]);
+
+            // Stop on the last page, or if the cursor did not move (guards against looping forever)
+            if (endOfList || !pageCursor || (nextCursor && pageCursor.otid === nextCursor.otid)) {
+                return;
+            }
+            nextCursor = pageCursor;
+        }
+    }
+
+    async getAllSpeeches(folder = 0, source = "owned", maxSpeeches = Infinity) {
+        // Get all speeches by following the pagination cursor page by page
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        try {
+            this.logger.debug('Listing speeches', { source, folder });
+
+            // Reading one speech past maxSpeeches tells whether another page exists
+            const speeches = [];
+            for await (const speech of this.iterateSpeeches({ folder, source, limit: maxSpeeches + 1 })) {
+                speeches.push(speech);
+            }
+            const truncated = speeches.length > maxSpeeches;
+            if (truncated) {
+                speeches.pop();
+            }
+            this.logger.debug('Listed speeches', { source, folder, count: speeches.length, truncated });
+            if (truncated) {
+                this.logger.warn('Stopped at maxSpeeches; there may be more speeches', { source, folder, max_speeches: maxSpeeches });
             }
 
             return {
@@ -189,21 +491,22 @@ class OtterAI {
                     status: 'OK',
                     speeches: speeches,
                     total_count: speeches.length,
-                    note: speeches.length === largePageSize ? 
-                        'Max page size reached - there may be more speeches' : 
+                    next_cursor: truncated ? encodeSpeechCursor({ source, ...speechCursor(speeches[speeches.length - 1]) }) : null,
+                    note: truncated ?
+                        'maxSpeeches reached - there may be more speeches' :
                         'All available speeches retrieved'
                 }
             };
 
         } catch (error) {
-            throw new OtterAIException(`Get all speeches failed: ${error.message}`);
+            throw this._wrapError(error, 'Get all speeches failed', 'speeches');
         }
     }
 
-    async getAllSpeechesFromAllSources(folder = 0, maxPerSource = 500) {
+    async getAllSpeechesFromAllSources(folder = 0, maxPerSource = Infinity) {
         // Get speeches from all available sources
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         const sources = ["owned", "shared"];
@@ -212,20 +515,25 @@ class OtterAI {
             shared: [],
             total: 0
         };
+        // Sources that could not be listed; their (empty) lists must not be read as deletions
+        const failedSources = [];
 
         try {
             for (const source of sources) {
-                console.log(`\n🔄 Getting all ${source} speeches...`);
                 try {
                     const result = await this.getAllSpeeches(folder, source, maxPerSource);
                     if (result.data?.speeches) {
                         allSpeeches[source] = result.data.speeches;
                         allSpeeches.total += result.data.speeches.length;
-                        console.log(`✅ Retrieved ${result.data.speeches.length} ${source} speeches`);
                     }
                 } catch (error) {
-                    console.log(`⚠️  Failed to get ${source} speeches: ${error.message}`);
+                    // An expired session or rate limit affects every source, so don't hide it
+                    if (error instanceof AuthenticationError || error instanceof RateLimitError) {
+                        throw error;
+                    }
+                    this.logger.warn('Failed to list speeches from one source', { source, folder, error });
                     allSpeeches[source] = [];
+                    failedSources.push(source);
                 }
             }
 
@@ -235,6 +543,7 @@ class OtterAI {
                     status: 'OK',
                     speeches_by_source: allSpeeches,
                     all_speeches: [...allSpeeches.owned, ...allSpeeches.shared],
+                    failed_sources: failedSources,
                     summary: {
                         owned_count: allSpeeches.owned.length,
                         shared_count: allSpeeches.shared.length,
@@ -244,16 +553,16 @@ class OtterAI {
             };
 
         } catch (error) {
-            throw new OtterAIException(`Get all speeches from all sources failed: ${error.message}`);
+            throw this._wrapError(error, 'Get all speeches from all sources failed', 'speeches');
         }
     }
 
     async getSpeech(speechId) {
         // API URL
-        const speechUrl = OtterAI.API_BASE_URL + 'speech';
+        const speechUrl = this.apiBaseUrl + 'speech';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Params
@@ -261,43 +570,237 @@ class OtterAI {
         
         try {
             // GET
-            const response = await this.session.get(speechUrl, { params });
+            const response = await this._get(speechUrl, { params });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Get speech failed', 'speech');
+        }
+    }
+
+    async getTranscript(speechId) {
+        // Fetch the raw speech and normalize it into a Transcript
+        const response = await this.getSpeech(speechId);
+
+        if (response.status !== 200) {
+            return response;
+        }
+
+        try {
+            return this._handleResponse(response, normalizeSpeech(response.data));
+        } catch (error) {
+            throw this._wrapError(error, 'Get transcript failed', 'speech');
+        }
+    }
+
+    async exportTranscript(speechId, format = 'txt', options = {}) {
+        // Render the transcript locally instead of going through bulk_export
+        if (!isTranscriptFormat(format)) {
+            throw new ValidationError(`Unsupported transcript format: ${format}`);
+        }
+
+        const response = await this.getTranscript(speechId);
+
+        if (response.status !== 200) {
+            return response;
+        }
+
+        try {
+            return this._handleResponse(response, renderTranscript(response.data, format, options));
+        } catch (error) {
+            // Invalid export options surface as RangeErrors from the renderers
+            if (error instanceof RangeError) {
+                throw new ValidationError(`Export transcript failed: ${error.message}`);
+            }
+            throw this._wrapError(error, 'Export transcript failed', 'speech');
+        }
+    }
+
+    async setSpeechTitle(speechId, title) {
+        // API URL
+        const setSpeechTitleUrl = this.apiBaseUrl + 'set_speech_title';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (typeof title !== 'string' || !title.trim()) {
+            throw new ValidationError('A speech title is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { otid: speechId, title: title.trim() };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(setSpeechTitleUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Set speech title failed', 'set_speech_title');
+        }
+    }
+
+    async setSpeechSummary(speechId, summary) {
+        // API URL
+        const setSpeechSummaryUrl = this.apiBaseUrl + 'set_speech_summary';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (summary !== null && typeof summary !== 'string') {
+            throw new ValidationError('A speech summary must be a string or null');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data (an empty summary clears it)
+        const data = { otid: speechId, summary: summary || '' };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(setSpeechSummaryUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Set speech summary failed', 'set_speech_summary');
+        }
+    }
+
+    async editTranscript(speechId, segmentId, text) {
+        // API URL
+        const editTranscriptUrl = this.apiBaseUrl + 'edit_transcript';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new ValidationError('Segment text is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data: segments are addressed by their transcript uuid
+        const data = { otid: speechId, transcript_uuid: segmentId, transcript: text.trim() };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(editTranscriptUrl, data, {
+                params: params,
+                headers: headers
+            });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get speech failed: ${error.message}`);
+            throw this._wrapError(error, 'Edit transcript failed', 'edit_transcript');
         }
     }
 
+    async updateSpeech(speechId, { title, summary, segments } = {}, { ifModifiedTime = null } = {}) {
+        // Apply several edits after one optimistic concurrency check: with ifModifiedTime set,
+        // nothing is written unless the speech is unchanged since that modification time
+        if (title === undefined && summary === undefined && segments === undefined) {
+            throw new ValidationError('Nothing to update: pass title, summary or segments');
+        }
+        if (segments !== undefined && (!Array.isArray(segments) || segments.some(segment => !segment || !segment.id || typeof segment.text !== 'string'))) {
+            throw new ValidationError('segments must be a list of { id, text }');
+        }
+
+        let before = null;
+        if (ifModifiedTime !== null || segments !== undefined) {
+            before = ensureOk(await this.getTranscript(speechId), 'speech', { 404: `No speech found with ID: ${speechId}` }).data;
+        }
+
+        if (ifModifiedTime !== null && _modifiedSeconds(before.modifiedTime) !== _modifiedSeconds(ifModifiedTime)) {
+            throw new ConflictError(`Speech ${speechId} was modified at ${before.modifiedTime}; reload it and retry`, {
+                endpoint: 'speech',
+                currentModifiedTime: before.modifiedTime
+            });
+        }
+
+        if (segments !== undefined) {
+            const known = new Set(before.segments.map(segment => String(segment.id)));
+            const missing = segments.filter(segment => !known.has(String(segment.id))).map(segment => segment.id);
+            if (missing.length > 0) {
+                throw new NotFoundError(`No segments found with ID: ${missing.join(', ')}`, { endpoint: 'speech' });
+            }
+        }
+
+        const updated = { title: false, summary: false, segments: [] };
+        if (title !== undefined) {
+            ensureOk(await this.setSpeechTitle(speechId, title), 'set_speech_title');
+            updated.title = true;
+        }
+        if (summary !== undefined) {
+            ensureOk(await this.setSpeechSummary(speechId, summary), 'set_speech_summary');
+            updated.summary = true;
+        }
+        for (const segment of segments || []) {
+            ensureOk(await this.editTranscript(speechId, segment.id, segment.text), 'edit_transcript');
+            updated.segments.push(segment.id);
+        }
+
+        // Re-read so callers get the new modification time for their next edit
+        const after = ensureOk(await this.getTranscript(speechId), 'speech').data;
+        return { status: 200, data: { otid: speechId, updated, transcript: after } };
+    }
+
     async querySpeech(query, speechId, size = 500) {
         // API URL
-        const querySpeechUrl = OtterAI.API_BASE_URL + 'advanced_search';
+        const querySpeechUrl = this.apiBaseUrl + 'advanced_search';
         
         // Query Params
         const params = { query: query, size: size, otid: speechId };
         
         try {
             // GET
-            const response = await this.session.get(querySpeechUrl, { params });
+            const response = await this._get(querySpeechUrl, { params });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Query speech failed: ${error.message}`);
+            throw this._wrapError(error, 'Query speech failed', 'advanced_search');
         }
     }
 
-    async uploadSpeech(fileName, contentType = 'audio/mp4') {
+    async uploadSpeech(source, options = {}) {
         // API URLs
-        const speechUploadParamsUrl = OtterAI.API_BASE_URL + 'speech_upload_params';
-        const speechUploadProdUrl = OtterAI.S3_BASE_URL + 'speech-upload-prod';
-        const finishSpeechUpload = OtterAI.API_BASE_URL + 'finish_speech_upload';
+        const speechUploadParamsUrl = this.apiBaseUrl + 'speech_upload_params';
+        const speechUploadProdUrl = this.s3BaseUrl + 'speech-upload-prod';
+        const finishSpeechUpload = this.apiBaseUrl + 'finish_speech_upload';
+
+        // uploadSpeech(fileName, contentType) is still supported
+        if (typeof options === 'string') {
+            options = { contentType: options };
+        }
+        const {
+            contentType = 'audio/mp4',
+            language = 'en',
+            country = 'us',
+            folderId = null,
+            onProgress = null,
+            waitForTranscription = false
+        } = options;
 
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
+        const upload = await this._resolveUploadSource(source, options);
+        const progress = (event) => {
+            if (typeof onProgress === 'function') {
+                onProgress(event);
+            }
+        };
+
         try {
             // First grab upload params (aws data)
             const params = { userid: this.userid };
-            const response = await this.session.get(speechUploadParamsUrl, { params });
+            const response = await this._get(speechUploadParamsUrl, { params });
 
             if (response.status !== 200) {
                 return this._handleResponse(response);
@@ -307,7 +810,10 @@ class OtterAI {
             const paramsData = responseJson.data;
 
             // Send options (precondition) request
-            const optionsResponse = await this.session.options(speechUploadProdUrl, {
+            const optionsResponse = await this._request({
+                method: 'options',
+                url: speechUploadProdUrl,
+                _skipRelogin: true,
                 headers: {
                     'Accept': '*/*',
                     'Connection': 'keep-alive',
@@ -322,27 +828,15 @@ class OtterAI {
             }
 
             // Post file to bucket
-            const formData = new FormData();
-            
-            // Add all params data to form
             paramsData.success_action_status = String(paramsData.success_action_status);
             delete paramsData.form_action;
-            
-            Object.keys(paramsData).forEach(key => {
-                formData.append(key, paramsData[key]);
-            });
-            
-            // Add file
-            const fileStream = fs.createReadStream(fileName);
-            formData.append('file', fileStream, {
-                filename: path.basename(fileName),
-                contentType: contentType
-            });
 
-            // POST file to S3
-            const uploadResponse = await axios.post(speechUploadProdUrl, formData, {
-                headers: formData.getHeaders(),
-                validateStatus: () => true
+            const uploadResponse = await this._postToS3(speechUploadProdUrl, paramsData, upload, {
+                contentType,
+                progress,
+                signal: options.signal,
+                retries: options.uploadRetries,
+                timeout: options.uploadTimeout
             });
 
             if (uploadResponse.status !== 201) {
@@ -353,9 +847,8 @@ class OtterAI {
             const parser = new XMLParser();
             const xmlData = parser.parse(uploadResponse.data);
             
-            // Extract location, bucket, and key from XML
+            // Extract bucket and key from XML
             const postResponse = xmlData.PostResponse;
-            const location = postResponse.Location;
             const bucket = postResponse.Bucket;
             const key = postResponse.Key;
 
@@ -363,68 +856,315 @@ class OtterAI {
             const finishParams = {
                 bucket: bucket,
                 key: key,
-                language: 'en',
-                country: 'us',
+                language: language,
+                country: country,
                 userid: this.userid
             };
+            if (folderId !== null) {
+                finishParams.folder_id = folderId;
+            }
             
-            const finishResponse = await this.session.get(finishSpeechUpload, { params: finishParams });
-            return this._handleResponse(finishResponse);
+            const finishResponse = await this._get(finishSpeechUpload, { params: finishParams });
+
+            if (finishResponse.status !== 200) {
+                return this._handleResponse(finishResponse);
+            }
+
+            const finishData = finishResponse.data || {};
+            const otid = finishData.otid || finishData.speech_id || (finishData.speech && finishData.speech.otid) || null;
+            progress({ phase: 'uploaded', loaded: upload.size, total: upload.size, percent: 100, otid });
+
+            if (waitForTranscription && otid) {
+                await this.waitForTranscription(otid, { ...options, onProgress: progress });
+            }
+
+            return this._handleResponse(finishResponse, { ...finishData, otid });
 
         } catch (error) {
-            throw new OtterAIException(`Upload speech failed: ${error.message}`);
+            throw this._wrapError(error, 'Upload speech failed', 'speech_upload_params');
         }
     }
 
-    async downloadSpeech(speechId, name = null, fileFormat = "txt,pdf,mp3,docx,srt") {
-        // API URL
-        const downloadSpeechUrl = OtterAI.API_BASE_URL + 'bulk_export';
-        
-        if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+    async _resolveUploadSource(source, options) {
+        // File paths and Buffers can be re-sent on retry; a Readable can only be sent once
+        if (typeof source === 'string') {
+            let stats;
+            try {
+                stats = await fs.promises.stat(source);
+            } catch (error) {
+                throw new ValidationError(`Cannot read upload file ${source}: ${error.message}`);
+            }
+            return {
+                fileName: options.fileName || path.basename(source),
+                size: stats.size,
+                replayable: true,
+                open: () => fs.createReadStream(source)
+            };
+        }
+        if (Buffer.isBuffer(source)) {
+            return {
+                fileName: options.fileName || 'upload',
+                size: source.length,
+                replayable: true,
+                open: () => source
+            };
+        }
+        if (source && typeof source.pipe === 'function') {
+            return {
+                fileName: options.fileName || (typeof source.path === 'string' ? path.basename(source.path) : 'upload'),
+                size: Number.isInteger(options.size) ? options.size : null,
+                replayable: false,
+                open: () => source
+            };
         }
+        throw new ValidationError('uploadSpeech expects a file path, a Buffer or a Readable stream');
+    }
 
-        // Query Params
-        const params = { userid: this.userid };
-        
-        // POST data
-        const data = {
-            formats: fileFormat,
-            speech_otid_list: [speechId]
-        };
-        
-        const headers = {
-            'x-csrftoken': this.cookies.csrftoken,
-            'referer': 'https://otter.ai/'
-        };
+    async _postToS3(url, fields, upload, { contentType, progress, signal, retries = 2, timeout = 0 }) {
+        const attempts = upload.replayable ? retries + 1 : 1;
+        let lastResponse = null;
+        let lastError = null;
 
-        try {
-            const response = await this.session.post(downloadSpeechUrl, data, {
-                params: params,
-                headers: headers,
-                responseType: 'arraybuffer'
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const formData = new FormData();
+            Object.keys(fields).forEach(key => {
+                formData.append(key, fields[key]);
             });
 
-            // Filename
-            const filename = (name || speechId) + "." + (fileFormat.includes(",") ? "zip" : fileFormat);
-            
-            if (response.status === 200) {
-                fs.writeFileSync(filename, response.data);
-                return this._handleResponse(response, { filename: filename });
-            } else {
-                throw new OtterAIException(`Got response status ${response.status} when attempting to download ${speechId}`);
+            const fileOptions = { filename: upload.fileName, contentType: contentType };
+            if (upload.size !== null) {
+                fileOptions.knownLength = upload.size;
             }
+            formData.append('file', upload.open(), fileOptions);
+
+            // S3 needs a Content-Length; it is only unknown for streams without a size
+            const headers = formData.getHeaders();
+            if (upload.size !== null) {
+                headers['Content-Length'] = await new Promise((resolve, reject) => {
+                    formData.getLength((error, length) => error ? reject(error) : resolve(length));
+                });
+            }
+
+            try {
+                lastResponse = await this._post(url, formData, {
+                    headers: headers,
+                    timeout: timeout,
+                    signal: signal,
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity,
+                    retry: false, // retried here so the body can be rebuilt
+                    _skipRelogin: true, // an S3 403 is about the signed policy, not the Otter.ai session
+                    onUploadProgress: (event) => {
+                        const total = upload.size || event.total || null;
+                        progress({
+                            phase: 'upload',
+                            attempt: attempt,
+                            loaded: event.loaded,
+                            total: total,
+                            percent: total ? Math.min(100, Math.round((event.loaded / total) * 100)) : null
+                        });
+                    }
+                });
+                lastError = null;
+                if (lastResponse.status === 201 || lastResponse.status < 500) {
+                    return lastResponse;
+                }
+            } catch (error) {
+                lastError = error;
+                if (signal && signal.aborted) {
+                    break;
+                }
+            }
+
+            if (attempt < attempts) {
+                progress({ phase: 'retry', attempt: attempt, loaded: 0, total: upload.size, percent: 0 });
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+        return lastResponse;
+    }
+
+    async waitForTranscription(speechId, { pollInterval = 5000, waitTimeout = 30 * 60 * 1000, onProgress = null } = {}) {
+        // Poll getSpeech until Otter reports that processing has finished
+        const deadline = Date.now() + waitTimeout;
+
+        while (true) {
+            const response = ensureOk(await this.getSpeech(speechId), 'speech');
+            const speech = response.data.speech || response.data;
+
+            if (speech.process_finished) {
+                if (typeof onProgress === 'function') {
+                    onProgress({ phase: 'transcribed', otid: speechId, percent: 100 });
+                }
+                return this._handleResponse(response, response.data);
+            }
+
+            if (typeof onProgress === 'function') {
+                onProgress({ phase: 'processing', otid: speechId, percent: null });
+            }
+
+            if (Date.now() + pollInterval > deadline) {
+                throw new UpstreamError(`Timed out waiting for transcription of ${speechId}`, { endpoint: 'speech' });
+            }
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+        }
+    }
+
+    // Export many speeches in one bulk_export request. Pass `speechIds` or `{ folder }` for every
+    // speech in a folder. The zip is piped into `destination` (any Writable) when given, otherwise
+    // returned as a Readable in `data.stream` for the caller to consume.
+    async exportSpeeches(speechIds = null, {
+        folder = null,
+        formats = BULK_EXPORT_FORMATS.join(','),
+        destination = null,
+        onProgress = null,
+        timeout = 5 * 60 * 1000
+    } = {}) {
+        // API URL
+        const exportSpeechesUrl = this.apiBaseUrl + 'bulk_export';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        const formatList = String(formats).split(',').map(format => format.trim()).filter(Boolean);
+        const unknown = formatList.filter(format => !BULK_EXPORT_FORMATS.includes(format));
+        if (formatList.length === 0 || unknown.length > 0) {
+            throw new ValidationError(`formats must be a comma-separated list of ${BULK_EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const progress = (event) => {
+            if (typeof onProgress === 'function') {
+                onProgress(event);
+            }
+        };
+
+        let otids = speechIds === null ? [] : (Array.isArray(speechIds) ? speechIds : [speechIds]);
+        if (otids.some(otid => typeof otid !== 'string' || !otid)) {
+            throw new ValidationError('Speech IDs must be non-empty strings');
+        }
+        if (speechIds === null && folder !== null) {
+            progress({ phase: 'resolving', folder });
+            try {
+                for await (const speech of this.iterateSpeeches({ folder })) {
+                    otids.push(speech.otid);
+                }
+            } catch (error) {
+                throw this._wrapError(error, 'Export speeches failed', 'speeches');
+            }
+        }
+        otids = Array.from(new Set(otids));
+        if (otids.length === 0) {
+            throw new ValidationError(folder !== null && speechIds === null
+                ? `Folder ${folder} has no speeches to export`
+                : 'At least one speech ID is required');
+        }
+
+        // Query Params
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = {
+            formats: formatList.join(','),
+            speech_otid_list: otids
+        };
+
+        const headers = {
+            'x-csrftoken': this._csrfToken(),
+            'referer': 'https://otter.ai/'
+        };
+
+        progress({ phase: 'exporting', speechCount: otids.length, percent: null });
+
+        let response;
+        try {
+            response = await this._post(exportSpeechesUrl, data, {
+                params: params,
+                headers: headers,
+                responseType: 'stream',
+                timeout: timeout
+            });
+        } catch (error) {
+            throw this._wrapError(error, 'Export speeches failed', 'bulk_export');
+        }
+
+        if (response.status !== 200) {
+            // Error bodies are small; read them so the typed error carries the details
+            const chunks = [];
+            try {
+                for await (const chunk of response.data) {
+                    chunks.push(chunk);
+                }
+            } catch (error) {
+                // Keep whatever arrived
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                // Not JSON
+            }
+            throw errorFromResponse({ ...response, data: body }, 'bulk_export',
+                `Got response status ${response.status} when attempting to export ${otids.length === 1 ? otids[0] : `${otids.length} speeches`}`);
+        }
+
+        const total = parseInt(response.headers['content-length'], 10) || null;
+        const contentType = response.headers['content-type'] || 'application/zip';
+        const single = otids.length === 1 && formatList.length === 1;
+        const filename = single ? `${otids[0]}.${formatList[0]}` : 'otter-export.zip';
+
+        // Count bytes as they pass through without changing who consumes the stream
+        let loaded = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                loaded += chunk.length;
+                progress({ phase: 'downloading', loaded, total, percent: total ? Math.round(loaded / total * 100) : null });
+                callback(null, chunk);
+            }
+        });
+        const piped = stream.promises.pipeline(response.data, counter, ...(destination ? [destination] : []));
+
+        const result = { otids, formats: formatList, filename, contentType, size: total };
+        if (!destination) {
+            piped.catch(() => {}); // surfaces to the consumer as a stream error
+            return this._handleResponse(response, { ...result, stream: counter });
+        }
+
+        try {
+            await piped;
+        } catch (error) {
+            throw this._wrapError(error, 'Export speeches failed', 'bulk_export');
+        }
+        progress({ phase: 'complete', loaded, total: loaded, percent: 100 });
+        return this._handleResponse(response, { ...result, size: loaded });
+    }
+
+    async downloadSpeech(speechId, name = null, fileFormat = "txt,pdf,mp3,docx,srt") {
+        // Filename
+        const filename = (name || speechId) + "." + (fileFormat.includes(",") ? "zip" : fileFormat);
+
+        const result = await this.exportSpeeches([speechId], { formats: fileFormat });
+
+        // The file is only created once Otter.ai has answered successfully
+        try {
+            await stream.promises.pipeline(result.data.stream, fs.createWriteStream(filename));
         } catch (error) {
-            throw new OtterAIException(`Download speech failed: ${error.message}`);
+            throw this._wrapError(error, 'Download speech failed', 'bulk_export');
         }
+        return { status: result.status, data: { filename: filename } };
     }
 
     async moveToTrashBin(speechId) {
         // API URL
-        const moveToTrashBinUrl = OtterAI.API_BASE_URL + 'move_to_trash_bin';
+        const moveToTrashBinUrl = this.apiBaseUrl + 'move_to_trash_bin';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Params
@@ -432,25 +1172,175 @@ class OtterAI {
         
         // POST data
         const data = { otid: speechId };
-        const headers = { 'x-csrftoken': this.cookies.csrftoken };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(moveToTrashBinUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Move to trash bin failed', 'move_to_trash_bin');
+        }
+    }
+
+    async restoreFromTrashBin(speechId) {
+        // API URL
+        const restoreFromTrashBinUrl = this.apiBaseUrl + 'restore_from_trash_bin';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Params
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { otid: speechId };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(restoreFromTrashBinUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Restore from trash bin failed', 'restore_from_trash_bin');
+        }
+    }
+
+    async deleteFromTrashBin(speechId) {
+        // API URL
+        const deleteFromTrashBinUrl = this.apiBaseUrl + 'remove_from_trash_bin';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Params
+        const params = { userid: this.userid };
+
+        // POST data: permanently deletes a speech that is already in the trash
+        const data = { otid: speechId };
+        const headers = { 'x-csrftoken': this._csrfToken() };
 
         try {
-            const response = await this.session.post(moveToTrashBinUrl, data, {
+            const response = await this._post(deleteFromTrashBinUrl, data, {
                 params: params,
                 headers: headers
             });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Move to trash bin failed: ${error.message}`);
+            throw this._wrapError(error, 'Delete from trash bin failed', 'remove_from_trash_bin');
+        }
+    }
+
+    async listTrash({ limit = Infinity, pageSize = 100 } = {}) {
+        // Trashed speeches are listed through the speeches endpoint with source=trash
+        const speeches = [];
+        try {
+            for await (const speech of this.iterateSpeeches({ source: 'trash', pageSize, limit })) {
+                speeches.push(speech);
+            }
+        } catch (error) {
+            throw this._wrapError(error, 'List trash failed', 'speeches');
+        }
+        return { status: 200, data: { speeches, total_count: speeches.length } };
+    }
+
+    // Run `action` for every otid and collect a result per item instead of stopping at the
+    // first failure. Session problems affect every item, so they are still thrown.
+    async _bulkSpeechAction(speechIds, action, { dryRun = false, check = null } = {}) {
+        const otids = Array.isArray(speechIds) ? speechIds : [speechIds];
+        if (otids.length === 0 || otids.some(otid => typeof otid !== 'string' || !otid)) {
+            throw new ValidationError('At least one speech ID is required');
+        }
+
+        const results = [];
+        for (const otid of Array.from(new Set(otids))) {
+            try {
+                if (dryRun) {
+                    await check(otid);
+                } else {
+                    ensureOk(await action.run(otid), action.endpoint, { 404: `${action.notFound} ${otid}` });
+                }
+                results.push({ otid, ok: true, error: null });
+            } catch (error) {
+                if (error instanceof AuthenticationError) {
+                    throw error;
+                }
+                const wrapped = this._wrapError(error, `${action.name} failed`, action.endpoint);
+                results.push({ otid, ok: false, error: { code: wrapped.code, message: wrapped.message } });
+            }
         }
+
+        const succeeded = results.filter(result => result.ok).length;
+        return {
+            status: 200,
+            data: {
+                action: action.name,
+                dry_run: dryRun,
+                requested: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                results
+            }
+        };
+    }
+
+    // Membership check for dry runs of restore / permanent delete; lists the trash once
+    _trashChecker() {
+        let trashed = null;
+        return async (otid) => {
+            if (!trashed) {
+                trashed = new Set(ensureOk(await this.listTrash(), 'speeches').data.speeches.map(speech => speech.otid));
+            }
+            if (!trashed.has(otid)) {
+                throw new NotFoundError(`No speech in the trash with ID: ${otid}`, { endpoint: 'speeches' });
+            }
+        };
+    }
+
+    async trashSpeeches(speechIds, { dryRun = false } = {}) {
+        return this._bulkSpeechAction(speechIds, {
+            name: 'trash',
+            endpoint: 'move_to_trash_bin',
+            notFound: 'No speech found with ID:',
+            run: otid => this.moveToTrashBin(otid)
+        }, {
+            dryRun,
+            check: async (otid) => {
+                ensureOk(await this.getSpeech(otid), 'speech', { 404: `No speech found with ID: ${otid}` });
+            }
+        });
+    }
+
+    async restoreSpeeches(speechIds, { dryRun = false } = {}) {
+        return this._bulkSpeechAction(speechIds, {
+            name: 'restore',
+            endpoint: 'restore_from_trash_bin',
+            notFound: 'No speech in the trash with ID:',
+            run: otid => this.restoreFromTrashBin(otid)
+        }, { dryRun, check: this._trashChecker() });
+    }
+
+    async deleteSpeechesPermanently(speechIds, { dryRun = false } = {}) {
+        return this._bulkSpeechAction(speechIds, {
+            name: 'delete',
+            endpoint: 'remove_from_trash_bin',
+            notFound: 'No speech in the trash with ID:',
+            run: otid => this.deleteFromTrashBin(otid)
+        }, { dryRun, check: this._trashChecker() });
     }
 
     async createSpeaker(speakerName) {
         // API URL
-        const createSpeakerUrl = OtterAI.API_BASE_URL + 'create_speaker';
+        const createSpeakerUrl = this.apiBaseUrl + 'create_speaker';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Parameters
@@ -458,84 +1348,585 @@ class OtterAI {
         
         // POST data
         const data = { speaker_name: speakerName };
-        const headers = { 'x-csrftoken': this.cookies.csrftoken };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(createSpeakerUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Create speaker failed', 'create_speaker');
+        }
+    }
+
+    async renameSpeaker(speakerId, speakerName) {
+        // API URL
+        const updateSpeakerUrl = this.apiBaseUrl + 'update_speaker';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (!speakerName || !String(speakerName).trim()) {
+            throw new ValidationError('A speaker name is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { speaker_id: speakerId, speaker_name: String(speakerName).trim() };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(updateSpeakerUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Rename speaker failed', 'update_speaker');
+        }
+    }
+
+    async deleteSpeaker(speakerId) {
+        // API URL
+        const deleteSpeakerUrl = this.apiBaseUrl + 'delete_speaker';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { speaker_id: speakerId };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(deleteSpeakerUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Delete speaker failed', 'delete_speaker');
+        }
+    }
+
+    async setTranscriptSpeaker(speechId, segmentId, speakerId, speakerName) {
+        // API URL
+        const setSpeakerUrl = this.apiBaseUrl + 'set_transcript_speaker';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data: segments are addressed by their transcript uuid
+        const data = {
+            otid: speechId,
+            transcript_uuid: segmentId,
+            speaker_id: speakerId,
+            speaker_name: speakerName,
+            create_speaker: false
+        };
+        const headers = { 'x-csrftoken': this._csrfToken() };
 
         try {
-            const response = await this.session.post(createSpeakerUrl, data, {
+            const response = await this._post(setSpeakerUrl, data, {
                 params: params,
                 headers: headers
             });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Create speaker failed: ${error.message}`);
+            throw this._wrapError(error, 'Set transcript speaker failed', 'set_transcript_speaker');
         }
     }
 
+    async _speakerName(speakerId) {
+        const speakers = ensureOk(await this.getSpeakers(), 'speakers').data.speakers || [];
+        const speaker = speakers.find(candidate => String(candidate.id) === String(speakerId));
+        if (!speaker) {
+            throw new NotFoundError(`No speaker found with ID: ${speakerId}`, { endpoint: 'speakers' });
+        }
+        return speaker.speaker_name || speaker.name;
+    }
+
+    async tagSpeaker(speechId, speakerId, { segmentIds = null, start = null, end = null } = {}) {
+        // Assign a speaker to specific segments (by id) or to every segment overlapping [start, end] seconds
+        const bySegment = Array.isArray(segmentIds) && segmentIds.length > 0;
+        const byTime = start !== null || end !== null;
+        if (bySegment === byTime) {
+            throw new ValidationError('Pass either segmentIds or a start/end time range');
+        }
+        if (byTime && (start !== null && end !== null) && Number(start) > Number(end)) {
+            throw new ValidationError('start must not be after end');
+        }
+
+        const speakerName = await this._speakerName(speakerId);
+        const transcript = ensureOk(await this.getTranscript(speechId), 'speech', { 404: `No speech found with ID: ${speechId}` }).data;
+
+        let segments;
+        if (bySegment) {
+            const wanted = new Set(segmentIds.map(String));
+            segments = transcript.segments.filter(segment => wanted.has(String(segment.id)));
+            const missing = Array.from(wanted).filter(id => !segments.some(segment => String(segment.id) === id));
+            if (missing.length > 0) {
+                throw new NotFoundError(`No segments found with ID: ${missing.join(', ')}`, { endpoint: 'speech' });
+            }
+        } else {
+            const from = start === null ? -Infinity : Number(start);
+            const to = end === null ? Infinity : Number(end);
+            segments = transcript.segments.filter(segment => segment.end > from && segment.start < to);
+        }
+
+        // One write per segment, in order, so a failure leaves a clear prefix applied
+        const updated = [];
+        for (const segment of segments) {
+            if (String(segment.speakerId) === String(speakerId)) {
+                continue;
+            }
+            ensureOk(await this.setTranscriptSpeaker(speechId, segment.id, speakerId, speakerName), 'set_transcript_speaker');
+            updated.push(segment.id);
+        }
+
+        return {
+            status: 200,
+            data: { otid: speechId, speaker_id: speakerId, speaker_name: speakerName, matched: segments.length, updated_segments: updated }
+        };
+    }
+
+    async mergeSpeakers(sourceId, targetId, { speechIds = null, deleteSource = true } = {}) {
+        // Otter has no merge endpoint: reassign every segment of the source speaker to the
+        // target, then delete the source. Without speechIds every owned and shared speech is
+        // checked. Each speech gets a result; the source is only deleted when all succeeded.
+        if (String(sourceId) === String(targetId)) {
+            throw new ValidationError('Cannot merge a speaker into itself');
+        }
+        await this._speakerName(sourceId);
+        const targetName = await this._speakerName(targetId);
+
+        let candidates = speechIds ? Array.from(new Set(speechIds)) : null;
+        if (!candidates) {
+            candidates = [];
+            for (const source of ['owned', 'shared']) {
+                for await (const speech of this.iterateSpeeches({ source })) {
+                    // Listings that include speakers let us skip speeches without the source speaker
+                    if (Array.isArray(speech.speakers) && !speech.speakers.some(speaker => String(speaker.id) === String(sourceId))) {
+                        continue;
+                    }
+                    if (!candidates.includes(speech.otid)) {
+                        candidates.push(speech.otid);
+                    }
+                }
+            }
+        }
+
+        const results = [];
+        for (const speechId of candidates) {
+            let updated = 0;
+            try {
+                const transcript = ensureOk(await this.getTranscript(speechId), 'speech', { 404: `No speech found with ID: ${speechId}` }).data;
+                const segments = transcript.segments.filter(segment => String(segment.speakerId) === String(sourceId));
+                for (const segment of segments) {
+                    ensureOk(await this.setTranscriptSpeaker(speechId, segment.id, targetId, targetName), 'set_transcript_speaker');
+                    updated++;
+                }
+                if (segments.length > 0) {
+                    results.push({ otid: speechId, ok: true, updated_segments: updated, error: null });
+                }
+            } catch (error) {
+                // Session and rate limit problems affect every speech; the source is left in place.
+                // A 403 is one speech we may not edit, e.g. a read-only share.
+                if ((error instanceof AuthenticationError && error.status !== 403) || error instanceof RateLimitError) {
+                    throw error;
+                }
+                const wrapped = this._wrapError(error, 'Merge speakers failed', 'set_transcript_speaker');
+                results.push({ otid: speechId, ok: false, updated_segments: updated, error: { code: wrapped.code, message: wrapped.message } });
+            }
+        }
+
+        const failed = results.filter(result => !result.ok).length;
+        const sourceDeleted = deleteSource && failed === 0;
+        if (sourceDeleted) {
+            ensureOk(await this.deleteSpeaker(sourceId), 'delete_speaker');
+        }
+
+        return {
+            status: 200,
+            data: {
+                source_id: sourceId,
+                target_id: targetId,
+                speeches: results.filter(result => result.ok).map(result => result.otid),
+                updated_segments: results.reduce((total, result) => total + result.updated_segments, 0),
+                source_deleted: sourceDeleted,
+                failed,
+                results
+            }
+        };
+    }
+
     async getNotificationSettings() {
         // API URL
-        const notificationSettingsUrl = OtterAI.API_BASE_URL + 'get_notification_settings';
+        const notificationSettingsUrl = this.apiBaseUrl + 'get_notification_settings';
         
         try {
-            const response = await this.session.get(notificationSettingsUrl);
+            const response = await this._get(notificationSettingsUrl);
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get notification settings failed: ${error.message}`);
+            throw this._wrapError(error, 'Get notification settings failed', 'get_notification_settings');
         }
     }
 
     async listGroups() {
         // API URL
-        const listGroupsUrl = OtterAI.API_BASE_URL + 'list_groups';
+        const listGroupsUrl = this.apiBaseUrl + 'list_groups';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Parameters
         const params = { userid: this.userid };
         
         try {
-            const response = await this.session.get(listGroupsUrl, { params });
+            const response = await this._get(listGroupsUrl, { params });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`List groups failed: ${error.message}`);
+            throw this._wrapError(error, 'List groups failed', 'list_groups');
         }
     }
 
     async getFolders() {
         // API URL
-        const foldersUrl = OtterAI.API_BASE_URL + 'folders';
+        const foldersUrl = this.apiBaseUrl + 'folders';
         
         if (this._isUseridInvalid()) {
-            throw new OtterAIException('userid is invalid');
+            throw new AuthenticationError('userid is invalid. Please login first.');
         }
 
         // Query Parameters
         const params = { userid: this.userid };
         
         try {
-            const response = await this.session.get(foldersUrl, { params });
+            const response = await this._get(foldersUrl, { params });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Get folders failed', 'folders');
+        }
+    }
+
+    async createFolder(folderName) {
+        // API URL
+        const createFolderUrl = this.apiBaseUrl + 'create_folder';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (!folderName || !String(folderName).trim()) {
+            throw new ValidationError('A folder name is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { folder_name: String(folderName).trim() };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(createFolderUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Create folder failed', 'create_folder');
+        }
+    }
+
+    async renameFolder(folderId, folderName) {
+        // API URL
+        const renameFolderUrl = this.apiBaseUrl + 'rename_folder';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        if (!folderName || !String(folderName).trim()) {
+            throw new ValidationError('A folder name is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { folder_id: folderId, folder_name: String(folderName).trim() };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(renameFolderUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Rename folder failed', 'rename_folder');
+        }
+    }
+
+    async deleteFolder(folderId) {
+        // API URL
+        const deleteFolderUrl = this.apiBaseUrl + 'delete_folder';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // Speeches in the folder are kept; they just leave the folder
+        // POST data
+        const data = { folder_id: folderId };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(deleteFolderUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Delete folder failed', 'delete_folder');
+        }
+    }
+
+    async moveToFolder(speechIds, folderId) {
+        // API URL
+        const moveToFolderUrl = this.apiBaseUrl + 'add_folder_speeches';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        const otids = Array.isArray(speechIds) ? speechIds : [speechIds];
+        if (otids.length === 0 || otids.some(otid => !otid)) {
+            throw new ValidationError('At least one speech ID is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { folder_id: folderId, speech_otid_list: otids };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(moveToFolderUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Move to folder failed', 'add_folder_speeches');
+        }
+    }
+
+    async removeFromFolder(speechIds, folderId) {
+        // API URL
+        const removeFromFolderUrl = this.apiBaseUrl + 'remove_folder_speeches';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        const otids = Array.isArray(speechIds) ? speechIds : [speechIds];
+        if (otids.length === 0 || otids.some(otid => !otid)) {
+            throw new ValidationError('At least one speech ID is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { folder_id: folderId, speech_otid_list: otids };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(removeFromFolderUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Remove from folder failed', 'remove_folder_speeches');
+        }
+    }
+
+    async shareWithGroup(speechIds, groupId) {
+        // API URL
+        const shareWithGroupUrl = this.apiBaseUrl + 'add_group_speeches';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        const otids = Array.isArray(speechIds) ? speechIds : [speechIds];
+        if (otids.length === 0 || otids.some(otid => !otid)) {
+            throw new ValidationError('At least one speech ID is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { group_id: groupId, speech_otid_list: otids };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(shareWithGroupUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Share with group failed', 'add_group_speeches');
+        }
+    }
+
+    async unshareFromGroup(speechIds, groupId) {
+        // API URL
+        const unshareFromGroupUrl = this.apiBaseUrl + 'remove_group_speeches';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+        const otids = Array.isArray(speechIds) ? speechIds : [speechIds];
+        if (otids.length === 0 || otids.some(otid => !otid)) {
+            throw new ValidationError('At least one speech ID is required');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { group_id: groupId, speech_otid_list: otids };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(unshareFromGroupUrl, data, {
+                params: params,
+                headers: headers
+            });
             return this._handleResponse(response);
         } catch (error) {
-            throw new OtterAIException(`Get folders failed: ${error.message}`);
+            throw this._wrapError(error, 'Unshare from group failed', 'remove_group_speeches');
         }
     }
 
-    async speechStart() {
+    async speechStart({ wsUrl = this.liveWsUrl, sampleRate = 16000, encoding = 'pcm_s16le', channels = 1, ...liveOptions } = {}) {
         // API URL
-        const speechStartUrl = OtterAI.API_BASE_URL + 'speech_start';
-        // TODO: In the browser a websocket session is opened
-        // wss://ws.aisense.com/api/v2/client/speech?token=ey...
-        // The speech_start endpoint returns the JWT token
-        throw new OtterAIException('Speech start not implemented yet');
+        const speechStartUrl = this.apiBaseUrl + 'speech_start';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Query Parameters
+        const params = { userid: this.userid };
+
+        // The speech_start endpoint returns the JWT used to open the websocket session
+        let response;
+        try {
+            response = await this._get(speechStartUrl, { params });
+        } catch (error) {
+            throw this._wrapError(error, 'Speech start failed', 'speech_start');
+        }
+        ensureOk(response, 'speech_start');
+
+        const token = response.data.token || response.data.jwt;
+        if (!token) {
+            throw new UpstreamError('Speech start did not return a token', {
+                status: response.status,
+                endpoint: 'speech_start',
+                body: response.data
+            });
+        }
+
+        const live = new LiveTranscription({
+            token,
+            otid: response.data.otid || response.data.speech_id || null,
+            wsUrl,
+            sampleRate,
+            encoding,
+            channels,
+            ...liveOptions
+        });
+        return live.connect();
     }
 
-    async stopSpeech() {
+    async stopSpeech(live) {
         // API URL
-        const speechFinishUrl = OtterAI.API_BASE_URL + 'speech_finish';
-        // TODO: Implementation needed
-        throw new OtterAIException('Stop speech not implemented yet');
+        const speechFinishUrl = this.apiBaseUrl + 'speech_finish';
+
+        if (this._isUseridInvalid()) {
+            throw new AuthenticationError('userid is invalid. Please login first.');
+        }
+
+        // Accept the LiveTranscription from speechStart() or a bare otid
+        let otid = live;
+        if (live instanceof LiveTranscription) {
+            await live.finish();
+            otid = live.otid;
+        }
+
+        // Query Params
+        const params = { userid: this.userid };
+
+        // POST data
+        const data = { otid: otid };
+        const headers = { 'x-csrftoken': this._csrfToken() };
+
+        try {
+            const response = await this._post(speechFinishUrl, data, {
+                params: params,
+                headers: headers
+            });
+            return this._handleResponse(response);
+        } catch (error) {
+            throw this._wrapError(error, 'Stop speech failed', 'speech_finish');
+        }
     }
 }
 
-module.exports = { OtterAI, OtterAIException };
+module.exports = {
+    OtterAI,
+    OtterAIException,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError,
+    ValidationError,
+    ConflictError,
+    PermissionError,
+    errorFromResponse,
+    ensureOk,
+    BULK_EXPORT_FORMATS,
+    CredentialCache,
+    CookieJar,
+    LiveTranscription,
+    Logger,
+    createLogger,
+    Transcript,
+    TranscriptSegment,
+    TranscriptWord,
+    normalizeSpeech,
+    renderTranscript,
+    isTranscriptFormat,
+    TRANSCRIPT_FORMATS,
+    speechCursor,
+    encodeSpeechCursor,
+    decodeSpeechCursor
+};
@@ -0,0 +1,183 @@
+// Central request pipeline for OtterAI: retries with exponential backoff and jitter,
+// Retry-After support, a concurrency cap and per-request hooks for logging and metrics
+
+const DEFAULT_RETRY = {
+    retries: 3,               // retries after the first attempt
+    minDelay: 500,            // ms before the first retry
+    maxDelay: 30000,          // upper bound for computed backoff
+    factor: 2,                // exponential growth per attempt
+    jitter: true,             // full jitter between 0 and the computed delay
+    maxRetryAfter: 120000,    // longest Retry-After we are willing to honour (ms)
+    statuses: [408, 425, 429, 500, 502, 503, 504],
+    errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT']
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date
+const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+class Semaphore {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+const REAUTH_STATUSES = [401, 403];
+
+class RequestPipeline {
+    // `reauthenticate(config, response)` is called for a 401/403 once the request has given up its
+    // concurrency slot, so the login it makes can take one; it resolves to the config to replay or null
+    constructor(session, { retry = {}, maxConcurrency = 4, hooks = {}, reauthenticate = null } = {}) {
+        this.session = session;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.hooks = hooks;
+        this.reauthenticate = reauthenticate;
+        this.semaphore = new Semaphore(Math.max(1, maxConcurrency));
+    }
+
+    _emit(hook, event) {
+        const handler = this.hooks[hook];
+        if (typeof handler !== 'function') {
+            return;
+        }
+        try {
+            handler(event);
+        } catch (error) {
+            // Hooks are for observability only and must never break a request
+        }
+    }
+
+    _backoff(attempt) {
+        const { minDelay, maxDelay, factor, jitter } = this.retry;
+        const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+        return jitter ? Math.round(Math.random() * delay) : delay;
+    }
+
+    // Per-request `retry: false` or `retry: <n>` overrides the configured retry count
+    _maxRetries(config) {
+        if (config.retry === false) {
+            return 0;
+        }
+        if (Number.isInteger(config.retry)) {
+            return config.retry;
+        }
+        return this.retry.retries;
+    }
+
+    // Non-idempotent requests are only retried when Otter rejected them before processing
+    _shouldRetry(method, { response, error }) {
+        if (response) {
+            if (!this.retry.statuses.includes(response.status)) {
+                return false;
+            }
+            return IDEMPOTENT_METHODS.includes(method) || response.status === 429;
+        }
+        if (!error || !this.retry.errorCodes.includes(error.code)) {
+            return false;
+        }
+        return IDEMPOTENT_METHODS.includes(method) || error.code === 'ECONNREFUSED';
+    }
+
+    _retryDelay(attempt, response) {
+        const retryAfter = response ? parseRetryAfter(response.headers && response.headers['retry-after']) : null;
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, this.retry.maxRetryAfter);
+        }
+        return this._backoff(attempt);
+    }
+
+    async request(config) {
+        const response = await this._send(config);
+        if (!this.reauthenticate || !REAUTH_STATUSES.includes(response.status) ||
+            config._skipRelogin || config._relogged) {
+            return response;
+        }
+        // Replayed once; a second 401/403 is returned to the caller
+        const replay = await this.reauthenticate(config, response);
+        return replay ? this._send({ ...replay, _relogged: true }) : response;
+    }
+
+    async _send(config) {
+        const method = (config.method || 'get').toLowerCase();
+        const { retry, ...axiosConfig } = config;
+        const maxRetries = this._maxRetries(config);
+
+        for (let attempt = 1; ; attempt++) {
+            const event = { method: method.toUpperCase(), url: config.url, attempt };
+            let response = null;
+            let error = null;
+
+            await this.semaphore.acquire();
+            const startedAt = Date.now();
+            this._emit('onRequest', event);
+            try {
+                response = await this.session.request({ ...axiosConfig, method });
+            } catch (requestError) {
+                error = requestError;
+            } finally {
+                this.semaphore.release();
+            }
+            const durationMs = Date.now() - startedAt;
+
+            if (response) {
+                this._emit('onResponse', { ...event, status: response.status, durationMs });
+            } else {
+                this._emit('onError', { ...event, error, durationMs });
+            }
+
+            if (attempt > maxRetries || !this._shouldRetry(method, { response, error })) {
+                if (error) {
+                    throw error;
+                }
+                return response;
+            }
+
+            const delayMs = this._retryDelay(attempt, response);
+            this._emit('onRetry', {
+                ...event,
+                status: response ? response.status : null,
+                reason: response ? `HTTP ${response.status}` : error.code,
+                delayMs
+            });
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    RequestPipeline,
+    Semaphore,
+    parseRetryAfter,
+    DEFAULT_RETRY
+};
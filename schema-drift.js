@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Compare response shapes between two sets of cassette recordings and report, per endpoint,
+// fields Otter.ai added, removed or changed the type of
+//
+//   node schema-drift.js <baseline cassette|dir> <new cassette|dir> [--json]
+//
+// Exit code 0 when the shapes match, 1 when they drifted, 2 for bad arguments.
+const { loadInteractions } = require('./cassette');
+
+// Field path -> set of JSON types, e.g. 'speeches[].otid' -> {'string'}
+const inferSchema = (value, prefix = '', schema = new Map()) => {
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (prefix) {
+        if (!schema.has(prefix)) {
+            schema.set(prefix, new Set());
+        }
+        schema.get(prefix).add(type);
+    }
+    if (type === 'array') {
+        value.forEach(item => inferSchema(item, `${prefix}[]`, schema));
+    } else if (type === 'object') {
+        Object.entries(value).forEach(([key, item]) => inferSchema(item, prefix ? `${prefix}.${key}` : key, schema));
+    }
+    return schema;
+};
+
+// Successful JSON responses only: error bodies and binary downloads say nothing about the schema
+const endpointSchemas = (interactions) => {
+    const schemas = new Map();
+    interactions.forEach(({ request, response }) => {
+        if (response.encoding !== 'json' || response.status < 200 || response.status >= 300) {
+            return;
+        }
+        const endpoint = `${request.method} ${request.service === 'api' ? '' : `${request.service}:`}${request.endpoint}`;
+        if (!schemas.has(endpoint)) {
+            schemas.set(endpoint, new Map());
+        }
+        inferSchema(response.body, '', schemas.get(endpoint));
+    });
+    return schemas;
+};
+
+const _types = (types) => Array.from(types).sort().join('|');
+
+// Endpoints recorded on only one side are listed separately instead of as all-new fields
+const compareSchemas = (before, after) => {
+    const report = { endpoints: {}, onlyInBaseline: [], onlyInNew: [] };
+
+    before.forEach((oldSchema, endpoint) => {
+        const newSchema = after.get(endpoint);
+        if (!newSchema) {
+            report.onlyInBaseline.push(endpoint);
+            return;
+        }
+        const added = [];
+        const removed = [];
+        const changed = [];
+        oldSchema.forEach((types, field) => {
+            if (!newSchema.has(field)) {
+                removed.push({ field, type: _types(types) });
+            } else if (_types(types) !== _types(newSchema.get(field))) {
+                changed.push({ field, from: _types(types), to: _types(newSchema.get(field)) });
+            }
+        });
+        newSchema.forEach((types, field) => {
+            if (!oldSchema.has(field)) {
+                added.push({ field, type: _types(types) });
+            }
+        });
+        if (added.length > 0 || removed.length > 0 || changed.length > 0) {
+            report.endpoints[endpoint] = { added, removed, changed };
+        }
+    });
+    after.forEach((schema, endpoint) => {
+        if (!before.has(endpoint)) {
+            report.onlyInNew.push(endpoint);
+        }
+    });
+
+    report.drifted = Object.keys(report.endpoints).length > 0;
+    return report;
+};
+
+const checkDrift = (baseline, recording) => compareSchemas(
+    endpointSchemas(loadInteractions(baseline)),
+    endpointSchemas(loadInteractions(recording))
+);
+
+const formatReport = (report) => {
+    const lines = [];
+    Object.entries(report.endpoints).forEach(([endpoint, { added, removed, changed }]) => {
+        lines.push(endpoint);
+        added.forEach(({ field, type }) => lines.push(`  + ${field} (${type})`));
+        removed.forEach(({ field, type }) => lines.push(`  - ${field} (${type})`));
+        changed.forEach(({ field, from, to }) => lines.push(`  ~ ${field} (${from} -> ${to})`));
+    });
+    if (report.onlyInBaseline.length > 0) {
+        lines.push(`Not recorded in the new cassettes: ${report.onlyInBaseline.join(', ')}`);
+    }
+    if (report.onlyInNew.length > 0) {
+        lines.push(`Not recorded in the baseline: ${report.onlyInNew.join(', ')}`);
+    }
+    lines.push(report.drifted ? 'Response schemas drifted.' : 'No schema drift.');
+    return lines.join('\n');
+};
+
+const USAGE = 'Usage: node schema-drift.js <baseline cassette|dir> <new cassette|dir> [--json]';
+
+const main = (argv = process.argv.slice(2)) => {
+    const json = argv.includes('--json');
+    const paths = argv.filter(arg => arg !== '--json');
+    if (paths.length !== 2 || paths.some(arg => arg.startsWith('--'))) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let report;
+    try {
+        report = checkDrift(paths[0], paths[1]);
+    } catch (error) {
+        console.error(`Cannot compare cassettes: ${error.message}`);
+        return 2;
+    }
+    console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+    return report.drifted ? 1 : 0;
+};
+
+if (require.main === module) {
+    process.exit(main());
+}
+
+module.exports = { inferSchema, endpointSchemas, compareSchemas, checkDrift, formatReport, main };
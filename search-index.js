@@ -0,0 +1,309 @@
+// In-memory inverted index over normalized transcripts for searching a whole library.
+// Documents are transcript segments, ranked with BM25.
+const { formatTimestamp } = require('./exporters');
+const { ensureOk, AuthenticationError, RateLimitError } = require('./errors');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 160;
+const DEFAULT_HIGHLIGHT = { pre: '<mark>', post: '</mark>' };
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+// Lower-cased tokens with their character ranges in the original text
+const tokenize = (text) => {
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'gu');
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+const _escape = (text, escapeHtml) => {
+    if (!escapeHtml) {
+        return text;
+    }
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+};
+
+// Window of the segment text around the first match, with every matching token wrapped
+const buildSnippet = (text, terms, { highlight = DEFAULT_HIGHLIGHT, length = SNIPPET_LENGTH, escapeHtml = true } = {}) => {
+    const matches = tokenize(text).filter(token => terms.has(token.term));
+    if (matches.length === 0) {
+        return _escape(text.slice(0, length), escapeHtml);
+    }
+
+    let start = Math.max(0, matches[0].start - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+    start = Math.max(0, Math.min(start, end - length));
+    // Don't cut words in half
+    while (start > 0 && /\S/.test(text[start - 1])) {
+        start--;
+    }
+    while (end < text.length && /\S/.test(text[end])) {
+        end++;
+    }
+
+    let snippet = '';
+    let position = start;
+    matches.filter(token => token.start >= start && token.end <= end).forEach(token => {
+        snippet += _escape(text.slice(position, token.start), escapeHtml);
+        snippet += highlight.pre + _escape(text.slice(token.start, token.end), escapeHtml) + highlight.post;
+        position = token.end;
+    });
+    snippet += _escape(text.slice(position, end), escapeHtml);
+
+    return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+class SearchIndex {
+    constructor() {
+        this.speeches = new Map(); // speechId -> { meta, segments: [{ key, segment, length }] }
+        this.postings = new Map(); // term -> Map(segmentKey -> term frequency)
+        this.documents = new Map(); // segmentKey -> { speechId, index, length }
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.speeches.size;
+    }
+
+    has(speechId, version = undefined) {
+        const entry = this.speeches.get(speechId);
+        return Boolean(entry) && (version === undefined || entry.meta.version === version);
+    }
+
+    // `meta` carries list-level fields the transcript lacks (source, version for change detection)
+    add(transcript, meta = {}) {
+        this.remove(transcript.speechId);
+
+        const segments = transcript.segments.map((segment, index) => {
+            const key = `${transcript.speechId}#${index}`;
+            const tokens = tokenize(segment.text);
+            const frequencies = new Map();
+            tokens.forEach(token => frequencies.set(token.term, (frequencies.get(token.term) || 0) + 1));
+            frequencies.forEach((count, term) => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                this.postings.get(term).set(key, count);
+            });
+            this.documents.set(key, { speechId: transcript.speechId, index, length: tokens.length });
+            this.totalLength += tokens.length;
+            return { key, segment, terms: Array.from(frequencies.keys()) };
+        });
+
+        this.speeches.set(transcript.speechId, {
+            meta: {
+                speechId: transcript.speechId,
+                title: transcript.title,
+                createdAt: transcript.createdAt,
+                folderId: transcript.folderId,
+                speakers: transcript.speakerNames,
+                ...meta
+            },
+            segments
+        });
+    }
+
+    remove(speechId) {
+        const entry = this.speeches.get(speechId);
+        if (!entry) {
+            return false;
+        }
+        entry.segments.forEach(({ key, terms }) => {
+            terms.forEach(term => {
+                const posting = this.postings.get(term);
+                posting.delete(key);
+                if (posting.size === 0) {
+                    this.postings.delete(term);
+                }
+            });
+            this.totalLength -= this.documents.get(key).length;
+            this.documents.delete(key);
+        });
+        this.speeches.delete(speechId);
+        return true;
+    }
+
+    _matchesFilters(meta, segment, { from, to, folderId, speaker }) {
+        if (from || to) {
+            const created = meta.createdAt ? Date.parse(meta.createdAt) : NaN;
+            if (Number.isNaN(created) || (from && created < from.getTime()) || (to && created > to.getTime())) {
+                return false;
+            }
+        }
+        if (folderId !== undefined && folderId !== null && String(meta.folderId) !== String(folderId)) {
+            return false;
+        }
+        if (speaker && (segment.speaker || '').toLowerCase() !== speaker.toLowerCase()) {
+            return false;
+        }
+        return true;
+    }
+
+    // Rank segments containing any query term; segments matching more of the query rank higher
+    search(query, { from = null, to = null, folderId = null, speaker = null, limit = 20, offset = 0, highlight, escapeHtml } = {}) {
+        const queryTerms = Array.from(new Set(tokenize(query).map(token => token.term)));
+        if (queryTerms.length === 0) {
+            return { total: 0, hits: [] };
+        }
+
+        const documentCount = this.documents.size;
+        const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
+        const scores = new Map(); // segmentKey -> { score, matched }
+
+        queryTerms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                return;
+            }
+            const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((frequency, key) => {
+                const length = this.documents.get(key).length;
+                const weight = idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / (averageLength || 1)));
+                const current = scores.get(key) || { score: 0, matched: 0 };
+                current.score += weight;
+                current.matched += 1;
+                scores.set(key, current);
+            });
+        });
+
+        const terms = new Set(queryTerms);
+        const hits = [];
+        scores.forEach(({ score, matched }, key) => {
+            const { speechId, index } = this.documents.get(key);
+            const { meta, segments } = this.speeches.get(speechId);
+            const segment = segments[index].segment;
+            if (!this._matchesFilters(meta, segment, { from, to, folderId, speaker })) {
+                return;
+            }
+            hits.push({
+                speechId,
+                title: meta.title,
+                createdAt: meta.createdAt,
+                folderId: meta.folderId,
+                source: meta.source || null,
+                segmentId: segment.id,
+                speaker: segment.speaker,
+                start: segment.start,
+                end: segment.end,
+                timestamp: formatTimestamp(segment.start, null),
+                score: Math.round(score * (matched / queryTerms.length) * 1000) / 1000,
+                segment: segment,
+                terms
+            });
+        });
+
+        hits.sort((a, b) => b.score - a.score || String(a.speechId).localeCompare(String(b.speechId)) || a.start - b.start);
+
+        // Snippets are only built for the page that is returned
+        const page = hits.slice(offset, offset + limit).map(({ segment, terms: matchTerms, ...hit }) => ({
+            ...hit,
+            snippet: buildSnippet(segment.text, matchTerms, { highlight, escapeHtml })
+        }));
+        return { total: hits.length, hits: page };
+    }
+}
+
+// Bring `index` in line with the user's library: fetch transcripts for new or modified
+// speeches and drop speeches that are gone. Returns counts of what changed.
+const refreshSearchIndex = async (index, otter, { folder = 0, concurrency = 4 } = {}) => {
+    const listing = ensureOk(await otter.getAllSpeechesFromAllSources(folder), 'speeches');
+    const bySource = listing.data.speeches_by_source;
+    const failedSources = listing.data.failed_sources || [];
+
+    const remote = new Map();
+    ['owned', 'shared'].forEach(source => {
+        (bySource[source] || []).forEach(speech => {
+            if (speech.otid && !remote.has(speech.otid)) {
+                remote.set(speech.otid, { source, version: speech.modified_time ?? null });
+            }
+        });
+    });
+
+    let removed = 0;
+    Array.from(index.speeches.entries()).forEach(([speechId, entry]) => {
+        // Speeches from a source that failed to list stay indexed until it lists again
+        if (!remote.has(speechId) && !failedSources.includes(entry.meta.source)) {
+            index.remove(speechId);
+            removed++;
+        }
+    });
+
+    const pending = Array.from(remote.entries()).filter(([otid, meta]) => !index.has(otid, meta.version));
+    const failed = [];
+    let added = 0;
+
+    // The client's pipeline caps concurrency too; this keeps memory bounded on large libraries
+    for (let i = 0; i < pending.length; i += concurrency) {
+        await Promise.all(pending.slice(i, i + concurrency).map(async ([otid, meta]) => {
+            try {
+                const transcript = ensureOk(await otter.getTranscript(otid), 'speech').data;
+                index.add(transcript, meta);
+                added++;
+            } catch (error) {
+                if (error instanceof AuthenticationError || error instanceof RateLimitError) {
+                    throw error;
+                }
+                failed.push({ otid, code: error.code || 'INTERNAL_ERROR', message: error.message });
+            }
+        }));
+    }
+
+    return { indexed: index.size, added, removed, failed };
+};
+
+// Per-session indexes held in memory: past `maxEntries` the least recently used one is dropped,
+// and cleanup() drops those unused for `ttl` ms
+class SearchIndexCache {
+    constructor({ maxEntries = 50, ttl = 60 * 60 * 1000 } = {}) {
+        this.maxEntries = Math.max(1, maxEntries);
+        this.ttl = ttl;
+        this.entries = new Map(); // insertion order doubles as recency order
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            entry.usedAt = Date.now();
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.usedAt = Date.now();
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    cleanup(now = Date.now()) {
+        const removed = [];
+        for (const [key, entry] of this.entries.entries()) {
+            if (now - entry.usedAt > this.ttl) {
+                this.entries.delete(key);
+                removed.push(key);
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = { SearchIndex, SearchIndexCache, refreshSearchIndex, tokenize, buildSnippet, DEFAULT_HIGHLIGHT };
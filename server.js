@@ -1,23 +1,61 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const fs = require('fs');
+const stream = require('stream');
+const os = require('os');
 const path = require('path');
+const multer = require('multer');
 require('dotenv').config();
 
-const { OtterAI, OtterAIException } = require('./otterai');
+const {
+    OtterAI,
+    OtterAIException,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError,
+    ValidationError,
+    ConflictError,
+    PermissionError,
+    errorFromResponse,
+    ensureOk,
+    BULK_EXPORT_FORMATS,
+    speechCursor,
+    encodeSpeechCursor,
+    decodeSpeechCursor
+} = require('./otterai');
+const { FORMATS: TRANSCRIPT_FORMATS, isTranscriptFormat, renderTranscript } = require('./exporters');
+const { createSessionStore } = require('./session-store');
+const { JobStore } = require('./jobs');
+const { OtterUploadStorage } = require('./upload-storage');
+const { SpeechWatcher } = require('./watcher');
+const { WebhookDispatcher, WebhookRegistry } = require('./webhooks');
+const { SearchIndex, SearchIndexCache, refreshSearchIndex } = require('./search-index');
+const { createApiKeyStore, keyStatus, KEY_PREFIX } = require('./api-keys');
+const { buildOpenApiDocument } = require('./openapi');
+const { createOpenApiValidator } = require('./openapi-validator');
+const { logger, requestLogging } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Clients built by the server log alongside it rather than to the client default (stderr)
+const otterOptions = () => ({ ...OtterAI.endpointsFromEnv(), logger });
+
+// Request ids and structured access logs (JSON lines, LOG_LEVEL)
+app.use(requestLogging(logger));
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: process.env.API_RATE_LIMIT || 100, // limit each IP to 100 requests per windowMs
     message: {
         error: 'Too many requests',
+        code: 'RATE_LIMITED',
         message: 'Rate limit exceeded. Please try again later.'
     },
     standardHeaders: true,
@@ -33,6 +71,7 @@ const authLimiter = rateLimit({
     max: 5, // limit each IP to 5 auth requests per windowMs
     message: {
         error: 'Too many authentication attempts',
+        code: 'RATE_LIMITED',
         message: 'Please try again later.'
     }
 });
@@ -57,9 +96,6 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Request logging
-app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
-
 // Body parsing middleware with limits
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -75,7 +111,35 @@ if (NODE_ENV !== 'production') {
                 login: 'POST /api/auth/login',
                 speechIds: 'GET /api/speech-ids',
                 transcript: 'GET /api/transcript/:speechId',
+                transcriptExport: 'GET /api/transcript/:speechId?format=srt|vtt|txt|md|json',
+                editTranscript: 'PATCH /api/transcript/:speechId',
+                search: 'GET /api/search?q=',
+                speakers: 'GET|POST /api/speakers',
+                speaker: 'PATCH|DELETE /api/speakers/:speakerId',
+                mergeSpeakers: 'POST /api/speakers/:speakerId/merge',
+                transcriptSpeakers: 'GET|POST /api/transcript/:speechId/speakers',
+                folders: 'GET|POST /api/folders',
+                folder: 'PATCH|DELETE /api/folders/:folderId',
+                folderSpeeches: 'POST /api/folders/:folderId/speeches, DELETE /api/folders/:folderId/speeches/:speechId',
+                groups: 'GET /api/groups',
+                groupSpeeches: 'POST /api/groups/:groupId/speeches, DELETE /api/groups/:groupId/speeches/:speechId',
+                upload: 'POST /api/speeches',
+                deleteSpeech: 'DELETE /api/speeches/:id?permanent=true&dry_run=true',
+                trash: 'GET|POST /api/trash',
+                restore: 'POST /api/trash/restore',
+                purge: 'POST /api/trash/delete',
+                uploadStatus: 'GET /api/uploads/:jobId',
+                exports: 'POST /api/exports',
+                exportStatus: 'GET /api/exports/:jobId',
+                exportDownload: 'GET /api/exports/:jobId/download',
+                webhooks: 'GET|POST /api/webhooks',
+                deleteWebhook: 'DELETE /api/webhooks/:id',
                 logout: 'POST /api/auth/logout',
+                apiKeys: 'GET|POST /api/admin/keys',
+                apiKey: 'GET|DELETE /api/admin/keys/:id',
+                rotateApiKey: 'POST /api/admin/keys/:id/rotate',
+                openapi: 'GET /api/openapi.json',
+                docs: 'GET /api/docs',
                 health: 'GET /health'
             }
         });
@@ -90,265 +154,1486 @@ if (NODE_ENV !== 'production') {
     });
 }
 
-// Enhanced session management with cleanup
-const sessions = new Map();
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
+// Session management: sessions live in a pluggable store (SESSION_STORE=memory|file|redis)
+// as serialized cookies and userid, so any instance can serve any session
+const sessionStore = createSessionStore();
+const SESSION_TIMEOUT = sessionStore.ttl;
 
 // Session cleanup function
-const cleanupExpiredSessions = () => {
-    const now = Date.now();
-    for (const [sessionId, sessionData] of sessions.entries()) {
-        if (now - sessionData.timestamp > SESSION_TIMEOUT) {
-            sessions.delete(sessionId);
-            console.log(`Cleaned up expired session: ${sessionId}`);
+const cleanupExpiredSessions = async () => {
+    try {
+        const removed = await sessionStore.cleanup();
+        removed.forEach(sessionId => {
+            webhooks.removeSession(sessionId);
+            searchIndexes.delete(sessionId);
+        });
+        searchIndexes.cleanup();
+        if (removed.length > 0) {
+            logger.info('Cleaned up expired sessions', { count: removed.length });
         }
+    } catch (error) {
+        logger.error('Session cleanup failed', { error });
     }
 };
 
 // Run cleanup every hour
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+setInterval(cleanupExpiredSessions, 60 * 60 * 1000).unref();
 
-// Helper function to get authenticated OtterAI instance
-const getOtterInstance = (sessionId) => {
-    const sessionData = sessions.get(sessionId);
+// Helper function to rebuild an authenticated OtterAI instance from the stored session
+// Background work (webhook watchers) passes `touch: false`, so polling alone never keeps a
+// session alive
+const getOtterInstance = async (sessionId, { touch = true } = {}) => {
+    const sessionData = await sessionStore.get(sessionId);
     if (!sessionData) {
-        throw new Error('Session not found or expired. Please login again.');
+        throw new AuthenticationError('Session not found or expired. Please login again.');
     }
     
-    // Check if session is expired
-    if (Date.now() - sessionData.timestamp > SESSION_TIMEOUT) {
-        sessions.delete(sessionId);
-        throw new Error('Session expired. Please login again.');
+    // Extend expiry for active sessions
+    if (touch) {
+        await sessionStore.touch(sessionId);
     }
     
-    // Update timestamp for active sessions
-    sessionData.timestamp = Date.now();
+    return OtterAI.fromSession(sessionData, otterOptions());
+};
+
+// API keys for services: bound to a stored Otter.ai session and limited to scopes.
+// Managed through /api/admin/keys with the ADMIN_API_TOKEN bearer token.
+const apiKeys = createApiKeyStore();
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+const MAX_ROTATION_GRACE = 7 * 24 * 60 * 60; // seconds
+
+// Keys arrive as `X-API-Key: otk_...` or `Authorization: Bearer otk_...`
+const apiKeyFromRequest = (req) => {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token && token.startsWith(KEY_PREFIX) ? token : null;
+};
+
+// Middleware: resolve the session-id header (or an API key) into req.otter
+// Otter.ai rotates its cookies and CSRF token during a session. When a request leaves the client
+// with different cookies, write them back to the session (or API key) they came from; otherwise
+// the next request starts from the stale ones and the session eventually stops working.
+// Work that carries on after the response (uploads, exports, search index builds) calls
+// req.saveSession() again when it is done.
+const saveRotatedSession = (req, res) => {
+    let saved = JSON.stringify(req.otter.exportSession().cookieJar);
+    req.saveSession = () => {
+        const session = req.otter.exportSession();
+        const cookies = JSON.stringify(session.cookieJar);
+        if (cookies === saved) {
+            return;
+        }
+        saved = cookies;
+        const stored = req.apiKey
+            ? apiKeys.updateSession(req.apiKey.id, session)
+            : sessionStore.update(req.sessionId, current => current && { ...current, ...session });
+        stored.catch(error => logger.error('Failed to save rotated Otter.ai session cookies', { error }));
+    };
+    res.on('finish', req.saveSession);
+};
+
+const requireSession = async (req, res, next) => {
+    const apiKey = apiKeyFromRequest(req);
+    if (apiKey) {
+        const record = await apiKeys.verify(apiKey);
+        req.apiKey = record;
+        req.sessionId = record.owner;
+        req.otter = OtterAI.fromSession(record.session, otterOptions());
+        saveRotatedSession(req, res);
+        return next();
+    }
+
+    const sessionId = req.headers['session-id'];
     
-    return sessionData.otter;
+    if (!sessionId) {
+        throw new AuthenticationError('Session ID required. Please provide session-id in headers');
+    }
+    
+    req.sessionId = sessionId;
+    req.otter = await getOtterInstance(sessionId);
+    saveRotatedSession(req, res);
+    next();
 };
 
-// Generate secure session ID
-const generateSessionId = () => {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 9);
-    const hash = Buffer.from(`${timestamp}_${random}`).toString('base64').replace(/[^a-zA-Z0-9]/g, '');
-    return `sess_${hash}`;
+// Middleware: API keys need the scope; logged-in sessions may do everything
+const requireScope = (scope) => (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+        throw new PermissionError(`This API key lacks the "${scope}" scope`);
+    }
+    next();
 };
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_API_TOKEN) {
+        throw new PermissionError('The admin API is disabled. Set ADMIN_API_TOKEN to enable it.');
+    }
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    const expected = crypto.createHash('sha256').update(ADMIN_API_TOKEN).digest();
+    const received = crypto.createHash('sha256').update(scheme === 'Bearer' && token ? token : '').digest();
+    if (!crypto.timingSafeEqual(expected, received)) {
+        throw new AuthenticationError('Admin token required: Authorization: Bearer <ADMIN_API_TOKEN>');
+    }
+    next();
+};
+
+// Generate secure session ID
+const generateSessionId = () => `sess_${crypto.randomBytes(24).toString('hex')}`;
+
+// Background jobs (uploads, exports) that clients poll for status; expired exports take their zip with them
+const jobs = new JobStore({
+    ttl: SESSION_TIMEOUT,
+    onRemove: (job) => {
+        if (job.filePath) {
+            fs.promises.unlink(job.filePath).catch(() => {});
+        }
+    }
 });
+setInterval(() => jobs.cleanup(), 60 * 60 * 1000).unref();
 
-// Authentication endpoint
-app.post('/api/auth/login', authLimiter, async (req, res) => {
+const formatJob = (job) => {
+    const formatted = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        otid: job.otid || null,
+        file: job.file || null,
+        error: job.error,
+        created_at: job.createdAt,
+        updated_at: job.updatedAt,
+        links: { self: `/api/${job.type}s/${job.id}` }
+    };
+    if (job.otid) {
+        formatted.links.transcript = `/api/transcript/${job.otid}`;
+    }
+    if (job.type === 'export') {
+        formatted.speech_ids = job.speechIds || null;
+        formatted.folder_id = job.folderId ?? null;
+        formatted.formats = job.formats;
+        if (job.status === 'complete') {
+            formatted.links.download = `/api/exports/${job.id}/download`;
+        }
+    }
+    return formatted;
+};
+
+// Bulk exports: Otter.ai's zip is streamed to a file in EXPORT_DIR and served from there until the
+// job expires. Serverless hosts (VERCEL) keep neither the job nor the file between invocations, so
+// there the zip is streamed straight through the response instead; EXPORT_IN_BACKGROUND=true|false
+// overrides the choice.
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'otter-exports');
+const EXPORT_IN_BACKGROUND = process.env.EXPORT_IN_BACKGROUND
+    ? process.env.EXPORT_IN_BACKGROUND === 'true'
+    : !process.env.VERCEL;
+
+const parseExportRequest = (body) => {
+    const { speech_ids: speechIds, folder_id: folderId, formats = BULK_EXPORT_FORMATS } = body || {};
+    if ((speechIds === undefined) === (folderId === undefined)) {
+        throw new ValidationError('Provide either speech_ids or folder_id');
+    }
+
+    const formatList = (Array.isArray(formats) ? formats : String(formats).split(','))
+        .map(format => String(format).trim()).filter(Boolean);
+    const unknown = formatList.filter(format => !BULK_EXPORT_FORMATS.includes(format));
+    if (formatList.length === 0 || unknown.length > 0) {
+        throw new ValidationError(`formats must be a list of ${BULK_EXPORT_FORMATS.join(', ')}`);
+    }
+
+    if (folderId !== undefined) {
+        return { speechIds: null, folderId: parseNumericId(folderId, 'folder_id'), formats: formatList };
+    }
+    return { speechIds: Array.from(new Set(parseSpeechIdList(body))), folderId: null, formats: formatList };
+};
+
+const runExport = async (otter, job) => {
+    const filePath = path.join(EXPORT_DIR, `${job.id}.zip`);
+    const partPath = `${filePath}.part`;
+    let output = null;
     try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ 
-                error: 'Validation Error',
-                message: 'Username and password are required' 
-            });
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+        output = fs.createWriteStream(partPath);
+        const result = ensureOk(await otter.exportSpeeches(job.speechIds, {
+            folder: job.folderId,
+            formats: job.formats.join(','),
+            destination: output,
+            onProgress: (event) => {
+                jobs.update(job.id, {
+                    progress: { phase: event.phase, percent: event.percent ?? null, loaded: event.loaded ?? null, total: event.total ?? null }
+                });
+            }
+        }), 'bulk_export');
+        await fs.promises.rename(partPath, filePath);
+
+        // The job may have expired while Otter.ai was building the export
+        if (!jobs.update(job.id, {
+            status: 'complete',
+            speechIds: result.data.otids,
+            filePath,
+            file: { name: result.data.filename, content_type: result.data.contentType, size: result.data.size }
+        })) {
+            await fs.promises.unlink(filePath);
+        }
+    } catch (error) {
+        if (output) {
+            output.destroy();
         }
+        fs.promises.unlink(partPath).catch(() => {});
+        jobs.fail(job.id, error);
+    }
+};
 
-        // Basic input validation
-        if (username.length > 200 || password.length > 200) {
-            return res.status(400).json({
-                error: 'Validation Error',
-                message: 'Username or password too long'
+// Speech uploads: multipart audio/video streamed to Otter.ai (files without a declared size are
+// spooled to UPLOAD_TMP_DIR first). The job is returned as soon as the file starts arriving and
+// the upload carries on behind it, except on serverless hosts (VERCEL), which may stop work once
+// the response is sent; UPLOAD_IN_BACKGROUND=true|false overrides the choice.
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(500 * 1024 * 1024), 10);
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'otter-uploads');
+const UPLOAD_IN_BACKGROUND = process.env.UPLOAD_IN_BACKGROUND
+    ? process.env.UPLOAD_IN_BACKGROUND === 'true'
+    : !process.env.VERCEL;
+const UPLOAD_MIME_TYPE = /^(audio|video)\//;
+const UPLOAD_LANGUAGE = /^[a-z]{2}$/;
+
+// Fields that precede the file part configure the upload
+const uploadOptionsFromFields = (fields) => {
+    const options = {};
+
+    if (fields.language !== undefined) {
+        if (!UPLOAD_LANGUAGE.test(fields.language)) {
+            throw new ValidationError('language must be a two-letter language code');
+        }
+        options.language = fields.language;
+    }
+    if (fields.country !== undefined) {
+        if (!UPLOAD_LANGUAGE.test(fields.country)) {
+            throw new ValidationError('country must be a two-letter country code');
+        }
+        options.country = fields.country;
+    }
+    if (fields.folder_id !== undefined) {
+        const folderId = Number(fields.folder_id);
+        if (!Number.isInteger(folderId) || folderId < 0) {
+            throw new ValidationError('folder_id must be a non-negative integer');
+        }
+        options.folderId = folderId;
+    }
+    if (fields.size !== undefined) {
+        const size = Number(fields.size);
+        if (!Number.isInteger(size) || size < 1 || size > UPLOAD_MAX_BYTES) {
+            throw new ValidationError(`size must be an integer between 1 and ${UPLOAD_MAX_BYTES}`);
+        }
+        options.size = size;
+    }
+    return options;
+};
+
+const sendUploadJob = (res, job) => {
+    res.status(202).location(`/api/uploads/${job.id}`).json(formatJob(job));
+};
+
+const uploader = multer({
+    storage: new OtterUploadStorage({
+        maxBytes: UPLOAD_MAX_BYTES,
+        tempDir: UPLOAD_TMP_DIR,
+        handler: async (req, file) => {
+            const options = uploadOptionsFromFields(req.body || {});
+            const job = jobs.create('upload', {
+                owner: req.sessionId,
+                status: 'uploading',
+                file: { name: file.originalname, content_type: file.mimetype, size: options.size || null }
             });
+            req.uploadJob = job;
+
+            options.onProgress = (event) => {
+                jobs.update(job.id, { progress: { phase: event.phase, percent: event.percent, loaded: event.loaded, total: event.total } });
+            };
+            if (UPLOAD_IN_BACKGROUND) {
+                sendUploadJob(req.res, job);
+            }
+            return { otter: req.otter, options };
+        }
+    }),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1, fields: 10 },
+    fileFilter: (req, file, cb) => {
+        if (!UPLOAD_MIME_TYPE.test(file.mimetype)) {
+            return cb(new ValidationError(`Unsupported file type ${file.mimetype}. Upload audio or video.`));
+        }
+        cb(null, true);
+    }
+});
+
+// Record the outcome of the upload on its job; returns the error when it failed
+const finishUploadJob = (job, file) => {
+    try {
+        const result = ensureOk(file.otterResult, 'finish_speech_upload');
+        jobs.update(job.id, {
+            status: result.data.otid ? 'processing' : 'uploaded',
+            otid: result.data.otid,
+            file: { ...job.file, size: file.size }
+        });
+        return null;
+    } catch (error) {
+        jobs.fail(job.id, error);
+        return error;
+    }
+};
+
+const receiveUpload = (req, res, next) => {
+    uploader.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            err = new ValidationError(err.code === 'LIMIT_FILE_SIZE'
+                ? `File exceeds the ${UPLOAD_MAX_BYTES} byte upload limit`
+                : err.message);
         }
+        const job = req.uploadJob;
+        if (job && err) {
+            jobs.fail(job.id, err);
+        } else if (job) {
+            err = finishUploadJob(job, req.file);
+        }
+
+        // The job went out when the file started arriving; from then on it carries the outcome
+        if (res.headersSent) {
+            req.saveSession();
+            if (err) {
+                logger.warn('Upload failed', { job_id: job.id, error: err });
+            }
+            return;
+        }
+        next(err || undefined);
+    });
+};
+
+// Watchers run for logged-in sessions and for API key owners. Only background work resolves
+// owners this way; requests must always present the key itself.
+const watcherClient = async (sessionId) => {
+    if (!sessionId.startsWith('key_')) {
+        return getOtterInstance(sessionId, { touch: false });
+    }
+    const record = await apiKeys.findActiveByOwner(sessionId);
+    if (!record) {
+        throw new AuthenticationError('The API key for these webhooks was revoked or has expired');
+    }
+    return OtterAI.fromSession(record.session, otterOptions());
+};
+
+// Webhooks: a watcher per subscribed session diffs the speech list and posts signed events
+const allowPrivateWebhooks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+const webhooks = new WebhookRegistry({
+    requireHttps: NODE_ENV === 'production',
+    allowPrivateNetworks: allowPrivateWebhooks,
+    dispatcher: new WebhookDispatcher({
+        allowPrivateNetworks: allowPrivateWebhooks,
+        retries: parseInt(process.env.WEBHOOK_MAX_RETRIES || '5', 10),
+        deadLetterPath: process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(__dirname, 'data', 'webhooks-dead-letter.jsonl')
+    }),
+    createWatcher: (sessionId) => new SpeechWatcher({
+        getClient: () => watcherClient(sessionId),
+        interval: parseInt(process.env.WEBHOOK_POLL_INTERVAL || '60000', 10)
+    })
+});
 
-        console.log(`Authentication attempt for user: ${username}`);
+// Secrets are only returned once, when the subscription is created
+const formatWebhook = (subscription, { includeSecret = false } = {}) => {
+    const formatted = {
+        id: subscription.id,
+        url: subscription.url,
+        events: subscription.events,
+        created_at: subscription.createdAt
+    };
+    if (includeSecret) {
+        formatted.secret = subscription.secret;
+    }
+    return formatted;
+};
 
-        const otter = new OtterAI();
-        const loginResponse = await otter.login(username, password);
+// Library search: each session gets an inverted index over its transcripts, built and refreshed
+// (new and modified speeches only) in the background at most once per SEARCH_REFRESH_INTERVAL, so
+// a search never waits on Otter.ai. At most SEARCH_MAX_INDEXES indexes are kept (least recently
+// used out first) and one unused for SEARCH_INDEX_TTL ms is dropped.
+const SEARCH_REFRESH_INTERVAL = parseInt(process.env.SEARCH_REFRESH_INTERVAL || String(5 * 60 * 1000), 10);
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_BUILD_RETRY_AFTER = 5; // seconds
+const searchIndexes = new SearchIndexCache({ // sessionId -> { index, refreshedAt, lastRefresh, refreshing, error }
+    maxEntries: parseInt(process.env.SEARCH_MAX_INDEXES || '50', 10),
+    ttl: parseInt(process.env.SEARCH_INDEX_TTL || String(60 * 60 * 1000), 10)
+});
 
-        if (loginResponse && loginResponse.status === 200) {
-            // Generate secure session ID
-            const sessionId = generateSessionId();
-            
-            // Store session with timestamp
-            sessions.set(sessionId, {
-                otter: otter,
-                timestamp: Date.now(),
-                userId: otter.userid,
-                username: username
+const getSearchIndex = (sessionId, otter, { force = false } = {}) => {
+    let entry = searchIndexes.get(sessionId);
+    if (!entry) {
+        entry = searchIndexes.set(sessionId, { index: new SearchIndex(), refreshedAt: 0, lastRefresh: null, refreshing: null, error: null });
+    }
+
+    // A first build that failed is reported once; the next search starts another
+    if (entry.error && !entry.refreshedAt) {
+        const error = entry.error;
+        entry.error = null;
+        throw error;
+    }
+
+    // Concurrent searches share one refresh
+    if (!entry.refreshing && (force || Date.now() - entry.refreshedAt > SEARCH_REFRESH_INTERVAL)) {
+        entry.refreshing = refreshSearchIndex(entry.index, otter)
+            .then(result => {
+                entry.refreshedAt = Date.now();
+                entry.lastRefresh = result;
+                entry.error = null;
+            })
+            .catch(error => {
+                entry.error = error;
+                logger.warn('Search index refresh failed', { error });
+            })
+            .finally(() => {
+                entry.refreshing = null;
             });
+    }
+    return entry;
+};
 
-            const response = {
-                success: true,
-                sessionId: sessionId,
-                user: {
-                    userid: otter.userid,
-                    ...loginResponse.data
-                },
-                expiresIn: SESSION_TIMEOUT
-            };
+// Accepts ISO dates; a bare YYYY-MM-DD upper bound covers the whole day
+const parseDateParam = (value, name, { endOfDay = false } = {}) => {
+    if (value === undefined) {
+        return null;
+    }
+    const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`${name} must be an ISO 8601 date`);
+    }
+    return date;
+};
+
+// Speakers: Otter speaker ids are numeric, but pass anything else through unchanged
+const parseSpeakerId = (value, name = 'speaker_id') => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        throw new ValidationError(`${name} is required`);
+    }
+    return /^\d+$/.test(String(value)) ? Number(value) : String(value);
+};
+
+const parseSpeakerName = (value) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ValidationError('name is required');
+    }
+    if (value.length > 100) {
+        throw new ValidationError('name must be at most 100 characters');
+    }
+    return value.trim();
+};
+
+const formatSpeaker = (speaker) => ({
+    id: speaker.id !== undefined ? speaker.id : (speaker.speaker_id !== undefined ? speaker.speaker_id : null),
+    name: speaker.speaker_name || speaker.name || null
+});
+
+// Folders and groups
+const parseNumericId = (value, name) => {
+    if (!/^\d+$/.test(String(value))) {
+        throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    return Number(value);
+};
+
+const parseFolderName = (value) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ValidationError('name is required');
+    }
+    if (value.length > 100) {
+        throw new ValidationError('name must be at most 100 characters');
+    }
+    return value.trim();
+};
+
+const parseSpeechIdList = (body) => {
+    const speechIds = (body || {}).speech_ids;
+    if (!Array.isArray(speechIds) || speechIds.length === 0 || speechIds.some(id => typeof id !== 'string' || !id)) {
+        throw new ValidationError('speech_ids must be a non-empty list of speech IDs');
+    }
+    if (speechIds.length > 500) {
+        throw new ValidationError('speech_ids can hold at most 500 speech IDs');
+    }
+    return speechIds;
+};
+
+const formatFolder = (folder) => ({
+    id: folder.id !== undefined ? folder.id : (folder.folder_id !== undefined ? folder.folder_id : null),
+    name: folder.folder_name || folder.name || null,
+    speech_count: folder.speech_count !== undefined ? folder.speech_count : null
+});
+
+const formatGroup = (group) => ({
+    id: group.id !== undefined ? group.id : (group.group_id !== undefined ? group.group_id : null),
+    name: group.name || group.group_name || null,
+    member_count: group.member_count !== undefined ? group.member_count : null
+});
+
+// Trash: bulk actions report a result per speech and support dry runs
+const isTruthy = (value) => value === true || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+const TRASH_ACTIONS = {
+    trash: 'trashSpeeches',
+    restore: 'restoreSpeeches',
+    delete: 'deleteSpeechesPermanently'
+};
+
+// Turn a per-item `{code, message}` failure back into the typed error for single-speech routes
+const errorFromItem = ({ code, message }) => {
+    const ErrorClass = [NotFoundError, RateLimitError, ValidationError, ConflictError, UpstreamError]
+        .find(candidate => candidate.code === code) || OtterAIException;
+    return new ErrorClass(message);
+};
+
+const runTrashAction = async (req, action, speechIds) => {
+    const dryRun = isTruthy((req.body || {}).dry_run) || isTruthy(req.query.dry_run);
+    const result = (await req.otter[TRASH_ACTIONS[action]](speechIds, { dryRun })).data;
+
+    // Trashed or deleted speeches leave the search index straight away
+    const searchEntry = searchIndexes.get(req.sessionId);
+    if (searchEntry && !dryRun && action !== 'restore') {
+        result.results.filter(item => item.ok).forEach(item => searchEntry.index.remove(item.otid));
+    }
+    return result;
+};
+
+// Speech listing pagination
+const SPEECH_SOURCES = ['owned', 'shared'];
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+
+const toSpeechSummary = ({ speech, source }) => ({
+    id: speech.id,
+    otid: speech.otid || null,
+    title: speech.title || 'Untitled',
+    created_at: speech.created_at || null,
+    duration: speech.duration || 0,
+    source: source
+});
+
+// The speeches endpoint cannot filter by group, so listings filter on the groups each speech
+// summary says it is shared with: `shared_groups`, a list of `{ id }` (see fixtures/otter.json)
+const inGroup = (speech, groupId) => groupId === null ||
+    (speech.shared_groups || []).some(group => String(group.id) === String(groupId));
+
+// Optional ?folder_id= / ?group_id= filters for speech listings
+const parseListingFilters = (query) => {
+    const filters = { folder: 0, groupId: null };
+    if (query.folder_id !== undefined) {
+        if (!/^\d+$/.test(query.folder_id)) {
+            throw new ValidationError('folder_id must be a non-negative integer');
+        }
+        filters.folder = Number(query.folder_id);
+    }
+    if (query.group_id !== undefined) {
+        if (!/^\d+$/.test(query.group_id)) {
+            throw new ValidationError('group_id must be a non-negative integer');
+        }
+        filters.groupId = Number(query.group_id);
+    }
+    return filters;
+};
+
+// Walk owned then shared speeches from the cursor position, reading one speech past the
+// limit to find out whether another page exists
+const listSpeechPage = async (otter, position, limit, { folder = 0, groupId = null } = {}) => {
+    const speeches = [];
+    const startIndex = position ? SPEECH_SOURCES.indexOf(position.source) : 0;
+
+    for (const source of SPEECH_SOURCES.slice(startIndex)) {
+        const cursor = position && position.source === source ? position : null;
+
+        for await (const speech of otter.iterateSpeeches({ folder, source, cursor })) {
+            if (!inGroup(speech, groupId)) {
+                continue;
+            }
+            if (speeches.length === limit) {
+                const last = speeches[speeches.length - 1];
+                return {
+                    speeches,
+                    nextCursor: encodeSpeechCursor({ source: last.source, ...speechCursor(last.speech) })
+                };
+            }
+            speeches.push({ speech, source });
+        }
+    }
+
+    return { speeches, nextCursor: null };
+};
 
-            console.log(`Login successful for user: ${username}, session: ${sessionId}`);
-            res.json(response);
-        } else {
-            console.log(`Login failed for user: ${username}:`, loginResponse);
-            res.status(401).json({
-                error: 'Authentication Failed',
-                message: 'Invalid username or password'
+// OpenAPI document: each documented route validates params and bodies against it once the
+// caller is authenticated, and responses are checked against it in development
+const openApiDocument = buildOpenApiDocument({
+    maxPageLimit: MAX_PAGE_LIMIT,
+    searchMaxLimit: SEARCH_MAX_LIMIT,
+    maxRotationGrace: MAX_ROTATION_GRACE,
+    uploadMaxBytes: UPLOAD_MAX_BYTES
+});
+const openApiValidator = createOpenApiValidator(openApiDocument, {
+    checkResponses: NODE_ENV === 'development',
+    onResponseMismatch: ({ method, path, status, problems }) => {
+        logger.warn('Response does not match the OpenAPI document', { method, path, status, problems });
+    }
+});
+app.use(openApiValidator.validateResponses);
+const { validateRequest } = openApiValidator;
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Interactive docs: Swagger UI comes from a CDN, so the page gets its own content security policy
+if (NODE_ENV !== 'production') {
+    const SWAGGER_UI_CDN = 'https://cdn.jsdelivr.net';
+    const SWAGGER_UI_URL = `${SWAGGER_UI_CDN}/npm/swagger-ui-dist@5.17.14`;
+    const DOCS_CSP = [
+        "default-src 'self'",
+        `script-src 'self' ${SWAGGER_UI_CDN}`,
+        `style-src 'self' 'unsafe-inline' ${SWAGGER_UI_CDN}`,
+        "img-src 'self' data: https:",
+        "connect-src 'self'"
+    ].join('; ');
+
+    app.get('/api/docs', (req, res) => {
+        res.set('Content-Security-Policy', DOCS_CSP);
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Otter.ai API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+    <script src="/api/docs/init.js"></script>
+</body>
+</html>
+`);
+    });
+
+    // Kept out of the page so script-src needs no 'unsafe-inline'
+    app.get('/api/docs/init.js', (req, res) => {
+        res.type('application/javascript').send(
+            "window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });\n"
+        );
+    });
+}
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Authentication endpoint
+app.post('/api/auth/login', authLimiter, validateRequest, async (req, res) => {
+    // Presence, types and lengths are checked against the OpenAPI document
+    const { username, password } = req.body;
+
+    const otter = new OtterAI(otterOptions());
+    const loginResponse = await otter.login(username, password);
+
+    if (loginResponse.status !== 200) {
+        logger.warn('Login failed', { upstream_status: loginResponse.status });
+        if ([400, 401, 403].includes(loginResponse.status)) {
+            throw new AuthenticationError('Invalid username or password', {
+                status: loginResponse.status,
+                endpoint: 'login',
+                body: loginResponse.data
             });
         }
-    } catch (error) {
-        console.error('Authentication error:', error);
-        res.status(500).json({
-            error: 'Authentication Error',
-            message: NODE_ENV === 'production' ? 'Authentication service unavailable' : error.message
-        });
+        throw errorFromResponse(loginResponse, 'login');
     }
+
+    // Generate secure session ID
+    const sessionId = generateSessionId();
+    
+    // Store the serialized session
+    await sessionStore.set(sessionId, {
+        ...otter.exportSession(),
+        createdAt: Date.now()
+    });
+
+    const response = {
+        success: true,
+        sessionId: sessionId,
+        user: {
+            userid: otter.userid,
+            ...loginResponse.data
+        },
+        expiresIn: SESSION_TIMEOUT
+    };
+
+    logger.info('Login succeeded', { userid: otter.userid });
+    res.json(response);
 });
 
 // MAIN ENDPOINT 1: Get speech IDs of all speeches
-app.get('/api/speech-ids', async (req, res) => {
-    try {
-        const sessionId = req.headers['session-id'];
-        
-        if (!sessionId) {
-            return res.status(401).json({ 
-                error: 'Session ID required',
-                message: 'Please provide session-id in headers' 
-            });
+app.get('/api/speech-ids', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const otter = req.otter;
+
+    // Paginated mode when the client supplies a cursor or a page size
+    const { cursor, limit } = req.query;
+    const filters = parseListingFilters(req.query);
+
+    if (cursor !== undefined || limit !== undefined) {
+        const pageLimit = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+
+        if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_PAGE_LIMIT) {
+            throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
         }
-        
-        const otter = getOtterInstance(sessionId);
-        
-        console.log('Fetching all speeches from all sources...');
-        
-        // Get all speeches from all sources and extract just the IDs
-        const allSpeeches = await otter.getAllSpeechesFromAllSources();
-        
-        console.log('Raw response:', JSON.stringify(allSpeeches, null, 2));
-        
-        // Validate response structure
-        if (!allSpeeches || !allSpeeches.data || !allSpeeches.data.all_speeches) {
-            return res.status(500).json({ 
-                error: 'Invalid response from Otter.ai',
-                message: 'Expected speeches array not found in response'
-            });
+
+        const position = cursor !== undefined ? decodeSpeechCursor(cursor) : null;
+
+        if (position && !SPEECH_SOURCES.includes(position.source)) {
+            throw new ValidationError('Invalid speeches cursor: unknown source');
         }
-        
-        // Extract speech IDs and basic info
-        const speechIds = allSpeeches.data.all_speeches.map(speech => ({
-            id: speech.id,
-            title: speech.title || 'Untitled',
-            created_at: speech.created_at || null,
-            duration: speech.duration || 0,
-            source: speech.source || 'owned'
-        }));
-        
-        const response = {
-            total_count: allSpeeches.data.summary?.total_count || speechIds.length,
-            speech_ids: speechIds
-        };
-        
-        console.log('Sending response:', JSON.stringify(response, null, 2));
-        
-        res.json(response);
-    } catch (error) {
-        console.error('Error in /api/speech-ids:', error);
-        res.status(500).json({ 
-            error: 'Failed to get speech IDs',
-            message: error.message || 'Unknown error occurred'
+
+        const page = await listSpeechPage(otter, position, pageLimit, filters);
+
+        return res.json({
+            total_count: page.speeches.length,
+            speech_ids: page.speeches.map(toSpeechSummary),
+            next_cursor: page.nextCursor
         });
     }
+
+    // Get all speeches from all sources and extract just the IDs
+    const allSpeeches = ensureOk(await otter.getAllSpeechesFromAllSources(filters.folder), 'speeches');
+
+    // Extract speech IDs and basic info
+    const { owned, shared } = allSpeeches.data.speeches_by_source;
+    const speechIds = [
+        ...owned.filter(speech => inGroup(speech, filters.groupId)).map(speech => toSpeechSummary({ speech, source: 'owned' })),
+        ...shared.filter(speech => inGroup(speech, filters.groupId)).map(speech => toSpeechSummary({ speech, source: 'shared' }))
+    ];
+    
+    const response = {
+        total_count: filters.groupId === null ? (allSpeeches.data.summary?.total_count || speechIds.length) : speechIds.length,
+        speech_ids: speechIds,
+        next_cursor: null
+    };
+
+    logger.debug('Listed speeches', { total_count: response.total_count, folder_id: filters.folder, group_id: filters.groupId });
+    res.json(response);
 });
 
 // MAIN ENDPOINT 2: Get speech transcript
-app.get('/api/transcript/:speechId', async (req, res) => {
-    try {
-        const sessionId = req.headers['session-id'];
-        
-        if (!sessionId) {
-            return res.status(401).json({ 
-                error: 'Session ID required',
-                message: 'Please provide session-id in headers' 
-            });
+app.get('/api/transcript/:speechId', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const otter = req.otter;
+    const { speechId } = req.params;
+
+    // Optional local export format (srt, vtt, txt, md, json)
+    const { format } = req.query;
+    
+    if (format !== undefined && !isTranscriptFormat(format)) {
+        throw new ValidationError(`format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+    }
+
+    const exportOptions = {
+        maxLineLength: req.query.max_line_length,
+        mergeSpeakers: req.query.merge_speakers !== undefined
+            ? ['1', 'true', 'yes'].includes(String(req.query.merge_speakers).toLowerCase())
+            : undefined,
+        granularity: req.query.granularity
+    };
+
+    logger.debug('Fetching transcript', { speech_id: speechId, format: format || 'json' });
+
+    // Get the full speech data and normalize it into the transcript model
+    const result = ensureOk(await otter.getTranscript(speechId), 'speech', {
+        404: `No speech found with ID: ${speechId}`
+    });
+    const structured = result.data;
+
+    // Clients echo this back (If-Unmodified-Since or modified_time) when editing
+    if (structured.modifiedTime) {
+        res.set('Last-Modified', new Date(structured.modifiedTime).toUTCString());
+    }
+
+    if (format) {
+        let body;
+        try {
+            body = renderTranscript(structured, format, exportOptions);
+        } catch (error) {
+            throw new ValidationError(error.message);
         }
-        
-        const otter = getOtterInstance(sessionId);
-        
-        const { speechId } = req.params;
-        
-        if (!speechId) {
-            return res.status(400).json({ error: 'Speech ID is required' });
-        }
-        
-        console.log(`Fetching transcript for speech ID: ${speechId}`);
-        
-        // Get the full speech data including transcript
-        const speech = await otter.getSpeech(speechId);
-        
-        console.log('Raw speech response:', JSON.stringify(speech, null, 2));
-        
-        // Validate response
-        if (!speech) {
-            return res.status(404).json({ 
-                error: 'Speech not found',
-                message: `No speech found with ID: ${speechId}`
-            });
+
+        const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `inline; filename="${encodeURIComponent(speechId)}.${extension}"`);
+        return res.send(body);
+    }
+    
+    // Extract transcript information
+    const transcript = {
+        speech_id: structured.speechId || speechId,
+        title: structured.title,
+        duration: structured.duration,
+        created_at: structured.createdAt,
+        modified_time: structured.modifiedTime,
+        transcript_text: structured.text,
+        speakers: structured.speakerNames,
+        structured_transcript: structured
+    };
+
+    res.json(transcript);
+});
+
+// Edit a transcript: title, summary and segment text. Pass the speech's last modification
+// time (If-Unmodified-Since header or modified_time) to reject edits to a changed speech.
+app.patch('/api/transcript/:speechId', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const { speechId } = req.params;
+    const { title, summary, segments, modified_time: modifiedTime } = req.body || {};
+    const changes = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string' || !title.trim() || title.length > 500) {
+            throw new ValidationError('title must be a non-empty string of at most 500 characters');
         }
-        
-        // Extract transcript information
-        const transcript = {
-            speech_id: speechId,
-            title: speech.title || 'Untitled',
-            duration: speech.duration || 0,
-            created_at: speech.created_at || null,
-            transcript_text: speech.transcript || '',
-            speakers: speech.speakers || [],
-            // Include structured transcript if available
-            structured_transcript: speech.structured_transcript || null
-        };
-        
-        console.log('Sending transcript response:', JSON.stringify(transcript, null, 2));
-        
-        res.json(transcript);
-    } catch (error) {
-        console.error(`Error in /api/transcript/${req.params.speechId}:`, error);
-        res.status(500).json({ 
-            error: 'Failed to get transcript',
-            message: error.message || 'Unknown error occurred'
+        changes.title = title;
+    }
+    if (summary !== undefined) {
+        if (summary !== null && (typeof summary !== 'string' || summary.length > 10000)) {
+            throw new ValidationError('summary must be a string of at most 10000 characters, or null');
+        }
+        changes.summary = summary;
+    }
+    if (segments !== undefined) {
+        if (!Array.isArray(segments) || segments.length === 0 || segments.length > 500) {
+            throw new ValidationError('segments must be a list of 1 to 500 { id, text } edits');
+        }
+        segments.forEach(segment => {
+            if (!segment || typeof segment.id !== 'string' || typeof segment.text !== 'string' || !segment.text.trim() || segment.text.length > 10000) {
+                throw new ValidationError('Each segment edit needs a string id and non-empty text');
+            }
         });
+        changes.segments = segments.map(segment => ({ id: segment.id, text: segment.text }));
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new ValidationError('Nothing to update: pass title, summary or segments');
+    }
+
+    let ifModifiedTime = null;
+    if (modifiedTime !== undefined && modifiedTime !== null) {
+        ifModifiedTime = modifiedTime;
+    } else if (req.headers['if-unmodified-since']) {
+        if (Number.isNaN(Date.parse(req.headers['if-unmodified-since']))) {
+            throw new ValidationError('If-Unmodified-Since must be an HTTP date');
+        }
+        ifModifiedTime = req.headers['if-unmodified-since'];
+    }
+
+    const result = await req.otter.updateSpeech(speechId, changes, { ifModifiedTime });
+    const transcript = result.data.transcript;
+
+    // Keep the search index in step with the edit
+    const searchEntry = searchIndexes.get(req.sessionId);
+    if (searchEntry && searchEntry.index.has(speechId)) {
+        searchEntry.index.add(transcript, { source: searchEntry.index.speeches.get(speechId).meta.source });
+    }
+
+    if (transcript.modifiedTime) {
+        res.set('Last-Modified', new Date(transcript.modifiedTime).toUTCString());
+    }
+    res.json({
+        speech_id: speechId,
+        title: transcript.title,
+        summary: transcript.summary,
+        modified_time: transcript.modifiedTime,
+        updated: result.data.updated
+    });
+});
+
+// Full-text search across every speech the session can access
+app.get('/api/search', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const { q, speaker, folder_id: folderId, refresh } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+        throw new ValidationError('q is required');
+    }
+    if (q.length > 200) {
+        throw new ValidationError('q must be at most 200 characters');
+    }
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        throw new ValidationError(`limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}`);
+    }
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError('offset must be a non-negative integer');
+    }
+    if (folderId !== undefined && !/^\d+$/.test(folderId)) {
+        throw new ValidationError('folder_id must be a non-negative integer');
+    }
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to', { endOfDay: true });
+
+    const entry = getSearchIndex(req.sessionId, req.otter, { force: refresh === 'true' });
+    if (entry.refreshing) {
+        entry.refreshing.then(req.saveSession);
+    }
+
+    // Until the first build finishes there is nothing to search; ask the client to come back
+    const building = !entry.refreshedAt;
+    const result = building ? { total: 0, hits: [] } : entry.index.search(q, { from, to, folderId, speaker, limit, offset });
+    if (building) {
+        res.status(202).set('Retry-After', String(SEARCH_BUILD_RETRY_AFTER));
+    }
+
+    res.json({
+        query: q,
+        total_count: result.total,
+        hits: result.hits.map(hit => ({
+            speech_id: hit.speechId,
+            title: hit.title,
+            speaker: hit.speaker,
+            start: hit.start,
+            end: hit.end,
+            timestamp: hit.timestamp,
+            snippet: hit.snippet,
+            score: hit.score,
+            created_at: hit.createdAt,
+            folder_id: hit.folderId,
+            source: hit.source
+        })),
+        index: {
+            status: building ? 'building' : entry.refreshing ? 'refreshing' : 'ready',
+            speech_count: entry.index.size,
+            refreshed_at: entry.refreshedAt ? new Date(entry.refreshedAt).toISOString() : null,
+            failed: entry.lastRefresh ? entry.lastRefresh.failed.map(failure => failure.otid) : []
+        }
+    });
+});
+
+// List the account's speakers
+app.get('/api/speakers', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const result = ensureOk(await req.otter.getSpeakers(), 'speakers');
+    const speakers = (result.data.speakers || []).map(formatSpeaker);
+    res.json({ total_count: speakers.length, speakers });
+});
+
+// Create a speaker
+app.post('/api/speakers', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const name = parseSpeakerName((req.body || {}).name);
+    const result = ensureOk(await req.otter.createSpeaker(name), 'create_speaker');
+    const speaker = formatSpeaker(result.data.speaker || result.data);
+    res.status(201).json({ ...speaker, name: speaker.name || name });
+});
+
+// Rename a speaker
+app.patch('/api/speakers/:speakerId', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const speakerId = parseSpeakerId(req.params.speakerId);
+    const name = parseSpeakerName((req.body || {}).name);
+    ensureOk(await req.otter.renameSpeaker(speakerId, name), 'update_speaker', {
+        404: `No speaker found with ID: ${speakerId}`
+    });
+    res.json({ id: speakerId, name });
+});
+
+// Delete a speaker
+app.delete('/api/speakers/:speakerId', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    const speakerId = parseSpeakerId(req.params.speakerId);
+    ensureOk(await req.otter.deleteSpeaker(speakerId), 'delete_speaker', {
+        404: `No speaker found with ID: ${speakerId}`
+    });
+    res.status(204).end();
+});
+
+// Merge a speaker into another: its segments are reassigned and it is deleted
+app.post('/api/speakers/:speakerId/merge', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const { into, speech_ids: speechIds, delete_source: deleteSource = true } = req.body || {};
+    const sourceId = parseSpeakerId(req.params.speakerId);
+    const targetId = parseSpeakerId(into, 'into');
+
+    if (speechIds !== undefined && (!Array.isArray(speechIds) || speechIds.some(id => typeof id !== 'string' || !id))) {
+        throw new ValidationError('speech_ids must be a list of speech IDs');
+    }
+    if (typeof deleteSource !== 'boolean') {
+        throw new ValidationError('delete_source must be a boolean');
+    }
+
+    const result = await req.otter.mergeSpeakers(sourceId, targetId, { speechIds: speechIds || null, deleteSource });
+    res.json(result.data);
+});
+
+// Speakers appearing in one transcript, with how much each of them talks
+app.get('/api/transcript/:speechId/speakers', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const { speechId } = req.params;
+    const transcript = ensureOk(await req.otter.getTranscript(speechId), 'speech', {
+        404: `No speech found with ID: ${speechId}`
+    }).data;
+
+    const stats = new Map();
+    transcript.segments.forEach(segment => {
+        const key = segment.speakerId !== null ? String(segment.speakerId) : `label:${segment.speaker}`;
+        const entry = stats.get(key) || { id: segment.speakerId, name: segment.speaker || null, segment_count: 0, talk_time: 0 };
+        entry.segment_count += 1;
+        entry.talk_time = Math.round((entry.talk_time + segment.duration) * 1000) / 1000;
+        stats.set(key, entry);
+    });
+
+    res.json({
+        speech_id: speechId,
+        speakers: Array.from(stats.values()),
+        segments: transcript.segments.map(segment => ({
+            id: segment.id,
+            speaker_id: segment.speakerId,
+            speaker: segment.speaker,
+            start: segment.start,
+            end: segment.end
+        }))
+    });
+});
+
+// Tag segments of a transcript with a speaker, by segment id or by time range (seconds)
+app.post('/api/transcript/:speechId/speakers', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const { speaker_id: rawSpeakerId, segment_ids: segmentIds, start = null, end = null } = req.body || {};
+    const speakerId = parseSpeakerId(rawSpeakerId);
+
+    if (segmentIds !== undefined && (!Array.isArray(segmentIds) || segmentIds.length === 0)) {
+        throw new ValidationError('segment_ids must be a non-empty list');
+    }
+    [['start', start], ['end', end]].forEach(([name, value]) => {
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            throw new ValidationError(`${name} must be a non-negative number of seconds`);
+        }
+    });
+
+    const result = await req.otter.tagSpeaker(req.params.speechId, speakerId, {
+        segmentIds: segmentIds || null,
+        start,
+        end
+    });
+    res.json(result.data);
+});
+
+// List folders
+app.get('/api/folders', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const result = ensureOk(await req.otter.getFolders(), 'folders');
+    const folders = (result.data.folders || []).map(formatFolder);
+    res.json({ total_count: folders.length, folders });
+});
+
+// Create a folder
+app.post('/api/folders', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const name = parseFolderName((req.body || {}).name);
+    const result = ensureOk(await req.otter.createFolder(name), 'create_folder');
+    const folder = formatFolder(result.data.folder || result.data);
+    res.status(201).json({ ...folder, name: folder.name || name });
+});
+
+// Rename a folder
+app.patch('/api/folders/:folderId', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const folderId = parseNumericId(req.params.folderId, 'folderId');
+    const name = parseFolderName((req.body || {}).name);
+    ensureOk(await req.otter.renameFolder(folderId, name), 'rename_folder', {
+        404: `No folder found with ID: ${folderId}`
+    });
+    res.json({ id: folderId, name });
+});
+
+// Delete a folder (its speeches are kept)
+app.delete('/api/folders/:folderId', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    const folderId = parseNumericId(req.params.folderId, 'folderId');
+    ensureOk(await req.otter.deleteFolder(folderId), 'delete_folder', {
+        404: `No folder found with ID: ${folderId}`
+    });
+    res.status(204).end();
+});
+
+// Move speeches into a folder
+app.post('/api/folders/:folderId/speeches', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const folderId = parseNumericId(req.params.folderId, 'folderId');
+    const speechIds = parseSpeechIdList(req.body);
+    ensureOk(await req.otter.moveToFolder(speechIds, folderId), 'add_folder_speeches', {
+        404: `No folder found with ID: ${folderId}`
+    });
+    res.json({ folder_id: folderId, speech_ids: speechIds });
+});
+
+// Take a speech out of a folder
+app.delete('/api/folders/:folderId/speeches/:speechId', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const folderId = parseNumericId(req.params.folderId, 'folderId');
+    ensureOk(await req.otter.removeFromFolder([req.params.speechId], folderId), 'remove_folder_speeches', {
+        404: `No folder found with ID: ${folderId}`
+    });
+    res.status(204).end();
+});
+
+// List groups
+app.get('/api/groups', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const result = ensureOk(await req.otter.listGroups(), 'list_groups');
+    const groups = (result.data.groups || []).map(formatGroup);
+    res.json({ total_count: groups.length, groups });
+});
+
+// Share speeches with a group
+app.post('/api/groups/:groupId/speeches', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const groupId = parseNumericId(req.params.groupId, 'groupId');
+    const speechIds = parseSpeechIdList(req.body);
+    ensureOk(await req.otter.shareWithGroup(speechIds, groupId), 'add_group_speeches', {
+        404: `No group found with ID: ${groupId}`
+    });
+    res.json({ group_id: groupId, speech_ids: speechIds });
+});
+
+// Stop sharing a speech with a group
+app.delete('/api/groups/:groupId/speeches/:speechId', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const groupId = parseNumericId(req.params.groupId, 'groupId');
+    ensureOk(await req.otter.unshareFromGroup([req.params.speechId], groupId), 'remove_group_speeches', {
+        404: `No group found with ID: ${groupId}`
+    });
+    res.status(204).end();
+});
+
+// Upload audio or video as a new speech; returns a job resource to poll
+app.post('/api/speeches', requireSession, requireScope('upload'), validateRequest, receiveUpload, async (req, res) => {
+    if (!req.file) {
+        throw new ValidationError('An audio or video file is required in the "file" field');
+    }
+    sendUploadJob(res, req.uploadJob);
+});
+
+// Move a speech to the trash, or delete it for good with ?permanent=true (it must already be
+// in the trash). ?dry_run=true only checks that the action would apply.
+app.delete('/api/speeches/:speechId', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    const action = isTruthy(req.query.permanent) ? 'delete' : 'trash';
+    const result = await runTrashAction(req, action, [req.params.speechId]);
+    const [item] = result.results;
+
+    if (!item.ok) {
+        throw errorFromItem(item.error);
     }
+    res.json({ speech_id: item.otid, action, dry_run: result.dry_run, ok: true });
+});
+
+// List trashed speeches
+app.get('/api/trash', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const limit = req.query.limit === undefined ? MAX_PAGE_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+    }
+
+    const result = ensureOk(await req.otter.listTrash({ limit }), 'speeches');
+    const speeches = result.data.speeches.map(speech => toSpeechSummary({ speech, source: 'trash' }));
+    res.json({ total_count: speeches.length, speeches });
+});
+
+// Bulk: move speeches to the trash
+app.post('/api/trash', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    res.json(await runTrashAction(req, 'trash', parseSpeechIdList(req.body)));
+});
+
+// Bulk: restore speeches from the trash
+app.post('/api/trash/restore', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    res.json(await runTrashAction(req, 'restore', parseSpeechIdList(req.body)));
+});
+
+// Bulk: permanently delete trashed speeches
+app.post('/api/trash/delete', requireSession, requireScope('delete'), validateRequest, async (req, res) => {
+    res.json(await runTrashAction(req, 'delete', parseSpeechIdList(req.body)));
+});
+
+// Start a bulk export of speeches (by ID or a whole folder) as one zip; returns a job to poll, or
+// the zip itself when exports do not run in the background
+app.post('/api/exports', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const { speechIds, folderId, formats } = parseExportRequest(req.body);
+
+    if (!EXPORT_IN_BACKGROUND) {
+        // Otter.ai errors arrive before any of the zip, so they still get a JSON error response
+        const result = ensureOk(await req.otter.exportSpeeches(speechIds, {
+            folder: folderId,
+            formats: formats.join(',')
+        }), 'bulk_export');
+        res.attachment(result.data.filename);
+        res.type(result.data.contentType);
+        if (result.data.size !== null) {
+            res.set('Content-Length', String(result.data.size));
+        }
+        await stream.promises.pipeline(result.data.stream, res);
+        return;
+    }
+
+    const job = jobs.create('export', {
+        owner: req.sessionId,
+        status: 'exporting',
+        speechIds,
+        folderId,
+        formats
+    });
+
+    // Runs after the response; failures are recorded on the job
+    runExport(req.otter, job).then(req.saveSession);
+
+    res.status(202).location(`/api/exports/${job.id}`).json(formatJob(job));
+});
+
+const getExportJob = (req) => {
+    const job = jobs.get(req.params.jobId, req.sessionId);
+    if (!job || job.type !== 'export') {
+        throw new NotFoundError(`No export job found with ID: ${req.params.jobId}`);
+    }
+    return job;
+};
+
+// Export job status and progress
+app.get('/api/exports/:jobId', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    res.json(formatJob(getExportJob(req)));
+});
+
+// Stream a finished export
+app.get('/api/exports/:jobId/download', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const job = getExportJob(req);
+    if (job.status !== 'complete') {
+        throw new ConflictError(job.status === 'failed'
+            ? `Export ${job.id} failed: ${job.error.message}`
+            : `Export ${job.id} is not complete yet`);
+    }
+
+    res.attachment(job.file.name);
+    res.type(job.file.content_type);
+    if (job.file.size !== null) {
+        res.set('Content-Length', String(job.file.size));
+    }
+    await stream.promises.pipeline(fs.createReadStream(job.filePath), res);
+});
+
+// Upload job status; checks Otter.ai for transcription progress while processing
+app.get('/api/uploads/:jobId', requireSession, requireScope('upload'), validateRequest, async (req, res) => {
+    const job = jobs.get(req.params.jobId, req.sessionId);
+
+    if (!job || job.type !== 'upload') {
+        throw new NotFoundError(`No upload job found with ID: ${req.params.jobId}`);
+    }
+
+    if (job.status === 'processing' && job.otid) {
+        const result = ensureOk(await req.otter.getSpeech(job.otid), 'speech');
+        const speech = result.data.speech || result.data;
+        if (speech.process_finished) {
+            jobs.update(job.id, { status: 'complete', progress: { phase: 'transcribed', percent: 100 } });
+        }
+    }
+
+    res.json(formatJob(job));
+});
+
+// List webhook subscriptions for this session
+app.get('/api/webhooks', requireSession, requireScope('read'), validateRequest, async (req, res) => {
+    const subscriptions = webhooks.list(req.sessionId);
+    res.json({
+        total_count: subscriptions.length,
+        webhooks: subscriptions.map(subscription => formatWebhook(subscription))
+    });
+});
+
+// Subscribe a URL to speech events
+app.post('/api/webhooks', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    const { url, events, secret } = req.body || {};
+
+    // Subscriptions and the watchers that poll for them live in this process, which serverless
+    // hosts neither keep between requests nor run between them
+    if (process.env.VERCEL) {
+        throw new PermissionError('Webhooks need a long-running server and are disabled on serverless hosts');
+    }
+
+    if (!url) {
+        throw new ValidationError('url is required');
+    }
+
+    const subscription = await webhooks.add(req.sessionId, { url, events, secret });
+    res.status(201)
+        .location(`/api/webhooks/${subscription.id}`)
+        .json(formatWebhook(subscription, { includeSecret: true }));
+});
+
+// Remove a webhook subscription
+app.delete('/api/webhooks/:id', requireSession, requireScope('write'), validateRequest, async (req, res) => {
+    webhooks.remove(req.sessionId, req.params.id);
+    res.status(204).end();
+});
+
+// API key administration
+const formatApiKey = (record) => ({
+    id: record.id,
+    name: record.name,
+    prefix: `${KEY_PREFIX}${record.id}`,
+    scopes: record.scopes,
+    status: keyStatus(record),
+    otter_username: record.session.username || null,
+    otter_userid: record.session.userid,
+    created_at: record.createdAt,
+    expires_at: record.expiresAt,
+    revoked_at: record.revokedAt,
+    last_used_at: record.lastUsedAt,
+    rotated_from: record.rotatedFrom,
+    replaced_by: record.replacedBy
+});
+
+const parseKeyExpiry = (body) => {
+    if (body.expires_at !== undefined && body.expires_in !== undefined) {
+        throw new ValidationError('Provide expires_at or expires_in, not both');
+    }
+    if (body.expires_in !== undefined) {
+        if (!Number.isInteger(body.expires_in) || body.expires_in < 1) {
+            throw new ValidationError('expires_in must be a positive number of seconds');
+        }
+        return new Date(Date.now() + body.expires_in * 1000).toISOString();
+    }
+    if (body.expires_at !== undefined && body.expires_at !== null) {
+        const expiresAt = Date.parse(body.expires_at);
+        if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+            throw new ValidationError('expires_at must be a date in the future');
+        }
+        return new Date(expiresAt).toISOString();
+    }
+    return null;
+};
+
+// The Otter.ai session a new key acts as: an existing server session, or a fresh login
+const sessionForApiKey = async (body) => {
+    if (body.session_id !== undefined) {
+        const session = typeof body.session_id === 'string' ? await sessionStore.get(body.session_id) : null;
+        if (!session) {
+            throw new ValidationError('session_id does not refer to an active session');
+        }
+        const { createdAt, ...otterSession } = session;
+        return otterSession;
+    }
+    if (typeof body.username !== 'string' || typeof body.password !== 'string' || !body.username || !body.password) {
+        throw new ValidationError('Provide session_id, or username and password of the Otter.ai account the key acts as');
+    }
+    const otter = new OtterAI(otterOptions());
+    ensureOk(await otter.login(body.username, body.password), 'login', { 401: 'Invalid username or password' });
+    return otter.exportSession();
+};
+
+// Create an API key; the plaintext key is only ever returned here and by rotate
+app.post('/api/admin/keys', requireAdmin, validateRequest, async (req, res) => {
+    const body = req.body || {};
+    const expiresAt = parseKeyExpiry(body);
+    const session = await sessionForApiKey(body);
+    const { record, key } = await apiKeys.create({ name: body.name, scopes: body.scopes, session, expiresAt });
+
+    logger.info('API key created', { key_id: record.id, name: record.name, scopes: record.scopes });
+    res.status(201).json({ ...formatApiKey(record), key });
+});
+
+app.get('/api/admin/keys', requireAdmin, validateRequest, async (req, res) => {
+    const keys = (await apiKeys.list()).map(formatApiKey);
+    res.json({ total_count: keys.length, keys });
+});
+
+app.get('/api/admin/keys/:id', requireAdmin, validateRequest, async (req, res) => {
+    const record = await apiKeys.get(req.params.id);
+    if (!record) {
+        throw new NotFoundError(`No API key found with ID: ${req.params.id}`);
+    }
+    res.json(formatApiKey(record));
+});
+
+// Replace a key; the old one keeps working for grace_period seconds (default: stops now)
+app.post('/api/admin/keys/:id/rotate', requireAdmin, validateRequest, async (req, res) => {
+    const gracePeriod = (req.body || {}).grace_period ?? 0;
+    if (!Number.isInteger(gracePeriod) || gracePeriod < 0 || gracePeriod > MAX_ROTATION_GRACE) {
+        throw new ValidationError(`grace_period must be between 0 and ${MAX_ROTATION_GRACE} seconds`);
+    }
+    const { record, key } = await apiKeys.rotate(req.params.id, { gracePeriod: gracePeriod * 1000 });
+
+    logger.info('API key rotated', { key_id: req.params.id, replaced_by: record.id, grace_period: gracePeriod });
+    res.status(201).json({ ...formatApiKey(record), key });
+});
+
+// Revoke a key; its webhooks and search index go with it unless a rotated key still uses them
+app.delete('/api/admin/keys/:id', requireAdmin, validateRequest, async (req, res) => {
+    const record = await apiKeys.revoke(req.params.id);
+    if (!await apiKeys.findActiveByOwner(record.owner)) {
+        webhooks.removeSession(record.owner);
+        searchIndexes.delete(record.owner);
+    }
+
+    logger.info('API key revoked', { key_id: record.id });
+    res.status(204).end();
 });
 
 // Logout endpoint
-app.post('/api/auth/logout', (req, res) => {
-    try {
-        const sessionId = req.headers['session-id'] || req.body.sessionId;
-        
-        if (sessionId && sessions.has(sessionId)) {
-            const sessionData = sessions.get(sessionId);
-            sessions.delete(sessionId);
-            console.log(`Session logged out: ${sessionId} for user: ${sessionData.username}`);
-        }
-        
-        res.json({ 
-            success: true, 
-            message: 'Logged out successfully' 
-        });
-    } catch (error) {
-        console.error('Logout error:', error);
-        res.status(500).json({
-            error: 'Logout Error',
-            message: 'Failed to logout properly'
-        });
+app.post('/api/auth/logout', validateRequest, async (req, res) => {
+    const sessionId = req.headers['session-id'] || req.body?.sessionId;
+    const sessionData = sessionId ? await sessionStore.get(sessionId) : null;
+    
+    if (sessionData) {
+        await sessionStore.delete(sessionId);
+        webhooks.removeSession(sessionId);
+        searchIndexes.delete(sessionId);
+        logger.info('Session logged out', { userid: sessionData.userid });
     }
+    
+    res.json({ 
+        success: true, 
+        message: 'Logged out successfully' 
+    });
 });
 
-// Error handling middleware
+// Error handling middleware: typed errors become consistent JSON error codes
+const ERROR_TITLES = {
+    AUTHENTICATION_FAILED: 'Authentication Failed',
+    NOT_FOUND: 'Not Found',
+    RATE_LIMITED: 'Too Many Requests',
+    UPSTREAM_ERROR: 'Otter.ai Unavailable',
+    VALIDATION_ERROR: 'Validation Error',
+    CONFLICT: 'Conflict',
+    FORBIDDEN: 'Forbidden',
+    OTTERAI_ERROR: 'Otter.ai Error',
+    INTERNAL_ERROR: 'Internal Server Error'
+};
+
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    if (err instanceof OtterAIException) {
+        const body = {
+            error: ERROR_TITLES[err.code] || ERROR_TITLES.OTTERAI_ERROR,
+            code: err.code,
+            message: err.message
+        };
+        if (err.endpoint) {
+            body.endpoint = err.endpoint;
+        }
+        if (err.status) {
+            body.upstream_status = err.status;
+        }
+        if (NODE_ENV === 'development' && err.body !== null) {
+            body.upstream_body = err.body;
+        }
+        if (err instanceof ConflictError && err.currentModifiedTime) {
+            body.current_modified_time = err.currentModifiedTime;
+        }
+        if (err instanceof RateLimitError && err.retryAfter !== null) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
+        if (err.httpStatus >= 500) {
+            logger.error('Request failed', { error: err });
+        }
+        return res.status(err.httpStatus).json(body);
+    }
+
+    // Malformed JSON and oversized bodies from the body parsers
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(err.status || 400).json({
+            error: ERROR_TITLES.VALIDATION_ERROR,
+            code: 'VALIDATION_ERROR',
+            message: err.message
+        });
+    }
+
+    logger.error('Unhandled error', { error: err });
     res.status(500).json({
-        error: 'Something went wrong!',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+        error: ERROR_TITLES.INTERNAL_ERROR,
+        code: 'INTERNAL_ERROR',
+        message: NODE_ENV === 'development' ? err.message : 'Internal server error'
     });
 });
 
@@ -356,6 +1641,7 @@ app.use((err, req, res, next) => {
 app.use((req, res) => {
     res.status(404).json({
         error: 'Not Found',
+        code: 'NOT_FOUND',
         message: 'The requested endpoint does not exist'
     });
 });
@@ -363,12 +1649,12 @@ app.use((req, res) => {
 // Start server (check for Vercel environment)
 if (!process.env.VERCEL) {
     app.listen(PORT, () => {
-        console.log(`🚀 Otter.ai API Server running on port ${PORT}`);
-        console.log(`📋 Available endpoints:`);
-        console.log(`   POST /api/auth/login - Authenticate with Otter.ai`);
-        console.log(`   GET  /api/speech-ids - Get all speech IDs`);
-        console.log(`   GET  /api/transcript/:speechId - Get transcript for a speech`);
-        console.log(`   POST /api/auth/logout - Logout`);
+        logger.info('Otter.ai API server listening', {
+            port: Number(PORT),
+            environment: NODE_ENV,
+            openapi: '/api/openapi.json',
+            docs: NODE_ENV !== 'production' ? '/api/docs' : null
+        });
     });
 }
 
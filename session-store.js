@@ -0,0 +1,306 @@
+// Session stores for the API server. Sessions are stored as plain data
+// ({ userid, cookies, username, createdAt }) and rebuilt into OtterAI clients on demand.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+class SessionStore {
+    constructor({ ttl = DEFAULT_TTL } = {}) {
+        this.ttl = ttl;
+    }
+
+    async get(sessionId) {
+        throw new Error('get() not implemented');
+    }
+
+    async set(sessionId, session) {
+        throw new Error('set() not implemented');
+    }
+
+    async delete(sessionId) {
+        throw new Error('delete() not implemented');
+    }
+
+    // Atomically replace a value with `mutate(current)` (current is null when there is none);
+    // returning null from `mutate` leaves it as it is. Resolves to the value now stored.
+    async update(sessionId, mutate) {
+        throw new Error('update() not implemented');
+    }
+
+    // Extend the expiry of an active session
+    async touch(sessionId) {
+        throw new Error('touch() not implemented');
+    }
+
+    // Remove expired sessions; returns the removed session ids
+    async cleanup() {
+        return [];
+    }
+
+    async close() {}
+}
+
+class MemorySessionStore extends SessionStore {
+    constructor(options = {}) {
+        super(options);
+        this.sessions = new Map();
+    }
+
+    _current(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() > entry.expiresAt) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return entry.session;
+    }
+
+    async get(sessionId) {
+        return this._current(sessionId);
+    }
+
+    async set(sessionId, session) {
+        this.sessions.set(sessionId, { session, expiresAt: Date.now() + this.ttl });
+    }
+
+    async delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    async update(sessionId, mutate) {
+        // No await between reading and writing, so nothing can interleave
+        const current = this._current(sessionId);
+        const next = mutate(current);
+        if (next === null || next === undefined) {
+            return current;
+        }
+        this.sessions.set(sessionId, { session: next, expiresAt: Date.now() + this.ttl });
+        return next;
+    }
+
+    async touch(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (entry) {
+            entry.expiresAt = Date.now() + this.ttl;
+        }
+    }
+
+    async cleanup() {
+        const now = Date.now();
+        const removed = [];
+        for (const [sessionId, entry] of this.sessions.entries()) {
+            if (now > entry.expiresAt) {
+                this.sessions.delete(sessionId);
+                removed.push(sessionId);
+            }
+        }
+        return removed;
+    }
+}
+
+// Keeps all sessions in one JSON file. Writes are atomic (temp file + rename) and serialized
+// within this process only, so the file must belong to a single instance: two processes sharing
+// it would overwrite each other's changes. Use the redis backend for more than one instance.
+class FileSessionStore extends SessionStore {
+    // Every write rewrites the whole file, so touch() only extends a session once this fraction
+    // of its TTL has passed since the last extension
+    constructor({ filePath, touchAfter = 0.1, ...options } = {}) {
+        super(options);
+        if (!filePath) {
+            throw new Error('FileSessionStore requires a filePath');
+        }
+        this.filePath = path.resolve(filePath);
+        this.touchAfter = touchAfter;
+        this._queue = Promise.resolve();
+    }
+
+    async _read() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(contents);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async _write(entries) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(entries), { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    // Run read-modify-write cycles one at a time
+    _update(mutate) {
+        const run = this._queue.then(async () => {
+            const entries = await this._read();
+            const result = mutate(entries);
+            await this._write(entries);
+            return result;
+        });
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    async get(sessionId) {
+        const entries = await this._read();
+        const entry = entries[sessionId];
+        if (!entry || Date.now() > entry.expiresAt) {
+            return null;
+        }
+        return entry.session;
+    }
+
+    async set(sessionId, session) {
+        await this._update(entries => {
+            entries[sessionId] = { session, expiresAt: Date.now() + this.ttl };
+        });
+    }
+
+    async delete(sessionId) {
+        await this._update(entries => {
+            delete entries[sessionId];
+        });
+    }
+
+    async update(sessionId, mutate) {
+        return this._update(entries => {
+            const entry = entries[sessionId];
+            const current = entry && Date.now() <= entry.expiresAt ? entry.session : null;
+            const next = mutate(current);
+            if (next === null || next === undefined) {
+                return current;
+            }
+            entries[sessionId] = { session: next, expiresAt: Date.now() + this.ttl };
+            return next;
+        });
+    }
+
+    async touch(sessionId) {
+        const entry = (await this._read())[sessionId];
+        if (!entry || entry.expiresAt - Date.now() > this.ttl * (1 - this.touchAfter)) {
+            return;
+        }
+        await this._update(entries => {
+            if (entries[sessionId]) {
+                entries[sessionId].expiresAt = Date.now() + this.ttl;
+            }
+        });
+    }
+
+    async cleanup() {
+        return this._update(entries => {
+            const now = Date.now();
+            const removed = Object.keys(entries).filter(sessionId => now > entries[sessionId].expiresAt);
+            removed.forEach(sessionId => delete entries[sessionId]);
+            return removed;
+        });
+    }
+}
+
+// Works with any server that speaks the Redis protocol (Redis, Valkey, KeyDB, Dragonfly, ...).
+// Expiry is delegated to the server, so cleanup() is a no-op.
+class RedisSessionStore extends SessionStore {
+    constructor({ url, client = null, prefix = 'otter:session:', ...options } = {}) {
+        super(options);
+        this.prefix = prefix;
+        if (client) {
+            this.client = client;
+        } else {
+            const Redis = require('ioredis');
+            this.client = url ? new Redis(url) : new Redis();
+        }
+    }
+
+    _key(sessionId) {
+        return this.prefix + sessionId;
+    }
+
+    async get(sessionId) {
+        const value = await this.client.get(this._key(sessionId));
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(sessionId, session) {
+        await this.client.set(this._key(sessionId), JSON.stringify(session), 'PX', this.ttl);
+    }
+
+    async delete(sessionId) {
+        await this.client.del(this._key(sessionId));
+    }
+
+    // Optimistic WATCH/MULTI, retried when another writer got in first. WATCH belongs to the
+    // connection, so updates get a connection of their own and run one at a time on it.
+    async update(sessionId, mutate) {
+        if (!this._updates) {
+            this._updates = this.client.duplicate();
+            this._updateQueue = Promise.resolve();
+        }
+        const key = this._key(sessionId);
+        const run = this._updateQueue.then(async () => {
+            for (;;) {
+                await this._updates.watch(key);
+                const value = await this._updates.get(key);
+                const current = value ? JSON.parse(value) : null;
+                const next = mutate(current);
+                if (next === null || next === undefined) {
+                    await this._updates.unwatch();
+                    return current;
+                }
+                if (await this._updates.multi().set(key, JSON.stringify(next), 'PX', this.ttl).exec()) {
+                    return next;
+                }
+            }
+        });
+        this._updateQueue = run.catch(() => {});
+        return run;
+    }
+
+    async touch(sessionId) {
+        await this.client.pexpire(this._key(sessionId), this.ttl);
+    }
+
+    async close() {
+        if (this._updates) {
+            await this._updates.quit();
+        }
+        await this.client.quit();
+    }
+}
+
+// Pick a backend from environment configuration:
+//   SESSION_STORE=memory (default) | file | redis
+//   SESSION_FILE=./data/sessions.json   (file backend)
+//   REDIS_URL=redis://localhost:6379     (redis backend)
+//   SESSION_TIMEOUT=86400000             (ms)
+const createSessionStore = (env = process.env) => {
+    const type = (env.SESSION_STORE || 'memory').toLowerCase();
+    const ttl = env.SESSION_TIMEOUT ? parseInt(env.SESSION_TIMEOUT, 10) : DEFAULT_TTL;
+
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore({ ttl });
+        case 'file':
+            return new FileSessionStore({ ttl, filePath: env.SESSION_FILE || path.join('data', 'sessions.json') });
+        case 'redis':
+            return new RedisSessionStore({ ttl, url: env.REDIS_URL, prefix: env.REDIS_SESSION_PREFIX });
+        default:
+            throw new Error(`Unknown SESSION_STORE "${type}". Use memory, file or redis.`);
+    }
+};
+
+module.exports = {
+    SessionStore,
+    MemorySessionStore,
+    FileSessionStore,
+    RedisSessionStore,
+    createSessionStore,
+    DEFAULT_TTL
+};
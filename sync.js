@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Command line entry point for the local transcript archive
+//
+//   node sync.js --dir ./otter-archive [--formats txt,srt] [--no-audio] [--folder 0]
+//                [--limit 50] [--force] [--dry-run]
+//
+// Credentials come from OTTERAI_USERNAME / OTTERAI_PASSWORD; with OTTERAI_CACHE_SECRET set the
+// session is cached between runs.
+require('dotenv').config();
+
+const { OtterAI, CredentialCache } = require('./otterai');
+const { TranscriptArchive, DEFAULT_FORMATS } = require('./archive');
+
+const USAGE = `Usage: node sync.js --dir <directory> [options]
+
+Options:
+  --dir <path>          Archive directory (or OTTERAI_ARCHIVE_DIR)
+  --formats <list>      Comma-separated export formats (default: ${DEFAULT_FORMATS.join(',')})
+  --no-audio            Skip audio downloads
+  --audio-format <ext>  Audio format to download (default: mp3)
+  --folder <id>         Only sync one folder (default: all)
+  --limit <n>           Fetch at most n speeches this run
+  --force               Re-fetch every speech
+  --dry-run             Report what would change without writing anything
+  --help                Show this message`;
+
+const parseArgs = (argv) => {
+    const options = { dir: process.env.OTTERAI_ARCHIVE_DIR, audio: true };
+    const takesValue = ['--dir', '--formats', '--audio-format', '--folder', '--limit'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (takesValue.includes(arg)) {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} requires a value`);
+            }
+            options[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = argv[++i];
+        } else if (arg === '--no-audio') {
+            options.audio = false;
+        } else if (arg === '--force' || arg === '--dry-run' || arg === '--help') {
+            options[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+const main = async (argv = process.argv.slice(2)) => {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!options.dir) {
+        console.error(`--dir is required\n\n${USAGE}`);
+        return 2;
+    }
+    for (const name of ['folder', 'limit']) {
+        if (options[name] !== undefined && !/^\d+$/.test(options[name])) {
+            console.error(`--${name} must be a non-negative integer`);
+            return 2;
+        }
+    }
+
+    const otter = new OtterAI({
+        username: process.env.OTTERAI_USERNAME,
+        password: process.env.OTTERAI_PASSWORD,
+        sessionCache: process.env.OTTERAI_CACHE_SECRET ? new CredentialCache() : null,
+        ...OtterAI.endpointsFromEnv()
+    });
+    if (!(await otter.ensureSession())) {
+        console.error('Not logged in: set OTTERAI_USERNAME and OTTERAI_PASSWORD');
+        return 1;
+    }
+
+    const archive = new TranscriptArchive({
+        otter,
+        directory: options.dir,
+        formats: options.formats ? options.formats.split(',').map(format => format.trim()).filter(Boolean) : DEFAULT_FORMATS,
+        audio: options.audio,
+        audioFormat: options.audioFormat || 'mp3',
+        folder: options.folder !== undefined ? Number(options.folder) : 0
+    });
+
+    const report = await archive.sync({
+        force: Boolean(options.force),
+        dryRun: Boolean(options.dryRun),
+        limit: options.limit !== undefined ? Number(options.limit) : Infinity,
+        onProgress: ({ otid, title, index, total }) => console.log(`[${index + 1}/${total}] ${title} (${otid})`)
+    });
+
+    console.log(`${options.dryRun ? 'Would sync' : 'Synced'}: ${report.added.length} new, ${report.updated.length} updated, ` +
+        `${report.unchanged.length} unchanged, ${report.removed.length} removed upstream, ` +
+        `${report.restored.length} restored, ${report.failed.length} failed` +
+        (report.skipped ? `, ${report.skipped} left for the next run` : ''));
+    report.failed.forEach(failure => console.error(`  ${failure.otid}: ${failure.message}`));
+    return report.failed.length > 0 ? 1 : 0;
+};
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`Sync failed: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyStore } = require('../api-keys');
+const { FileSessionStore, MemorySessionStore } = require('../session-store');
+
+const session = (marker) => ({ userid: 1001, cookieJar: { marker } });
+
+const backends = {
+    memory: async () => new MemorySessionStore(),
+    file: async (t) => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'otter-keys-test-'));
+        t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+        return new FileSessionStore({ filePath: path.join(directory, 'api-keys.json') });
+    }
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+    test(`keys created at the same time are all listed (${name} store)`, async (t) => {
+        const keys = new ApiKeyStore({ store: await createStore(t) });
+
+        const created = await Promise.all(Array.from({ length: 10 }, (_, index) => keys.create({
+            name: `key ${index}`, scopes: ['read'], session: session(index)
+        })));
+        const listed = (await keys.list()).map(record => record.id).sort();
+        assert.deepStrictEqual(listed, created.map(({ record }) => record.id).sort());
+    });
+
+    test(`a session update is not lost to a concurrent verify (${name} store)`, async (t) => {
+        const keys = new ApiKeyStore({ store: await createStore(t) });
+        const { record, key } = await keys.create({ name: 'rotating', scopes: ['read'], session: session('old') });
+
+        await Promise.all([keys.verify(key), keys.updateSession(record.id, session('new'))]);
+        const stored = await keys.get(record.id);
+        assert.strictEqual(stored.session.cookieJar.marker, 'new');
+        assert.ok(stored.lastUsedAt);
+    });
+}
+
+test('the active key of an owner follows rotations', async () => {
+    const keys = new ApiKeyStore({ store: new MemorySessionStore() });
+    const { record } = await keys.create({ name: 'watcher', scopes: ['read'], session: session('a') });
+
+    assert.strictEqual((await keys.findActiveByOwner(record.owner)).id, record.id);
+    const rotated = await keys.rotate(record.id);
+    assert.strictEqual((await keys.findActiveByOwner(record.owner)).id, rotated.record.id);
+    await keys.revoke(rotated.record.id);
+    assert.strictEqual(await keys.findActiveByOwner(record.owner), null);
+    assert.strictEqual(await keys.get('index'), null);
+});
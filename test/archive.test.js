@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OtterAI } = require('../otterai');
+const { TranscriptArchive } = require('../archive');
+const { startFakeOtter } = require('../fake-otter');
+const { Logger } = require('../logger');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+test('a removed speech that is listed again is no longer flagged removed', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'otter-archive-test-'));
+    t.after(() => Promise.all([fake.close(), fs.promises.rm(directory, { recursive: true, force: true })]));
+
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+    const archive = new TranscriptArchive({ otter, directory, formats: ['txt'], audio: false });
+
+    await archive.sync();
+    const speech = fake.speeches.get('fixture_weekly_sync');
+
+    speech.source = 'trash';
+    let report = await archive.sync();
+    assert.deepStrictEqual(report.removed, ['fixture_weekly_sync']);
+    assert.strictEqual((await archive.loadManifest()).speeches.fixture_weekly_sync.removed, true);
+
+    speech.source = 'owned';
+    report = await archive.sync();
+    assert.deepStrictEqual(report.restored, ['fixture_weekly_sync']);
+    assert.ok(report.unchanged.includes('fixture_weekly_sync'));
+    const entry = (await archive.loadManifest()).speeches.fixture_weekly_sync;
+    assert.strictEqual(entry.removed, undefined);
+    assert.strictEqual(entry.removedAt, undefined);
+
+    // Deleted again later: reported as removed once more
+    speech.source = 'trash';
+    report = await archive.sync();
+    assert.deepStrictEqual(report.removed, ['fixture_weekly_sync']);
+});
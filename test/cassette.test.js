@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OtterAI } = require('../otterai');
+const { Cassette, scrub, REDACTED } = require('../cassette');
+const { checkDrift, main: driftMain } = require('../schema-drift');
+const { Logger } = require('../logger');
+const { startFakeOtter } = require('../fake-otter');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otterai-cassette-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Record a short session against the fake; returns what the client saw and the fake's secrets
+const record = async (t, filePath) => {
+    const fake = await startFakeOtter({ rotateCsrfToken: true });
+    t.after(() => fake.close());
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet, cassette: { mode: 'record', path: filePath } });
+
+    const login = await otter.login(fake.credentials.username, fake.credentials.password);
+    const speeches = await otter.getSpeeches();
+    const speech = await otter.getSpeech('fixture_weekly_sync');
+    const renamed = await otter.setSpeechTitle('fixture_weekly_sync', 'Weekly sync (renamed)');
+    await otter.cassette.flush();
+
+    const secrets = [
+        fake.credentials.username,
+        fake.credentials.password,
+        fake.user.email,
+        ...fake.sessions.keys(),
+        ...fake.sessions.values(),
+        otter.cookieJar.get('csrftoken')
+    ];
+    return { login, speeches, speech, renamed, secrets };
+};
+
+test('recorded cassettes keep no credentials, cookies or tokens', async (t) => {
+    const filePath = path.join(tempDir(t), 'session.json');
+    const { secrets } = await record(t, filePath);
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    for (const secret of secrets) {
+        assert.ok(secret && !text.includes(secret), `cassette contains ${secret}`);
+    }
+    const cassette = JSON.parse(text);
+    assert.deepStrictEqual(cassette.interactions.map(({ request }) => `${request.method} ${request.endpoint}`), [
+        'GET login', 'GET speeches', 'GET speech', 'POST set_speech_title'
+    ]);
+    assert.strictEqual(cassette.interactions[0].request.query.username, REDACTED);
+});
+
+test('cassettes replay the recorded responses without a server', async (t) => {
+    const filePath = path.join(tempDir(t), 'session.json');
+    const recorded = await record(t, filePath);
+
+    // Nothing listens on the replaying client's base URL
+    const otter = new OtterAI({
+        apiBaseUrl: 'http://127.0.0.1:9/forward/api/v1/',
+        s3BaseUrl: 'http://127.0.0.1:9/s3/',
+        logger: quiet,
+        cassette: { mode: 'replay', path: filePath }
+    });
+    const login = await otter.login('someone@example.com', 'any password');
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(otter.userid, recorded.login.data.userid);
+    assert.deepStrictEqual(await otter.getSpeeches(), recorded.speeches);
+    assert.deepStrictEqual(await otter.getSpeech('fixture_weekly_sync'), recorded.speech);
+    assert.deepStrictEqual(await otter.setSpeechTitle('fixture_weekly_sync', 'Weekly sync (renamed)'), recorded.renamed);
+
+    await assert.rejects(otter.getSpeech('fixture_customer_call'), /No recorded interaction for GET speech/);
+    assert.throws(() => new Cassette(filePath, { mode: 'rewind' }), { name: 'ValidationError' });
+});
+
+test('scrub redacts sensitive keys at any depth', () => {
+    assert.deepStrictEqual(scrub({ user: { email: 'a@b.c', name: 'Ann' }, items: [{ Cookie: 'x' }], sessionid: null }), {
+        user: { email: REDACTED, name: 'Ann' },
+        items: [{ Cookie: REDACTED }],
+        sessionid: REDACTED
+    });
+});
+
+test('schema drift compares response shapes per endpoint', async (t) => {
+    const dir = tempDir(t);
+    const baseline = path.join(dir, 'baseline.json');
+    await record(t, baseline);
+    assert.strictEqual(checkDrift(baseline, baseline).drifted, false);
+
+    // Otter.ai renames a field, adds one and changes a type
+    const cassette = JSON.parse(fs.readFileSync(baseline, 'utf8'));
+    const speeches = cassette.interactions.find(({ request }) => request.endpoint === 'speeches').response.body;
+    speeches.speeches.forEach(speech => {
+        speech.speech_id = speech.otid;
+        delete speech.otid;
+        speech.duration = String(speech.duration);
+    });
+    speeches.has_more = false;
+    const drifted = path.join(dir, 'drifted.json');
+    fs.writeFileSync(drifted, JSON.stringify(cassette));
+
+    const report = checkDrift(baseline, drifted);
+    assert.strictEqual(report.drifted, true);
+    assert.deepStrictEqual(Object.keys(report.endpoints), ['GET speeches']);
+    const { added, removed, changed } = report.endpoints['GET speeches'];
+    assert.deepStrictEqual(added.map(entry => entry.field).sort(), ['has_more', 'speeches[].speech_id']);
+    assert.deepStrictEqual(removed.map(entry => entry.field), ['speeches[].otid']);
+    assert.deepStrictEqual(changed, [{ field: 'speeches[].duration', from: 'number', to: 'string' }]);
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    assert.strictEqual(driftMain([baseline, baseline]), 0);
+    assert.strictEqual(driftMain([baseline, drifted, '--json']), 1);
+    assert.strictEqual(driftMain([baseline]), 2);
+    assert.strictEqual(driftMain([baseline, path.join(dir, 'missing.json')]), 2);
+});
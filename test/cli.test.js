@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs, formatTable, EXIT_CODES } = require('../cli');
+const { ValidationError } = require('../errors');
+const { startFakeOtter } = require('../fake-otter');
+
+// Run the CLI in-process against the fake with the console captured
+const run = async (t, argv, env = {}) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+    const saved = { ...process.env };
+    delete process.env.OTTERAI_CACHE_SECRET;
+    Object.assign(process.env, {
+        OTTERAI_API_BASE_URL: fake.apiBaseUrl,
+        OTTERAI_S3_BASE_URL: fake.s3BaseUrl,
+        OTTERAI_USERNAME: fake.credentials.username,
+        OTTERAI_PASSWORD: fake.credentials.password,
+        LOG_LEVEL: 'error',
+        ...env
+    });
+    t.after(() => {
+        process.env = saved;
+    });
+
+    const output = { stdout: [], stderr: [] };
+    t.mock.method(console, 'log', (line) => output.stdout.push(String(line)));
+    t.mock.method(console, 'error', (line) => output.stderr.push(String(line)));
+    const code = await main(argv);
+    t.mock.restoreAll();
+    return { code, ...output };
+};
+
+test('parseArgs splits positionals, camel-cases options and checks values', () => {
+    assert.deepStrictEqual(parseArgs(['speech_1', '--content-type', 'audio/mpeg', '--wait', 'extra'], ['wait']), {
+        positional: ['speech_1', 'extra'],
+        options: { contentType: 'audio/mpeg', wait: true }
+    });
+    assert.throws(() => parseArgs(['--limit']), ValidationError);
+    assert.throws(() => parseArgs(['--limit', '--json']), /--limit requires a value/);
+});
+
+test('formatTable fits columns to their content', () => {
+    const table = formatTable([{ id: 1, name: 'Weekly sync' }, { id: 22, name: null }], [
+        { key: 'id', label: 'ID' },
+        { key: 'name', label: 'NAME' }
+    ]);
+    assert.strictEqual(table, ['ID  NAME', '--  -----------', '1   Weekly sync', '22'].join('\n'));
+    assert.strictEqual(formatTable([], [{ key: 'id', label: 'ID' }]), '(none)');
+});
+
+test('errors map to exit codes', async (t) => {
+    assert.strictEqual((await run(t, [])).code, 2);
+    assert.strictEqual((await run(t, ['nope'])).code, 2);
+    assert.strictEqual((await run(t, ['show'])).code, EXIT_CODES.VALIDATION_ERROR);
+    assert.strictEqual((await run(t, ['show', 'no_such_speech'])).code, EXIT_CODES.NOT_FOUND);
+
+    const denied = await run(t, ['--json', 'show', 'fixture_weekly_sync'], { OTTERAI_PASSWORD: 'wrong' });
+    assert.strictEqual(denied.code, EXIT_CODES.AUTHENTICATION_FAILED);
+    assert.strictEqual(JSON.parse(denied.stderr[0]).error, 'AUTHENTICATION_FAILED');
+
+    const shown = await run(t, ['show', 'fixture_weekly_sync']);
+    assert.strictEqual(shown.code, 0);
+});
+
+test('sync errors go through the same exit code mapping', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'otter-cli-test-'));
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+    assert.strictEqual((await run(t, ['sync'])).code, 2);
+
+    // Thrown by the archive once sync has validated its own arguments
+    const unsupported = await run(t, ['sync', '--dir', directory, '--formats', 'docx']);
+    assert.strictEqual(unsupported.code, EXIT_CODES.VALIDATION_ERROR);
+    assert.match(unsupported.stderr.join('\n'), /otter sync: Unsupported transcript format: docx/);
+
+    const synced = await run(t, ['sync', '--dir', directory, '--formats', 'txt', '--no-audio']);
+    assert.strictEqual(synced.code, 0);
+});
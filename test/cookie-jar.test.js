@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CookieJar, parseSetCookie } = require('../cookie-jar');
+const { OtterAI } = require('../otterai');
+const { Logger } = require('../logger');
+const { startFakeOtter } = require('../fake-otter');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+test('parseSetCookie keeps "=" inside values and reads the attributes', () => {
+    const cookie = parseSetCookie('token=abc==def=; Path=/api; Domain=.Otter.ai; Secure; HttpOnly; SameSite=Lax');
+    assert.deepStrictEqual(cookie, {
+        name: 'token',
+        value: 'abc==def=',
+        domain: 'otter.ai',
+        path: '/api',
+        expires: null,
+        secure: true,
+        httpOnly: true,
+        sameSite: 'Lax'
+    });
+
+    assert.strictEqual(parseSetCookie('no-separator'), null);
+    assert.strictEqual(parseSetCookie('=value'), null);
+    assert.strictEqual(parseSetCookie('a=b; Path=relative').path, null);
+});
+
+test('Max-Age takes precedence over Expires', () => {
+    assert.strictEqual(parseSetCookie('a=b; Expires=Wed, 01 Jan 2025 01:00:00 GMT', NOW).expires, NOW + 3600 * 1000);
+    assert.strictEqual(parseSetCookie('a=b; Expires=Wed, 01 Jan 2025 01:00:00 GMT; Max-Age=60', NOW).expires, NOW + 60 * 1000);
+    assert.strictEqual(parseSetCookie('a=b; Max-Age=0', NOW).expires, 0);
+    assert.strictEqual(parseSetCookie('a=b; Expires=not a date', NOW).expires, null);
+});
+
+test('the jar drops expired cookies and lets a Set-Cookie delete one', () => {
+    const jar = new CookieJar();
+    jar.setCookie('short=1; Max-Age=60', 'https://otter.ai/', NOW);
+    jar.setCookie('session=1', 'https://otter.ai/', NOW);
+    assert.deepStrictEqual(jar.getCookies('https://otter.ai/', NOW + 59 * 1000).map(cookie => cookie.name), ['short', 'session']);
+    assert.deepStrictEqual(jar.getCookies('https://otter.ai/', NOW + 60 * 1000).map(cookie => cookie.name), ['session']);
+
+    jar.setCookie('session=; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'https://otter.ai/', NOW);
+    assert.strictEqual(jar.get('session', 'https://otter.ai/'), undefined);
+});
+
+test('the jar matches cookies by domain and path', () => {
+    const jar = new CookieJar();
+    jar.setCookie('shared=1; Domain=otter.ai', 'https://otter.ai/');
+    jar.setCookie('host=1', 'https://otter.ai/forward/api/v1/login');
+    jar.setCookie('api=1; Path=/forward/api', 'https://otter.ai/');
+    jar.setCookie('secure=1; Secure', 'https://otter.ai/');
+    assert.strictEqual(jar.setCookie('foreign=1; Domain=example.com', 'https://otter.ai/'), null);
+
+    const names = (url) => jar.getCookies(url).map(cookie => cookie.name).sort();
+    // The host-only cookie's default path is the login URL's directory
+    assert.deepStrictEqual(names('https://otter.ai/forward/api/v1/speeches'), ['api', 'host', 'secure', 'shared']);
+    assert.deepStrictEqual(names('https://otter.ai/forward/apis'), ['secure', 'shared']);
+    // Only cookies set with a Domain attribute reach subdomains
+    assert.deepStrictEqual(names('https://api.otter.ai/forward/api/v1/user'), ['shared']);
+    assert.deepStrictEqual(names('http://otter.ai/'), ['shared']);
+    assert.deepStrictEqual(names('https://example.com/'), []);
+
+    // The most specific path goes first
+    assert.strictEqual(jar.getCookieString('https://otter.ai/forward/api/v1/user').split('; ')[0], 'host=1');
+});
+
+test('the jar survives a JSON round trip without its expired cookies', () => {
+    const jar = new CookieJar();
+    jar.setCookie('kept=a=b', 'https://otter.ai/');
+    jar.setCookie('gone=1; Max-Age=60', 'https://otter.ai/', NOW);
+    const restored = CookieJar.fromJSON(JSON.parse(JSON.stringify(jar)));
+    assert.deepStrictEqual(restored.toObject(), { kept: 'a=b' });
+});
+
+test('writes send the CSRF token from the jar, including after it rotates', async (t) => {
+    const fake = await startFakeOtter({ rotateCsrfToken: true });
+    t.after(() => fake.close());
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+
+    const sent = [];
+    otter.session.interceptors.request.use(config => {
+        sent.push(config.headers.get('x-csrftoken'));
+        return config;
+    });
+    for (const title of ['First title', 'Second title']) {
+        const before = otter.cookieJar.get('csrftoken', otter.apiBaseUrl);
+        assert.strictEqual((await otter.setSpeechTitle('fixture_weekly_sync', title)).status, 200);
+        assert.strictEqual(sent.pop(), before);
+        assert.notStrictEqual(otter.cookieJar.get('csrftoken', otter.apiBaseUrl), before);
+    }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CredentialCache } = require('../credential-cache');
+const { OtterAI } = require('../otterai');
+const { Logger } = require('../logger');
+const { startFakeOtter } = require('../fake-otter');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+const tempCachePath = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otterai-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'session.enc');
+};
+
+const session = { userid: 1001, username: 'demo@example.com', cookies: { sessionid: 'abc' } };
+
+test('the cache round-trips a session and keeps it private', async (t) => {
+    const filePath = tempCachePath(t);
+    const cache = new CredentialCache({ filePath, secret: 'correct horse' });
+    assert.strictEqual(await cache.load(), null);
+
+    await cache.save(session);
+    assert.deepStrictEqual(await cache.load(), session);
+    assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /demo@example\.com|sessionid/);
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+    await cache.clear();
+    assert.strictEqual(await cache.load(), null);
+    assert.throws(() => new CredentialCache({ filePath, secret: '' }), /requires a secret/);
+});
+
+test('the cache rejects tampered files and the wrong secret', async (t) => {
+    const filePath = tempCachePath(t);
+    await new CredentialCache({ filePath, secret: 'correct horse' }).save(session);
+
+    assert.strictEqual(await new CredentialCache({ filePath, secret: 'battery staple' }).load(), null);
+
+    const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = Buffer.from(payload.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(filePath, JSON.stringify({ ...payload, data: data.toString('base64') }));
+    assert.strictEqual(await new CredentialCache({ filePath, secret: 'correct horse' }).load(), null);
+
+    fs.writeFileSync(filePath, 'not json');
+    assert.strictEqual(await new CredentialCache({ filePath, secret: 'correct horse' }).load(), null);
+});
+
+test('sessions export and restore, and ensureSession logs in again once they expire', async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+    const { username, password } = fake.credentials;
+    const sessionCache = new CredentialCache({ filePath: tempCachePath(t), secret: 'correct horse' });
+
+    const first = new OtterAI({ ...fake.endpoints, logger: quiet, sessionCache });
+    await first.login(username, password);
+    const exported = first.exportSession();
+    assert.strictEqual(exported.userid, fake.user.userid);
+    assert.strictEqual(JSON.stringify(exported).includes(password), false);
+    assert.deepStrictEqual((await sessionCache.load()).cookieJar, exported.cookieJar);
+
+    const restored = OtterAI.fromSession(exported, { ...fake.endpoints, logger: quiet });
+    assert.strictEqual((await restored.getUser()).status, 200);
+    assert.throws(() => OtterAI.fromSession({ cookies: {} }), /userid is missing/);
+
+    // A new client picks the cached session up without logging in
+    const logins = () => fake.requests.filter(request => request.endpoint === 'login').length;
+    const before = logins();
+    const cached = new OtterAI({ ...fake.endpoints, logger: quiet, username, password, sessionCache });
+    assert.strictEqual(await cached.ensureSession(), true);
+    assert.strictEqual(logins(), before);
+
+    // Once the cached session has expired upstream it logs in again and caches the new one
+    fake.sessions.clear();
+    const renewed = new OtterAI({ ...fake.endpoints, logger: quiet, username, password, sessionCache });
+    assert.strictEqual(await renewed.ensureSession(), true);
+    assert.strictEqual(logins(), before + 1);
+    assert.notDeepStrictEqual((await sessionCache.load()).cookieJar, exported.cookieJar);
+
+    // Without credentials an expired session stays expired
+    fake.sessions.clear();
+    assert.strictEqual(await OtterAI.fromSession(exported, { ...fake.endpoints, logger: quiet }).ensureSession(), false);
+});
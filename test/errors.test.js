@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    OtterAIException,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError,
+    ValidationError,
+    ConflictError,
+    errorFromResponse,
+    ensureOk
+} = require('../errors');
+
+test('errorFromResponse maps upstream statuses to typed errors', () => {
+    const cases = [
+        [401, AuthenticationError, 401, 'AUTHENTICATION_FAILED'],
+        [403, AuthenticationError, 401, 'AUTHENTICATION_FAILED'],
+        [404, NotFoundError, 404, 'NOT_FOUND'],
+        [409, ConflictError, 409, 'CONFLICT'],
+        [429, RateLimitError, 429, 'RATE_LIMITED'],
+        [400, ValidationError, 400, 'VALIDATION_ERROR'],
+        [422, ValidationError, 400, 'VALIDATION_ERROR'],
+        [408, UpstreamError, 502, 'UPSTREAM_ERROR'],
+        [500, UpstreamError, 502, 'UPSTREAM_ERROR'],
+        [503, UpstreamError, 502, 'UPSTREAM_ERROR'],
+        [418, OtterAIException, 500, 'OTTERAI_ERROR']
+    ];
+    for (const [status, ErrorClass, httpStatus, code] of cases) {
+        const error = errorFromResponse({ status, data: { message: 'nope' } }, 'speech');
+        assert.strictEqual(error.constructor, ErrorClass, `status ${status}`);
+        assert.strictEqual(error.httpStatus, httpStatus);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.status, status);
+        assert.strictEqual(error.endpoint, 'speech');
+        assert.deepStrictEqual(error.body, { message: 'nope' });
+        assert.strictEqual(error.message, `Otter.ai speech responded with status ${status}`);
+    }
+});
+
+test('rate limit errors carry a numeric Retry-After only', () => {
+    assert.strictEqual(errorFromResponse({ status: 429, headers: { 'retry-after': '30' } }, 'speeches').retryAfter, 30);
+    assert.strictEqual(errorFromResponse({ status: 429, headers: { 'retry-after': 'soon' } }, 'speeches').retryAfter, null);
+    assert.strictEqual(errorFromResponse({ status: 429 }, 'speeches').retryAfter, null);
+});
+
+test('ensureOk passes 2xx envelopes through and throws the typed error otherwise', () => {
+    const ok = { status: 204, data: null };
+    assert.strictEqual(ensureOk(ok, 'speech'), ok);
+
+    assert.throws(() => ensureOk({ status: 404, data: {} }, 'speech', { 404: 'No speech found with ID: x' }), {
+        name: 'NotFoundError',
+        message: 'No speech found with ID: x'
+    });
+    assert.throws(() => ensureOk(undefined, 'speech'), error => error.constructor === OtterAIException && error.status === null);
+});
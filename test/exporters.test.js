@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTranscript, isTranscriptFormat } = require('../exporters');
+const { TranscriptArchive } = require('../archive');
+const { ValidationError } = require('../errors');
+
+const transcript = { title: 'Call', segments: [] };
+
+test('only the listed transcript formats are accepted', () => {
+    assert.strictEqual(isTranscriptFormat('srt'), true);
+    for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.strictEqual(isTranscriptFormat(format), false);
+        assert.throws(() => renderTranscript(transcript, format), RangeError);
+        assert.throws(() => new TranscriptArchive({ otter: {}, directory: '.', formats: [format] }), ValidationError);
+    }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OtterAI } = require('../otterai');
+const { LiveTranscription } = require('../live');
+const { startFakeOtter } = require('../fake-otter');
+const { Logger } = require('../logger');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+test('live audio streamed to the fake comes back as segments and a finished speech', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+
+    const live = await otter.speechStart({ sampleRate: 16000 });
+    const partials = [];
+    const finals = [];
+    live.on('partial', segment => partials.push(segment));
+    live.on('final', segment => finals.push(segment));
+
+    // One and a half seconds of 16-bit mono silence, in quarter-second chunks
+    for (let chunk = 0; chunk < 6; chunk++) {
+        await live.write(Buffer.alloc(8000));
+    }
+    const result = await otter.stopSpeech(live);
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(live.state, 'closed');
+    assert.ok(partials.length > 0);
+    assert.deepStrictEqual(finals.map(segment => [segment.text, segment.start, segment.end]), [
+        ['Live segment 1.', 0, 1],
+        ['Live segment 2.', 1, 1.5]
+    ]);
+
+    const transcript = await otter.getTranscript(live.otid);
+    assert.strictEqual(transcript.status, 200);
+    assert.deepStrictEqual(transcript.data.segments.map(segment => segment.text), ['Live segment 1.', 'Live segment 2.']);
+});
+
+test('the fake refuses a live socket without a speech_start token', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+
+    const live = new LiveTranscription({ token: 'not-a-token', wsUrl: fake.liveWsUrl });
+    const closed = new Promise(resolve => live.once('close', resolve));
+    live.on('error', () => {});
+    await live.connect();
+    assert.strictEqual((await closed).code, 4001);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { OtterAI } = require('../otterai');
+const { Logger, createLogger, redact, requestLogging, REDACTED } = require('../logger');
+
+test('clients log to stderr unless given a logger', () => {
+    assert.strictEqual(new OtterAI().logger.stream, process.stderr);
+
+    const logger = new Logger({ stream: { write: () => {} } });
+    assert.strictEqual(new OtterAI({ logger }).logger, logger);
+});
+
+const capture = () => {
+    const lines = [];
+    return { lines, write: line => lines.push(JSON.parse(line)) };
+};
+
+test('redact replaces credentials, session ids and transcript content', () => {
+    const entry = redact({
+        password: 'hunter2',
+        Cookie: 'sessionid=abc',
+        'set-cookie': ['csrftoken=def'],
+        session_id: 'sess_123',
+        sessionId: 'sess_123',
+        nested: { transcript: 'We ship on Friday', words: ['We'], snippet: 'ship' },
+        speech_id: 'fixture_weekly_sync',
+        empty: { password: null }
+    });
+    assert.deepStrictEqual(entry, {
+        password: REDACTED,
+        Cookie: REDACTED,
+        'set-cookie': REDACTED,
+        session_id: REDACTED,
+        sessionId: REDACTED,
+        nested: { transcript: REDACTED, words: REDACTED, snippet: REDACTED },
+        speech_id: 'fixture_weekly_sync',
+        empty: { password: null }
+    });
+
+    const kept = redact({ transcript: 'We ship on Friday', password: 'hunter2' }, { transcripts: false });
+    assert.deepStrictEqual(kept, { transcript: 'We ship on Friday', password: REDACTED });
+});
+
+test('LOG_LEVEL filters entries and LOG_TRANSCRIPTS keeps transcript text', () => {
+    const stream = capture();
+    const log = createLogger({ LOG_LEVEL: 'WARN' }, { stream });
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn', { text: 'We ship on Friday' });
+    log.error('error');
+    assert.deepStrictEqual(stream.lines.map(line => line.msg), ['warn', 'error']);
+    assert.strictEqual(stream.lines[0].text, REDACTED);
+
+    const verbose = capture();
+    createLogger({ LOG_LEVEL: 'debug', LOG_TRANSCRIPTS: 'true' }, { stream: verbose }).debug('debug', { text: 'We ship on Friday' });
+    assert.strictEqual(verbose.lines[0].text, 'We ship on Friday');
+
+    const unknown = capture();
+    assert.strictEqual(createLogger({ LOG_LEVEL: 'chatty' }, { stream: unknown }).level, 'info');
+    assert.match(unknown.lines[0].msg, /Unknown LOG_LEVEL "chatty"/);
+});
+
+test('errors keep their stack only at debug level', () => {
+    const error = Object.assign(new Error('Otter.ai is down'), { code: 'UPSTREAM_ERROR', status: 502 });
+
+    const info = capture();
+    createLogger({ LOG_LEVEL: 'info' }, { stream: info }).error('failed', error);
+    assert.deepStrictEqual(info.lines[0].error, { name: 'Error', message: 'Otter.ai is down', code: 'UPSTREAM_ERROR', status: 502 });
+
+    const debug = capture();
+    createLogger({ LOG_LEVEL: 'debug' }, { stream: debug }).error('failed', { error });
+    assert.strictEqual(debug.lines[0].error.stack, error.stack);
+});
+
+test('requestLogging tags entries with the request id and echoes it', async (t) => {
+    const stream = capture();
+    const log = createLogger({ LOG_LEVEL: 'info' }, { stream });
+    const app = express();
+    app.use(requestLogging(log));
+    app.get('/work', async (req, res) => {
+        await new Promise(resolve => setImmediate(resolve));
+        log.info('Working', { step: 1 });
+        res.json({ id: req.id });
+    });
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const kept = await fetch(`${base}/work?q=secret`, { headers: { 'X-Request-Id': 'trace-42' } });
+    assert.strictEqual(kept.headers.get('x-request-id'), 'trace-42');
+    assert.deepStrictEqual(await kept.json(), { id: 'trace-42' });
+
+    const replaced = await fetch(`${base}/work`, { headers: { 'X-Request-Id': 'not a valid id' } });
+    const generated = replaced.headers.get('x-request-id');
+    assert.match(generated, /^req_[a-f0-9]{24}$/);
+    await replaced.json();
+
+    // The access log entry is written when the response finishes
+    await new Promise(resolve => setImmediate(resolve));
+    const working = stream.lines.filter(line => line.msg === 'Working');
+    assert.deepStrictEqual(working.map(line => line.request_id), ['trace-42', generated]);
+    const completed = stream.lines.filter(line => line.msg === 'Request completed');
+    assert.deepStrictEqual(completed.map(line => [line.request_id, line.path, line.status]), [['trace-42', '/work', 200], [generated, '/work', 200]]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OtterAI } = require('../otterai');
+const { Logger } = require('../logger');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+// Client with the Otter.ai calls mergeSpeakers makes replaced by in-memory speeches
+const stubbedClient = ({ speeches, failOn = {} }) => {
+    const otter = new OtterAI({ logger: quiet });
+    otter.userid = 1001;
+    const calls = { deleted: [] };
+
+    otter._speakerName = async (id) => `Speaker ${id}`;
+    otter.iterateSpeeches = async function* ({ source }) {
+        yield* Object.keys(speeches).filter(otid => speeches[otid].source === source).map(otid => ({ otid }));
+    };
+    otter.getTranscript = async (otid) => {
+        if (!speeches[otid]) {
+            return { status: 404, data: { message: 'not found' } };
+        }
+        return { status: 200, data: { segments: speeches[otid].segments.map((speakerId, index) => ({ id: `${otid}-${index}`, speakerId })) } };
+    };
+    otter.setTranscriptSpeaker = async (otid, segmentId) => {
+        return failOn[otid] ? { status: failOn[otid], data: { message: 'nope' } } : { status: 200, data: { status: 'OK' } };
+    };
+    otter.deleteSpeaker = async (id) => {
+        calls.deleted.push(id);
+        return { status: 200, data: { status: 'OK' } };
+    };
+    return { otter, calls };
+};
+
+test('mergeSpeakers covers shared speeches and deletes the source when everything moved', async () => {
+    const { otter, calls } = stubbedClient({
+        speeches: {
+            a: { source: 'owned', segments: [1, 2, 1] },
+            b: { source: 'owned', segments: [2] },
+            s: { source: 'shared', segments: [1] }
+        }
+    });
+
+    const { data } = await otter.mergeSpeakers(1, 2);
+    assert.deepStrictEqual(data.speeches, ['a', 's']);
+    assert.strictEqual(data.updated_segments, 3);
+    assert.strictEqual(data.failed, 0);
+    assert.strictEqual(data.source_deleted, true);
+    assert.deepStrictEqual(calls.deleted, [1]);
+});
+
+test('mergeSpeakers keeps the source speaker when a speech fails', async () => {
+    const { otter, calls } = stubbedClient({
+        speeches: {
+            a: { source: 'owned', segments: [1] },
+            s: { source: 'shared', segments: [1, 1] }
+        },
+        failOn: { s: 403 }
+    });
+
+    const { data } = await otter.mergeSpeakers(1, 2, { speechIds: ['a', 's', 'missing'] });
+    assert.strictEqual(data.source_deleted, false);
+    assert.deepStrictEqual(calls.deleted, []);
+    assert.strictEqual(data.failed, 2);
+    assert.deepStrictEqual(data.results.map(result => [result.otid, result.ok, result.updated_segments]), [
+        ['a', true, 1],
+        ['s', false, 0],
+        ['missing', false, 0]
+    ]);
+    assert.strictEqual(data.results[2].error.code, 'NOT_FOUND');
+});
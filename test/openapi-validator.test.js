@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createOpenApiValidator, validateValue, coerceValue } = require('../openapi-validator');
+
+const document = {
+    paths: {
+        '/api/folders/{folderId}': {
+            parameters: [{ name: 'folderId', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } }],
+            patch: {
+                parameters: [{ name: 'dry_run', in: 'query', schema: { type: 'boolean' } }],
+                requestBody: { $ref: '#/components/requestBodies/Rename' }
+            }
+        },
+        '/api/folders/new': { patch: {} }
+    },
+    components: {
+        requestBodies: {
+            Rename: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Rename' } } } }
+        },
+        schemas: {
+            Rename: { type: 'object', properties: { name: { type: 'string', minLength: 1, maxLength: 10 } }, required: ['name'] },
+            Strict: { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false },
+            Labels: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    }
+};
+
+const request = ({ path, query = {}, body, type = 'application/json' }) => ({
+    method: 'PATCH',
+    path,
+    query,
+    body,
+    get: () => undefined,
+    is: (mime) => mime === type
+});
+
+const validate = (req) => {
+    const { validateRequest } = createOpenApiValidator(document);
+    let passed = false;
+    validateRequest(req, {}, () => {
+        passed = true;
+    });
+    return passed;
+};
+
+test('validateValue lists every problem', () => {
+    const schema = { $ref: '#/components/schemas/Rename' };
+    assert.deepStrictEqual(validateValue(document, schema, { name: 'Board meetings 2025' }), ['name must be at most 10 characters']);
+    assert.deepStrictEqual(validateValue(document, schema, {}), ['name is required']);
+    assert.deepStrictEqual(validateValue(document, schema, []), ['Request body must be an object']);
+    assert.deepStrictEqual(validateValue(document, { type: 'array', items: { type: 'integer' }, minItems: 1 }, ['a', 2], 'ids'), ['ids[0] must be an integer']);
+});
+
+test('unknown fields are kept unless the schema closes the object', () => {
+    assert.deepStrictEqual(validateValue(document, { $ref: '#/components/schemas/Rename' }, { name: 'Calls', colour: 'red' }), []);
+    assert.deepStrictEqual(validateValue(document, { $ref: '#/components/schemas/Strict' }, { name: 'Calls', colour: 'red' }), ['colour is not allowed']);
+    assert.deepStrictEqual(validateValue(document, { $ref: '#/components/schemas/Labels' }, { team: 'sales', size: 3 }), ['size must be a string']);
+});
+
+test('strings are coerced to the scalar type of the schema', () => {
+    assert.strictEqual(coerceValue(document, { type: 'integer' }, '42'), 42);
+    assert.strictEqual(coerceValue(document, { type: 'integer' }, ' '), ' ');
+    assert.strictEqual(coerceValue(document, { type: 'boolean' }, 'Yes'), true);
+    assert.strictEqual(coerceValue(document, { type: 'boolean' }, '0'), false);
+    assert.strictEqual(coerceValue(document, { type: 'boolean' }, 'maybe'), 'maybe');
+    assert.strictEqual(coerceValue(document, { type: 'string' }, '42'), '42');
+});
+
+test('validateRequest checks path params, query strings and bodies', () => {
+    assert.strictEqual(validate(request({ path: '/api/folders/10', query: { dry_run: 'true' }, body: { name: 'Calls' } })), true);
+    assert.throws(() => validate(request({ path: '/api/folders/ten', query: { dry_run: 'maybe' }, body: { name: '' } })), {
+        name: 'ValidationError',
+        message: 'folderId must be an integer; dry_run must be a boolean; name must not be empty'
+    });
+    assert.throws(() => validate(request({ path: '/api/folders/10' })), { message: 'Request body is required' });
+
+    // Literal segments win over parameters, and undocumented routes pass through
+    assert.strictEqual(validate(request({ path: '/api/folders/new' })), true);
+    assert.strictEqual(validate(request({ path: '/api/unknown', body: 'anything' })), true);
+
+    // JSON and form bodies are both checked
+    assert.throws(() => validate(request({ path: '/api/folders/10', body: { name: 7 } })), { message: 'name must be a string' });
+    assert.strictEqual(validate(request({ path: '/api/folders/10', body: { name: 'Calls' }, type: 'application/x-www-form-urlencoded' })), true);
+});
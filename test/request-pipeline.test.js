@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OtterAI } = require('../otterai');
+const { startFakeOtter } = require('../fake-otter');
+const { Logger } = require('../logger');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+test('expired sessions are renewed without deadlocking the concurrency cap', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+
+    for (const maxConcurrency of [1, 4]) {
+        const otter = new OtterAI({ ...fake.endpoints, maxConcurrency, retry: { retries: 0 }, logger: quiet });
+        await otter.login(fake.credentials.username, fake.credentials.password);
+
+        // Expire every session the fake has handed out
+        fake.sessions.clear();
+        fake.requests.length = 0;
+
+        const results = await Promise.all([1, 2, 3, 4].map(() => otter.getSpeakers()));
+        assert.deepStrictEqual(results.map(result => result.status), [200, 200, 200, 200]);
+        // Concurrent 401s share a single login
+        assert.strictEqual(fake.requests.filter(request => request.endpoint === 'login').length, 1);
+    }
+});
+
+test('a request that fails again after re-login returns the 401', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+
+    const otter = new OtterAI({ ...fake.endpoints, maxConcurrency: 1, retry: { retries: 0 }, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+    fake.sessions.clear();
+    // Sessions issued by the re-login are dropped as well
+    fake.sessions.set = function () {
+        return this;
+    };
+    fake.requests.length = 0;
+
+    const response = await otter.getSpeakers();
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(fake.requests.map(request => request.endpoint), ['speakers', 'login', 'speakers']);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SearchIndexCache } = require('../search-index');
+
+test('the index cache drops the least recently used entry', () => {
+    const cache = new SearchIndexCache({ maxEntries: 2 });
+    cache.set('a', { name: 'a' });
+    cache.set('b', { name: 'b' });
+    cache.get('a');
+    cache.set('c', { name: 'c' });
+
+    assert.strictEqual(cache.size, 2);
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a').name, 'a');
+    assert.strictEqual(cache.get('c').name, 'c');
+});
+
+test('the index cache drops entries unused for longer than the ttl', () => {
+    const cache = new SearchIndexCache({ ttl: 1000 });
+    cache.set('old', {});
+    cache.set('recent', {});
+    cache.get('old').usedAt = Date.now() - 5000;
+
+    assert.deepStrictEqual(cache.cleanup(), ['old']);
+    assert.strictEqual(cache.size, 1);
+});
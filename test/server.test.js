@@ -0,0 +1,402 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeOtter } = require('../fake-otter');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// One fake Otter.ai and one API server for the whole file; server.js reads its configuration
+// from the environment when it is first required
+const setup = (async () => {
+    const fake = await startFakeOtter({ rotateCsrfToken: true });
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'otter-server-test-'));
+    Object.assign(process.env, {
+        VERCEL: '1',
+        LOG_LEVEL: 'error',
+        OTTERAI_API_BASE_URL: fake.apiBaseUrl,
+        OTTERAI_S3_BASE_URL: fake.s3BaseUrl,
+        ADMIN_API_TOKEN: ADMIN_TOKEN,
+        API_KEY_FILE: path.join(dataDir, 'api-keys.json'),
+        EXPORT_DIR: path.join(dataDir, 'exports'),
+        UPLOAD_TMP_DIR: path.join(dataDir, 'uploads'),
+        UPLOAD_IN_BACKGROUND: 'true'
+    });
+    const app = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return { fake, server, dataDir, baseUrl: `http://127.0.0.1:${server.address().port}` };
+})();
+
+test.after(async () => {
+    const { fake, server, dataDir } = await setup;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await fake.close();
+    await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+const api = async (method, url, { headers = {}, body } = {}) => {
+    const { baseUrl } = await setup;
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+const poll = async (url, headers, done) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await api('GET', url, { headers });
+        if (done(response.body)) {
+            return response.body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`${url} did not settle`);
+};
+
+// One session for every test: logins are rate limited to five per client
+let loggedIn = null;
+const login = () => {
+    loggedIn = loggedIn || (async () => {
+        const { fake } = await setup;
+        const response = await api('POST', '/api/auth/login', {
+            body: { username: fake.credentials.username, password: fake.credentials.password }
+        });
+        assert.strictEqual(response.status, 200);
+        return { 'session-id': response.body.sessionId };
+    })();
+    return loggedIn;
+};
+
+// Rotated sessions are written back once the response has gone out
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('cookies rotated by Otter.ai are kept for the next request', async () => {
+    const session = await login();
+
+    // Every response rotates the CSRF token; writes fail unless the latest one is sent
+    for (const name of ['First', 'Second', 'Third']) {
+        const response = await api('POST', '/api/speakers', { headers: session, body: { name } });
+        assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+        await settle();
+    }
+});
+
+test('API keys keep the rotated session of the key', async () => {
+    const session = await login();
+    const created = await api('POST', '/api/admin/keys', {
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: { name: 'rotation', scopes: ['read', 'write'], session_id: session['session-id'] }
+    });
+    assert.strictEqual(created.status, 201);
+
+    for (const name of ['Key One', 'Key Two']) {
+        const response = await api('POST', '/api/speakers', { headers: { 'X-API-Key': created.body.key }, body: { name } });
+        assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+        await settle();
+    }
+});
+
+test('uploads return their job straight away and spool unsized files to disk', async () => {
+    const { dataDir } = await setup;
+    const session = await login();
+
+    for (const declareSize of [false, true]) {
+        const audio = Buffer.alloc(64 * 1024, 1);
+        const form = new FormData();
+        form.append('language', 'en');
+        if (declareSize) {
+            form.append('size', String(audio.length));
+        }
+        form.append('file', new Blob([audio], { type: 'audio/mpeg' }), 'standup.mp3');
+
+        const { baseUrl } = await setup;
+        const response = await fetch(`${baseUrl}/api/speeches`, { method: 'POST', headers: session, body: form });
+        const job = await response.json();
+        assert.strictEqual(response.status, 202);
+        assert.strictEqual(job.status, 'uploading');
+        assert.strictEqual(response.headers.get('location'), `/api/uploads/${job.id}`);
+
+        const finished = await poll(`/api/uploads/${job.id}`, session, body => body.status !== 'uploading');
+        assert.ok(['processing', 'complete'].includes(finished.status), JSON.stringify(finished));
+        assert.strictEqual(finished.file.size, audio.length);
+    }
+    assert.deepStrictEqual(await fs.promises.readdir(path.join(dataDir, 'uploads')), []);
+});
+
+test('the first search builds the index in the background', async () => {
+    const session = await login();
+
+    const first = await api('GET', '/api/search?q=release', { headers: session });
+    assert.strictEqual(first.status, 202);
+    assert.strictEqual(first.headers.get('retry-after'), '5');
+    assert.deepStrictEqual(first.body.hits, []);
+    assert.strictEqual(first.body.index.status, 'building');
+
+    const results = await poll('/api/search?q=release', session, body => body.index.status !== 'building');
+    assert.strictEqual(results.index.status, 'ready');
+    assert.ok(results.hits.length > 0);
+    assert.ok(results.hits.every(hit => hit.speech_id === 'fixture_weekly_sync'));
+
+    // The build rotated the session's cookies after the response went out; writes still work
+    await settle();
+    const write = await api('POST', '/api/speakers', { headers: session, body: { name: 'After Search' } });
+    assert.strictEqual(write.status, 201, JSON.stringify(write.body));
+});
+
+test('exports are streamed straight back when they cannot run in the background', async () => {
+    const { baseUrl, dataDir } = await setup;
+    const session = await login();
+
+    const response = await fetch(`${baseUrl}/api/exports`, {
+        method: 'POST',
+        headers: { ...session, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ speech_ids: ['fixture_weekly_sync', 'fixture_customer_call'], formats: ['txt'] })
+    });
+    assert.strictEqual(response.status, 200, await response.clone().text());
+    assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /otter-export\.zip/);
+    const zip = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(zip.subarray(0, 2).toString(), 'PK');
+    assert.ok(zip.includes('fixture_customer_call.txt'));
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'exports')), false);
+
+    const missing = await api('POST', '/api/exports', { headers: session, body: { speech_ids: ['no_such_speech'] } });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('transcript edits and speaker tags reach the speech', async () => {
+    const { fake } = await setup;
+    const session = await login();
+
+    const before = await api('GET', '/api/transcript/fixture_customer_call', { headers: session });
+    assert.strictEqual(before.status, 200);
+    const [segment] = before.body.structured_transcript.segments;
+
+    const edited = await api('PATCH', '/api/transcript/fixture_customer_call', {
+        headers: { ...session, 'If-Unmodified-Since': before.headers.get('last-modified') },
+        body: { title: 'Renewal call', summary: 'Renewal terms.', segments: [{ id: segment.id, text: 'Thanks for joining.' }] }
+    });
+    assert.strictEqual(edited.status, 200, JSON.stringify(edited.body));
+    assert.deepStrictEqual(edited.body.updated, { title: true, summary: true, segments: [segment.id] });
+
+    const after = await api('GET', '/api/transcript/fixture_customer_call', { headers: session });
+    assert.strictEqual(after.body.title, 'Renewal call');
+    assert.strictEqual(after.body.structured_transcript.segments[0].text, 'Thanks for joining.');
+
+    const speakerId = fake.speakers.find(speaker => speaker.id !== segment.speakerId).id;
+    const tagged = await api('POST', '/api/transcript/fixture_customer_call/speakers', {
+        headers: session,
+        body: { speaker_id: speakerId, segment_ids: [segment.id] }
+    });
+    assert.strictEqual(tagged.status, 200, JSON.stringify(tagged.body));
+    assert.deepStrictEqual(tagged.body.updated_segments, [segment.id]);
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').transcripts[0].speaker_id, speakerId);
+});
+
+test('folders can be created, filled, emptied, renamed and deleted', async () => {
+    const { fake } = await setup;
+    const session = await login();
+
+    const created = await api('POST', '/api/folders', { headers: session, body: { name: 'Planning' } });
+    assert.strictEqual(created.status, 201);
+    const folderId = created.body.id;
+
+    const moved = await api('POST', `/api/folders/${folderId}/speeches`, { headers: session, body: { speech_ids: ['fixture_weekly_sync'] } });
+    assert.strictEqual(moved.status, 200);
+    let folders = await api('GET', '/api/folders', { headers: session });
+    assert.strictEqual(folders.body.folders.find(folder => folder.id === folderId).speech_count, 1);
+
+    assert.strictEqual((await api('DELETE', `/api/folders/${folderId}/speeches/fixture_weekly_sync`, { headers: session })).status, 204);
+    assert.strictEqual(fake.speeches.get('fixture_weekly_sync').folder_id, null);
+
+    const renamed = await api('PATCH', `/api/folders/${folderId}`, { headers: session, body: { name: 'Roadmap' } });
+    assert.deepStrictEqual(renamed.body, { id: folderId, name: 'Roadmap' });
+    assert.strictEqual((await api('DELETE', `/api/folders/${folderId}`, { headers: session })).status, 204);
+    folders = await api('GET', '/api/folders', { headers: session });
+    assert.ok(!folders.body.folders.some(folder => folder.id === folderId));
+
+    assert.strictEqual((await api('DELETE', `/api/folders/${folderId}`, { headers: session })).status, 404);
+});
+
+test('speeches can be shared with a group and unshared', async () => {
+    const { fake } = await setup;
+    const session = await login();
+    const groupId = fake.groups[0].id;
+
+    const shared = await api('POST', `/api/groups/${groupId}/speeches`, { headers: session, body: { speech_ids: ['fixture_customer_call'] } });
+    assert.strictEqual(shared.status, 200);
+    assert.deepStrictEqual(fake.speeches.get('fixture_customer_call').shared_groups, [{ id: groupId }]);
+
+    // Listings filter on the groups in each speech's shared_groups
+    const inGroup = async (query = '') => (await api('GET', `/api/speech-ids?group_id=${groupId}${query}`, { headers: session }))
+        .body.speech_ids.map(speech => speech.otid).sort();
+    assert.deepStrictEqual(await inGroup(), ['fixture_customer_call', 'fixture_weekly_sync']);
+    assert.deepStrictEqual(await inGroup('&limit=10'), ['fixture_customer_call', 'fixture_weekly_sync']);
+
+    assert.strictEqual((await api('DELETE', `/api/groups/${groupId}/speeches/fixture_customer_call`, { headers: session })).status, 204);
+    assert.deepStrictEqual(fake.speeches.get('fixture_customer_call').shared_groups, []);
+    assert.deepStrictEqual(await inGroup(), ['fixture_weekly_sync']);
+
+    const unknown = await api('POST', '/api/groups/999/speeches', { headers: session, body: { speech_ids: ['fixture_customer_call'] } });
+    assert.strictEqual(unknown.status, 404);
+});
+
+test('transcript formats are looked up by name only', async () => {
+    const session = await login();
+    const response = await api('GET', '/api/transcript/fixture_weekly_sync?format=constructor', { headers: session });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'VALIDATION_ERROR');
+});
+
+test('webhooks are refused on serverless hosts', async () => {
+    const session = await login();
+    const response = await api('POST', '/api/webhooks', { headers: session, body: { url: 'https://example.com/hook' } });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'FORBIDDEN');
+});
+
+test('upstream errors reach clients as typed JSON errors', async () => {
+    const { fake } = await setup;
+    const session = await login();
+
+    // upstream_body is only included in development
+    const withoutUpstreamBody = ({ upstream_body: upstreamBody, ...body }) => body;
+
+    const missing = await api('GET', '/api/transcript/no_such_speech', { headers: session });
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(withoutUpstreamBody(missing.body), {
+        error: 'Not Found',
+        code: 'NOT_FOUND',
+        message: 'No speech found with ID: no_such_speech',
+        endpoint: 'speech',
+        upstream_status: 404
+    });
+
+    // Retried by the client first, then passed on with Otter.ai's Retry-After
+    fake.fail('speech', 429, { times: 4, headers: { 'Retry-After': '0' } });
+    const limited = await api('GET', '/api/transcript/fixture_weekly_sync', { headers: session });
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+    assert.strictEqual(limited.headers.get('retry-after'), '0');
+
+    // Writes are not retried after a server error
+    fake.fail('create_folder', 503);
+    const unavailable = await api('POST', '/api/folders', { headers: session, body: { name: 'Board meetings' } });
+    assert.strictEqual(unavailable.status, 502);
+    assert.deepStrictEqual(withoutUpstreamBody(unavailable.body), {
+        error: 'Otter.ai Unavailable',
+        code: 'UPSTREAM_ERROR',
+        message: 'Otter.ai create_folder responded with status 503',
+        endpoint: 'create_folder',
+        upstream_status: 503
+    });
+
+    fake.fail('speech', 409);
+    const conflict = await api('GET', '/api/transcript/fixture_weekly_sync', { headers: session });
+    assert.strictEqual(conflict.status, 409);
+    assert.strictEqual(conflict.body.code, 'CONFLICT');
+});
+
+test('malformed bodies and unknown routes get JSON errors', async () => {
+    const { baseUrl } = await setup;
+    const session = await login();
+    const malformed = await fetch(`${baseUrl}/api/folders`, {
+        method: 'POST',
+        headers: { ...session, 'Content-Type': 'application/json' },
+        body: '{"name":'
+    });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual((await malformed.json()).code, 'VALIDATION_ERROR');
+
+    const unknown = await api('GET', '/api/nothing-here', { headers: session });
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.body.code, 'NOT_FOUND');
+});
+
+test('requests are authenticated before they are validated', async () => {
+    const session = await login();
+
+    const anonymous = await api('GET', '/api/trash?limit=abc');
+    assert.strictEqual(anonymous.status, 401);
+
+    const malformed = await api('GET', '/api/trash?limit=abc', { headers: session });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.message, 'limit must be an integer');
+
+    // Query strings are coerced to the documented types
+    const coerced = await api('GET', '/api/trash?limit=5', { headers: session });
+    assert.strictEqual(coerced.status, 200);
+    const dryRun = await api('DELETE', '/api/speeches/fixture_customer_call?dry_run=yes', { headers: session });
+    assert.strictEqual(dryRun.status, 200);
+    assert.strictEqual(dryRun.body.dry_run, true);
+    const notBoolean = await api('DELETE', '/api/speeches/fixture_customer_call?dry_run=maybe', { headers: session });
+    assert.strictEqual(notBoolean.status, 400);
+    assert.strictEqual(notBoolean.body.message, 'dry_run must be a boolean');
+});
+
+test('trash routes report partial failures and support dry runs', async () => {
+    const { fake } = await setup;
+    const session = await login();
+
+    const dryRun = await api('POST', '/api/trash?dry_run=true', { headers: session, body: { speech_ids: ['fixture_customer_call', 'no_such_speech'] } });
+    assert.strictEqual(dryRun.status, 200);
+    assert.strictEqual(dryRun.body.dry_run, true);
+    assert.deepStrictEqual([dryRun.body.succeeded, dryRun.body.failed], [1, 1]);
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').source, 'owned');
+
+    const trashed = await api('POST', '/api/trash', { headers: session, body: { speech_ids: ['fixture_customer_call', 'no_such_speech'] } });
+    assert.strictEqual(trashed.status, 200);
+    assert.deepStrictEqual(trashed.body.results.map(item => [item.otid, item.ok, item.error && item.error.code]), [
+        ['fixture_customer_call', true, null],
+        ['no_such_speech', false, 'NOT_FOUND']
+    ]);
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').source, 'trash');
+
+    const deleteDryRun = await api('POST', '/api/trash/delete', { headers: session, body: { speech_ids: ['fixture_customer_call'], dry_run: true } });
+    assert.deepStrictEqual([deleteDryRun.body.action, deleteDryRun.body.dry_run, deleteDryRun.body.succeeded], ['delete', true, 1]);
+    assert.strictEqual(fake.speeches.has('fixture_customer_call'), true);
+
+    const restored = await api('POST', '/api/trash/restore', { headers: session, body: { speech_ids: ['fixture_customer_call', 'fixture_weekly_sync'] } });
+    assert.deepStrictEqual([restored.body.succeeded, restored.body.failed], [1, 1]);
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').source, 'owned');
+
+    // The single-speech route turns its one failure into the error response
+    const notTrashed = await api('DELETE', '/api/speeches/fixture_customer_call?permanent=true', { headers: session });
+    assert.strictEqual(notTrashed.status, 404);
+    assert.strictEqual(notTrashed.body.message, 'No speech in the trash with ID: fixture_customer_call');
+
+    const empty = await api('POST', '/api/trash', { headers: session, body: { speech_ids: [] } });
+    assert.strictEqual(empty.status, 400);
+});
+
+test('speech-ids pages follow next_cursor to the end of both sources', async () => {
+    const session = await login();
+    const all = await api('GET', '/api/speech-ids', { headers: session });
+    const expected = all.body.speech_ids.map(speech => [speech.source, speech.otid]);
+    assert.ok(expected.some(([source]) => source === 'shared'));
+
+    const walked = [];
+    let cursor = null;
+    do {
+        const page = await api('GET', `/api/speech-ids?limit=2${cursor ? `&cursor=${cursor}` : ''}`, { headers: session });
+        assert.strictEqual(page.status, 200);
+        walked.push(...page.body.speech_ids.map(speech => [speech.source, speech.otid]));
+        cursor = page.body.next_cursor;
+    } while (cursor);
+    assert.deepStrictEqual(walked, expected);
+
+    // A page that ends exactly at the last speech is the last page
+    const whole = await api('GET', `/api/speech-ids?limit=${expected.length}`, { headers: session });
+    assert.strictEqual(whole.body.total_count, expected.length);
+    assert.strictEqual(whole.body.next_cursor, null);
+
+    const invalid = await api('GET', '/api/speech-ids?cursor=not-a-cursor', { headers: session });
+    assert.strictEqual(invalid.status, 400);
+});
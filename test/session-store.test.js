@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, MemorySessionStore, FileSessionStore, DEFAULT_TTL } = require('../session-store');
+
+const tempFile = async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'otter-sessions-test-'));
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+    return path.join(directory, 'sessions.json');
+};
+
+const session = { userid: 1001, cookieJar: { cookies: [] }, username: 'demo@example.com' };
+
+test('createSessionStore picks the backend and TTL from the environment', async (t) => {
+    const memory = createSessionStore({});
+    assert.ok(memory instanceof MemorySessionStore);
+    assert.strictEqual(memory.ttl, DEFAULT_TTL);
+
+    const filePath = await tempFile(t);
+    const file = createSessionStore({ SESSION_STORE: 'FILE', SESSION_FILE: filePath, SESSION_TIMEOUT: '5000' });
+    assert.ok(file instanceof FileSessionStore);
+    assert.strictEqual(file.filePath, filePath);
+    assert.strictEqual(file.ttl, 5000);
+
+    assert.throws(() => createSessionStore({ SESSION_STORE: 'dynamo' }), /Unknown SESSION_STORE/);
+});
+
+const backends = {
+    memory: async () => new MemorySessionStore({ ttl: 1000 }),
+    file: async (t) => new FileSessionStore({ ttl: 1000, filePath: await tempFile(t) })
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+    test(`sessions are stored, expire after the TTL and are cleaned up (${name} store)`, async (t) => {
+        const store = await createStore(t);
+        let now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+
+        await store.set('sess_a', session);
+        await store.set('sess_b', session);
+        assert.deepStrictEqual(await store.get('sess_a'), session);
+        assert.strictEqual(await store.get('sess_missing'), null);
+
+        await store.delete('sess_b');
+        assert.strictEqual(await store.get('sess_b'), null);
+
+        now += 1001;
+        assert.strictEqual(await store.get('sess_a'), null);
+        await store.set('sess_c', session);
+        now += 1001;
+        assert.deepStrictEqual(await store.cleanup(), name === 'file' ? ['sess_a', 'sess_c'] : ['sess_c']);
+    });
+
+    test(`touch extends a session (${name} store)`, async (t) => {
+        const store = await createStore(t);
+        let now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+
+        await store.set('sess_a', session);
+        now += 800;
+        await store.touch('sess_a');
+        now += 800;
+        assert.deepStrictEqual(await store.get('sess_a'), session);
+    });
+}
+
+test('the file store keeps sessions across instances and only rewrites the file for a due touch', async (t) => {
+    const filePath = await tempFile(t);
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    await new FileSessionStore({ ttl: 1000, filePath }).set('sess_a', session);
+    const store = new FileSessionStore({ ttl: 1000, filePath });
+    assert.deepStrictEqual(await store.get('sess_a'), session);
+    assert.strictEqual((await fs.promises.stat(filePath)).mode & 0o777, 0o600);
+
+    const writes = t.mock.method(store, '_write');
+    now += 50;
+    await store.touch('sess_a');
+    assert.strictEqual(writes.mock.callCount(), 0);
+
+    now += 100;
+    await store.touch('sess_a');
+    assert.strictEqual(writes.mock.callCount(), 1);
+    assert.strictEqual(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).sess_a.expiresAt, now + 1000);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OtterAI, speechCursor, decodeSpeechCursor } = require('../otterai');
+const { Logger } = require('../logger');
+const { startFakeOtter } = require('../fake-otter');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+// The fixtures plus four more owned speeches, so small pages need several requests
+const connect = async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+    const template = fake.speeches.get('fixture_weekly_sync');
+    for (let n = 1; n <= 4; n++) {
+        const otid = `extra_${n}`;
+        fake.speeches.set(otid, { ...template, otid, title: `Extra ${n}`, modified_time: template.modified_time - n * 60 });
+    }
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+    const owned = fake._speechesFrom('owned', 0).map(speech => speech.otid);
+    const pages = () => fake.requests.filter(request => request.endpoint === 'speeches').length;
+    return { fake, otter, owned, pages };
+};
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item.otid);
+    }
+    return items;
+};
+
+test('iterateSpeeches follows the cursor page by page and resumes from one', async (t) => {
+    const { otter, owned, pages } = await connect(t);
+    assert.strictEqual(owned.length, 6);
+
+    const before = pages();
+    assert.deepStrictEqual(await collect(otter.iterateSpeeches({ pageSize: 2 })), owned);
+    assert.strictEqual(pages() - before, 3);
+
+    assert.deepStrictEqual(await collect(otter.iterateSpeeches({ pageSize: 4, limit: 3 })), owned.slice(0, 3));
+
+    const second = (await otter.getSpeeches(0, 45)).data.speeches[1];
+    assert.deepStrictEqual(await collect(otter.iterateSpeeches({ pageSize: 2, cursor: speechCursor(second) })), owned.slice(2));
+});
+
+test('getAllSpeeches only reports truncation when more speeches exist', async (t) => {
+    const { otter, owned } = await connect(t);
+
+    const exact = await otter.getAllSpeeches(0, 'owned', owned.length);
+    assert.strictEqual(exact.data.total_count, owned.length);
+    assert.strictEqual(exact.data.next_cursor, null);
+    assert.strictEqual(exact.data.note, 'All available speeches retrieved');
+
+    const capped = await otter.getAllSpeeches(0, 'owned', 4);
+    assert.deepStrictEqual(capped.data.speeches.map(speech => speech.otid), owned.slice(0, 4));
+    assert.strictEqual(decodeSpeechCursor(capped.data.next_cursor).otid, owned[3]);
+    assert.strictEqual(capped.data.note, 'maxSpeeches reached - there may be more speeches');
+
+    assert.strictEqual((await otter.getAllSpeeches()).data.next_cursor, null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSpeech, Transcript } = require('../transcript');
+
+// Shaped like Otter.ai's GET /speech body: offsets in 16 kHz frames, speakers by id
+const fixtureSpeech = {
+    status: 'OK',
+    speech: {
+        otid: 'otid_fixture',
+        title: 'Planning',
+        created_at: 1735725600,
+        modified_time: 1735729200,
+        duration: 9,
+        speakers: [
+            { id: 1, speaker_name: 'Alice Chen' },
+            { speaker_id: 2 }
+        ],
+        transcripts: [
+            {
+                uuid: 'seg-2',
+                speaker_id: 2,
+                start_offset: 64000,
+                end_offset: 104000,
+                transcript: ' Agreed. ',
+                words: [{ word: 'Agreed.', start_offset: 64000, end_offset: 80000, confidence: 0.5 }]
+            },
+            {
+                uuid: 'seg-1',
+                speaker_id: 1,
+                start_offset: 0,
+                end_offset: 48000,
+                transcript: 'Let us plan.',
+                words: [
+                    { word: 'Let', start_offset: 0, end_offset: 8000, confidence: 0.9 },
+                    { word: 'us', start_offset: 8000, end_offset: 12000, confidence: 0.7 },
+                    { word: 'plan.', start_offset: 12000, end_offset: 48000 }
+                ]
+            },
+            { uuid: 'seg-3', speaker_id: 7, speaker_model_label: 'Speaker 7', start_offset: 104000, end_offset: 144000, transcript: 'Me too.' },
+            { uuid: 'seg-4', start_offset: 144000, end_offset: 150000, transcript: 'Bye.' }
+        ]
+    }
+};
+
+test('segments are converted from 16 kHz offsets to seconds and sorted by start', () => {
+    const transcript = normalizeSpeech(fixtureSpeech);
+
+    assert.ok(transcript instanceof Transcript);
+    assert.strictEqual(transcript.speechId, 'otid_fixture');
+    assert.strictEqual(transcript.createdAt, '2025-01-01T10:00:00.000Z');
+    assert.deepStrictEqual(transcript.segments.map(segment => [segment.id, segment.start, segment.end]), [
+        ['seg-1', 0, 3],
+        ['seg-2', 4, 6.5],
+        ['seg-3', 6.5, 9],
+        ['seg-4', 9, 9.375]
+    ]);
+    assert.deepStrictEqual(transcript.segments[0].words.map(word => [word.text, word.start, word.end]), [
+        ['Let', 0, 0.5],
+        ['us', 0.5, 0.75],
+        ['plan.', 0.75, 3]
+    ]);
+    assert.strictEqual(transcript.segments[0].confidence, 0.8);
+    assert.strictEqual(transcript.segments[1].text, 'Agreed.');
+});
+
+test('speaker ids are mapped to names, with fallbacks for unknown speakers', () => {
+    const transcript = normalizeSpeech(fixtureSpeech);
+
+    assert.deepStrictEqual(transcript.speakers, [
+        { id: 1, name: 'Alice Chen' },
+        { id: 2, name: 'Unknown Speaker' }
+    ]);
+    assert.deepStrictEqual(transcript.segments.map(segment => [segment.speakerId, segment.speaker]), [
+        [1, 'Alice Chen'],
+        [2, 'Unknown Speaker'],
+        [7, 'Speaker 7'],
+        [null, null]
+    ]);
+});
+
+test('the getSpeech envelope and the bare speech normalize the same way', () => {
+    const fromEnvelope = normalizeSpeech({ status: 200, data: fixtureSpeech });
+    const fromSpeech = normalizeSpeech(fixtureSpeech.speech);
+    assert.deepStrictEqual(fromEnvelope.toJSON(), fromSpeech.toJSON());
+    assert.throws(() => normalizeSpeech(null), TypeError);
+});
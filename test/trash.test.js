@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OtterAI } = require('../otterai');
+const { Logger } = require('../logger');
+const { startFakeOtter } = require('../fake-otter');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+const connect = async (t) => {
+    const fake = await startFakeOtter();
+    t.after(() => fake.close());
+    const otter = new OtterAI({ ...fake.endpoints, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+    return { fake, otter };
+};
+
+const outcomes = (result) => result.data.results.map(item => [item.otid, item.ok ? 'ok' : item.error.code]);
+
+test('bulk actions report a result per speech and carry on past failures', async (t) => {
+    const { fake, otter } = await connect(t);
+
+    const trashed = await otter.trashSpeeches(['fixture_customer_call', 'no_such_speech', 'fixture_customer_call', 'fixture_old_draft']);
+    assert.deepStrictEqual(outcomes(trashed), [
+        ['fixture_customer_call', 'ok'],
+        ['no_such_speech', 'NOT_FOUND'],
+        ['fixture_old_draft', 'NOT_FOUND']
+    ]);
+    const { results, ...summary } = trashed.data;
+    assert.deepStrictEqual(summary, { action: 'trash', dry_run: false, requested: 3, succeeded: 1, failed: 2 });
+    assert.strictEqual(results[1].error.message, 'No speech found with ID: no_such_speech');
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').source, 'trash');
+
+    const restored = await otter.restoreSpeeches(['fixture_customer_call', 'fixture_weekly_sync']);
+    assert.deepStrictEqual(outcomes(restored), [['fixture_customer_call', 'ok'], ['fixture_weekly_sync', 'NOT_FOUND']]);
+    assert.strictEqual(fake.speeches.get('fixture_customer_call').source, 'owned');
+
+    // Upstream failures are reported for the speech they hit; writes are not retried
+    fake.fail('remove_from_trash_bin', 503);
+    const deleted = await otter.deleteSpeechesPermanently(['fixture_old_draft', 'fixture_old_draft']);
+    assert.deepStrictEqual(outcomes(deleted), [['fixture_old_draft', 'UPSTREAM_ERROR']]);
+    assert.deepStrictEqual(outcomes(await otter.deleteSpeechesPermanently(['fixture_old_draft'])), [['fixture_old_draft', 'ok']]);
+    assert.strictEqual(fake.speeches.has('fixture_old_draft'), false);
+});
+
+test('dry runs check every speech without changing any', async (t) => {
+    const { fake, otter } = await connect(t);
+    const before = JSON.stringify([...fake.speeches.values()]);
+    const writes = () => fake.requests.filter(request => request.method === 'POST').length;
+    const writesBefore = writes();
+
+    const trash = await otter.trashSpeeches(['fixture_weekly_sync', 'no_such_speech'], { dryRun: true });
+    assert.deepStrictEqual(outcomes(trash), [['fixture_weekly_sync', 'ok'], ['no_such_speech', 'NOT_FOUND']]);
+    assert.strictEqual(trash.data.dry_run, true);
+
+    const restore = await otter.restoreSpeeches(['fixture_old_draft', 'fixture_weekly_sync'], { dryRun: true });
+    assert.deepStrictEqual(outcomes(restore), [['fixture_old_draft', 'ok'], ['fixture_weekly_sync', 'NOT_FOUND']]);
+    assert.strictEqual(restore.data.results[1].error.message, 'No speech in the trash with ID: fixture_weekly_sync');
+
+    const remove = await otter.deleteSpeechesPermanently(['fixture_old_draft', 'fixture_customer_call'], { dryRun: true });
+    assert.deepStrictEqual(outcomes(remove), [['fixture_old_draft', 'ok'], ['fixture_customer_call', 'NOT_FOUND']]);
+
+    assert.strictEqual(JSON.stringify([...fake.speeches.values()]), before);
+    assert.strictEqual(writes(), writesBefore);
+});
+
+test('bulk actions reject empty lists and stop on a lost session', async (t) => {
+    const { fake, otter } = await connect(t);
+    await assert.rejects(otter.trashSpeeches([]), { name: 'ValidationError' });
+    await assert.rejects(otter.trashSpeeches(['fixture_weekly_sync', '']), { name: 'ValidationError' });
+
+    const restored = OtterAI.fromSession(otter.exportSession(), { ...fake.endpoints, logger: quiet });
+    fake.sessions.clear();
+    await assert.rejects(restored.trashSpeeches(['fixture_weekly_sync', 'fixture_customer_call']), { name: 'AuthenticationError' });
+    assert.strictEqual(fake.speeches.get('fixture_weekly_sync').source, 'owned');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { OtterAI } = require('../otterai');
+const { startFakeOtter } = require('../fake-otter');
+const { Logger } = require('../logger');
+
+const quiet = new Logger({ level: 'error', stream: { write: () => {} } });
+
+test('an S3 403 is returned as is, without re-login or replay', { timeout: 10000 }, async (t) => {
+    const fake = await startFakeOtter();
+    const posts = [];
+    const s3 = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            return res.writeHead(200).end();
+        }
+        req.resume();
+        req.on('end', () => {
+            posts.push(req.url);
+            res.writeHead(403, { 'Content-Type': 'application/xml' })
+                .end('<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Policy expired</Message></Error>');
+        });
+    });
+    await new Promise(resolve => s3.listen(0, '127.0.0.1', resolve));
+    t.after(() => Promise.all([fake.close(), new Promise(resolve => s3.close(resolve))]));
+
+    const otter = new OtterAI({ apiBaseUrl: fake.apiBaseUrl, s3BaseUrl: `http://127.0.0.1:${s3.address().port}/`, logger: quiet });
+    await otter.login(fake.credentials.username, fake.credentials.password);
+    fake.requests.length = 0;
+
+    const result = await otter.uploadSpeech(Buffer.from('audio'), { fileName: 'clip.m4a' });
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(posts.length, 1);
+    assert.strictEqual(fake.requests.filter(request => request.endpoint === 'login').length, 0);
+});
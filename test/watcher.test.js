@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpeechWatcher } = require('../watcher');
+
+// Stand-in client whose listings are queued per poll; `failed` lists the sources that errored
+const clientWith = (listings) => ({
+    getAllSpeechesFromAllSources: async () => {
+        const { owned = [], shared = [], failed = [] } = listings.shift();
+        return { status: 200, data: { speeches_by_source: { owned, shared }, failed_sources: failed } };
+    }
+});
+
+const speech = (otid, fields = {}) => ({ otid, title: otid, modified_time: 1, process_finished: true, ...fields });
+
+test('a source that fails to list is neither dropped nor re-announced', async () => {
+    const client = clientWith([
+        { owned: [speech('a')], shared: [speech('s')] },
+        { owned: [speech('a')], failed: ['shared'] },
+        { owned: [speech('a')], shared: [speech('s')] },
+        { owned: [speech('a')], shared: [speech('s', { modified_time: 2 }), speech('t')] }
+    ]);
+    const watcher = new SpeechWatcher({ getClient: async () => client });
+
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.deepStrictEqual(await watcher.poll(), []);
+    const changes = await watcher.poll();
+    assert.deepStrictEqual(changes.map(change => [change.type, change.speech.otid]), [['speech.updated', 's'], ['speech.created', 't']]);
+});
+
+test('a source that failed on the first poll is baselined when it first lists', async () => {
+    const client = clientWith([
+        { owned: [speech('a')], failed: ['shared'] },
+        { owned: [speech('a')], shared: [speech('s')] },
+        { owned: [speech('a'), speech('b')], shared: [speech('s')] }
+    ]);
+    const watcher = new SpeechWatcher({ getClient: async () => client });
+
+    assert.deepStrictEqual(await watcher.poll(), []);
+    assert.deepStrictEqual(await watcher.poll(), []);
+    const changes = await watcher.poll();
+    assert.deepStrictEqual(changes.map(change => [change.type, change.speech.otid]), [['speech.created', 'b']]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { WebhookDispatcher, WebhookRegistry, isPublicAddress } = require('../webhooks');
+
+const stubWatcher = () => Object.assign(new EventEmitter(), { start() { return this; }, stop() {} });
+
+test('non-public addresses are recognised', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'].forEach(address => {
+        assert.strictEqual(isPublicAddress(address), false, address);
+    });
+    ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach(address => {
+        assert.strictEqual(isPublicAddress(address), true, address);
+    });
+    assert.strictEqual(isPublicAddress('example.com'), false);
+});
+
+test('subscriptions to internal URLs are refused', async () => {
+    const registry = new WebhookRegistry({ dispatcher: new WebhookDispatcher(), createWatcher: stubWatcher });
+
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:8080/', 'http://[::1]/',
+        'http://10.0.0.5/hook', 'http://localhost/hook', 'http://[::ffff:7f00:1]/']) {
+        await assert.rejects(registry.add('sess_1', { url }), { code: 'VALIDATION_ERROR' }, url);
+    }
+    assert.deepStrictEqual(registry.list('sess_1'), []);
+
+    const subscription = await registry.add('sess_1', { url: 'http://93.184.216.34/hook' });
+    assert.strictEqual(subscription.url, 'http://93.184.216.34/hook');
+    registry.removeSession('sess_1');
+});
+
+test('deliveries to internal addresses are dropped without a request', async () => {
+    const posts = [];
+    const dispatcher = new WebhookDispatcher({ retries: 0, httpClient: { post: async (...args) => posts.push(args) } });
+    const subscription = { id: 'whk_1', url: 'http://localhost:9/hook', secret: 'x'.repeat(32) };
+
+    const result = await dispatcher.deliver(subscription, { type: 'speech.created' });
+    assert.strictEqual(result.delivered, false);
+    assert.match(result.error, /must not point to/);
+    assert.strictEqual(posts.length, 0);
+});
+
+test('private networks can be allowed for local receivers', async () => {
+    const registry = new WebhookRegistry({
+        dispatcher: new WebhookDispatcher(),
+        createWatcher: stubWatcher,
+        allowPrivateNetworks: true
+    });
+    const subscription = await registry.add('sess_1', { url: 'http://127.0.0.1:8080/hook' });
+    assert.strictEqual(subscription.url, 'http://127.0.0.1:8080/hook');
+    registry.removeSession('sess_1');
+});
+
+test('a dead letter that cannot be written is logged', async () => {
+    const logged = [];
+    const dispatcher = new WebhookDispatcher({
+        retries: 0,
+        // A path below a regular file can never be created
+        deadLetterPath: `${__filename}/dead-letters.jsonl`,
+        logger: { error: (message, fields) => logged.push({ message, fields }) }
+    });
+    const subscription = { id: 'whk_1', url: 'http://localhost:9/hook', secret: 'x'.repeat(32) };
+
+    await dispatcher.deliver(subscription, { type: 'speech.created' });
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0].message, 'Failed to write webhook dead letter');
+    assert.strictEqual(logged[0].fields.subscription_id, 'whk_1');
+});
+
+test('failed watcher polls are logged, and a lost session removes its subscriptions', async () => {
+    const warnings = [];
+    const watchers = [];
+    const registry = new WebhookRegistry({
+        dispatcher: new WebhookDispatcher({ logger: { warn: (message, fields) => warnings.push({ message, fields }) } }),
+        createWatcher: () => {
+            const watcher = stubWatcher();
+            watchers.push(watcher);
+            return watcher;
+        },
+        allowPrivateNetworks: true
+    });
+    await registry.add('sess_1', { url: 'http://127.0.0.1:8080/hook' });
+
+    const outage = Object.assign(new Error('Otter.ai is down'), { code: 'UPSTREAM_ERROR' });
+    watchers[0].emit('error', outage);
+    assert.deepStrictEqual(warnings.map(warning => [warning.message, warning.fields.error]), [['Webhook watcher poll failed', outage]]);
+    assert.strictEqual(registry.list('sess_1').length, 1);
+
+    watchers[0].emit('error', Object.assign(new Error('Session expired'), { code: 'AUTHENTICATION_FAILED' }));
+    assert.strictEqual(warnings.length, 2);
+    assert.deepStrictEqual(registry.list('sess_1'), []);
+});
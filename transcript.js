@@ -0,0 +1,220 @@
+// Transcript domain model and normalizer for raw Otter.ai speech payloads
+
+// Otter reports transcript and word offsets in 16 kHz sample frames
+const OFFSET_UNITS_PER_SECOND = 16000;
+
+class TranscriptWord {
+    constructor({ text, start, end, confidence = null }) {
+        this.text = text;
+        this.start = start;
+        this.end = end;
+        this.confidence = confidence;
+    }
+}
+
+class TranscriptSegment {
+    constructor({ id, speakerId = null, speaker = null, start, end, text = '', words = [], confidence = null }) {
+        this.id = id;
+        this.speakerId = speakerId;
+        this.speaker = speaker;
+        this.start = start;
+        this.end = end;
+        this.text = text;
+        this.words = words;
+        this.confidence = confidence;
+    }
+
+    get duration() {
+        return Math.max(0, this.end - this.start);
+    }
+}
+
+class Transcript {
+    constructor({
+        speechId,
+        title = 'Untitled',
+        createdAt = null,
+        modifiedTime = null,
+        startTime = null,
+        endTime = null,
+        duration = 0,
+        summary = null,
+        language = null,
+        folderId = null,
+        speakers = [],
+        segments = []
+    }) {
+        this.speechId = speechId;
+        this.title = title;
+        this.createdAt = createdAt;
+        this.modifiedTime = modifiedTime;
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.duration = duration;
+        this.summary = summary;
+        this.language = language;
+        this.folderId = folderId;
+        this.speakers = speakers;
+        this.segments = segments;
+    }
+
+    // Plain text of the whole transcript, one segment per line
+    get text() {
+        return this.segments.map(segment => segment.text).join('\n');
+    }
+
+    get speakerNames() {
+        return this.speakers.map(speaker => speaker.name);
+    }
+
+    toJSON() {
+        return {
+            speechId: this.speechId,
+            title: this.title,
+            createdAt: this.createdAt,
+            modifiedTime: this.modifiedTime,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            duration: this.duration,
+            summary: this.summary,
+            language: this.language,
+            folderId: this.folderId,
+            speakers: this.speakers,
+            segments: this.segments.map(segment => ({
+                id: segment.id,
+                speakerId: segment.speakerId,
+                speaker: segment.speaker,
+                start: segment.start,
+                end: segment.end,
+                text: segment.text,
+                words: segment.words,
+                confidence: segment.confidence
+            }))
+        };
+    }
+}
+
+const _toSeconds = (offset, unitsPerSecond) => {
+    const value = Number(offset);
+    if (!Number.isFinite(value)) {
+        return 0;
+    }
+    return Math.round((value / unitsPerSecond) * 1000) / 1000;
+};
+
+// Otter timestamps are unix seconds; anything else is passed through as a date string
+const _toIsoDate = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const _average = (values) => {
+    const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    if (numbers.length === 0) {
+        return null;
+    }
+    return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 1000) / 1000;
+};
+
+// Accepts the `{status, data}` envelope from OtterAI.getSpeech, the response body or the bare speech
+const _unwrapSpeech = (payload) => {
+    let speech = payload;
+    if (speech && speech.data && typeof speech.status === 'number') {
+        speech = speech.data;
+    }
+    if (speech && speech.speech) {
+        speech = speech.speech;
+    }
+    return speech || null;
+};
+
+const _normalizeWords = (rawSegment, unitsPerSecond) => {
+    const rawWords = rawSegment.words || rawSegment.alignment || [];
+    if (!Array.isArray(rawWords)) {
+        return [];
+    }
+    return rawWords
+        .map(word => {
+            const text = word.word !== undefined ? word.word : word.text;
+            if (text === undefined || text === null) {
+                return null;
+            }
+            const start = word.start_offset !== undefined ? word.start_offset : word.start;
+            const end = word.end_offset !== undefined ? word.end_offset : word.end;
+            const confidence = word.confidence !== undefined ? word.confidence : word.conf;
+            return new TranscriptWord({
+                text: String(text),
+                start: _toSeconds(start, unitsPerSecond),
+                end: _toSeconds(end, unitsPerSecond),
+                confidence: typeof confidence === 'number' ? confidence : null
+            });
+        })
+        .filter(Boolean);
+};
+
+const normalizeSpeech = (payload, options = {}) => {
+    const unitsPerSecond = options.offsetUnitsPerSecond || OFFSET_UNITS_PER_SECOND;
+    const speech = _unwrapSpeech(payload);
+
+    if (!speech || typeof speech !== 'object') {
+        throw new TypeError('Cannot normalize an empty speech payload');
+    }
+
+    const speakers = (speech.speakers || []).map(speaker => ({
+        id: speaker.id !== undefined ? speaker.id : speaker.speaker_id,
+        name: speaker.speaker_name || speaker.name || 'Unknown Speaker'
+    }));
+    const speakerNames = new Map(speakers.map(speaker => [String(speaker.id), speaker.name]));
+
+    const segments = (speech.transcripts || []).map((rawSegment, index) => {
+        const words = _normalizeWords(rawSegment, unitsPerSecond);
+        const speakerId = rawSegment.speaker_id !== undefined ? rawSegment.speaker_id : null;
+        const speaker = speakerId !== null && speakerNames.has(String(speakerId))
+            ? speakerNames.get(String(speakerId))
+            : (rawSegment.speaker_model_label || rawSegment.speaker_name || null);
+        const confidence = typeof rawSegment.confidence === 'number'
+            ? rawSegment.confidence
+            : _average(words.map(word => word.confidence));
+
+        return new TranscriptSegment({
+            id: rawSegment.uuid || rawSegment.id || String(index),
+            speakerId: speakerId,
+            speaker: speaker,
+            start: _toSeconds(rawSegment.start_offset, unitsPerSecond),
+            end: _toSeconds(rawSegment.end_offset, unitsPerSecond),
+            text: (rawSegment.transcript || rawSegment.text || '').trim(),
+            words: words,
+            confidence: confidence
+        });
+    });
+
+    segments.sort((a, b) => a.start - b.start);
+
+    const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+    return new Transcript({
+        speechId: speech.otid || speech.speech_id || speech.id || null,
+        title: speech.title || 'Untitled',
+        createdAt: _toIsoDate(speech.created_at),
+        modifiedTime: _toIsoDate(speech.modified_time),
+        startTime: _toIsoDate(speech.start_time),
+        endTime: _toIsoDate(speech.end_time),
+        duration: typeof speech.duration === 'number' ? speech.duration : lastEnd,
+        summary: speech.summary || null,
+        language: speech.language || null,
+        folderId: speech.folder ? (speech.folder.id || null) : (speech.folder_id || null),
+        speakers: speakers,
+        segments: segments
+    });
+};
+
+module.exports = {
+    Transcript,
+    TranscriptSegment,
+    TranscriptWord,
+    normalizeSpeech,
+    OFFSET_UNITS_PER_SECOND
+};
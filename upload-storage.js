@@ -0,0 +1,132 @@
+// Multer storage engine that streams uploaded files straight to OtterAI.uploadSpeech. Files
+// without a declared size are spooled to a temp file first, since S3 needs a Content-Length.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { ValidationError } = require('./errors');
+
+class OtterUploadStorage {
+    // `handler(req, file)` returns { otter, options } for the upload, e.g. the session client
+    // plus language/folder/progress options; `maxBytes` bounds spooled files in `tempDir`
+    constructor({ handler, maxBytes, tempDir = os.tmpdir() }) {
+        this.handler = handler;
+        this.maxBytes = maxBytes;
+        this.tempDir = tempDir;
+    }
+
+    _handleFile(req, file, cb) {
+        let settled = false;
+        const done = (error, info) => {
+            if (!settled) {
+                settled = true;
+                cb(error, info);
+            }
+        };
+
+        Promise.resolve()
+            .then(async () => {
+                const { otter, options } = await this.handler(req, file);
+                const size = options.size;
+
+                // With a declared size the file is piped through untouched; S3 needs a
+                // Content-Length, so without one the file is spooled to disk (bounded by maxBytes)
+                const controller = new AbortController();
+                let sizeError = null;
+                let source;
+                let spooled = null;
+                if (Number.isInteger(size)) {
+                    source = this._limit(file.stream, size, (error) => {
+                        sizeError = error;
+                        controller.abort();
+                    });
+                } else {
+                    spooled = await this._spool(file.stream);
+                    source = spooled.filePath;
+                }
+
+                try {
+                    const result = await otter.uploadSpeech(source, {
+                        ...options,
+                        fileName: file.originalname,
+                        contentType: file.mimetype,
+                        size: spooled ? spooled.size : size,
+                        signal: controller.signal
+                    });
+                    return { result, size: spooled ? spooled.size : size };
+                } catch (error) {
+                    throw sizeError || error;
+                } finally {
+                    if (spooled) {
+                        await fs.promises.rm(spooled.filePath, { force: true });
+                    }
+                }
+            })
+            .then(({ result, size }) => done(null, { size, otterResult: result }))
+            .catch(error => {
+                file.stream.resume();
+                done(error);
+            });
+    }
+
+    _removeFile(req, file, cb) {
+        // Spooled files are removed as soon as they have been sent
+        cb(null);
+    }
+
+    // Pass the stream through; `onError` fires if it is longer or shorter than declared
+    _limit(stream, size, onError) {
+        const output = new PassThrough();
+        let received = 0;
+        let failed = false;
+        const fail = (error) => {
+            if (!failed) {
+                failed = true;
+                stream.unpipe(output);
+                stream.resume();
+                onError(error);
+            }
+        };
+        stream.on('data', chunk => {
+            received += chunk.length;
+            if (received > size) {
+                fail(new ValidationError(`File is larger than the declared size of ${size} bytes`));
+            }
+        });
+        stream.on('end', () => {
+            if (received !== size) {
+                fail(new ValidationError(`File is ${received} bytes, but size declared ${size}`));
+            }
+        });
+        stream.on('error', fail);
+        stream.pipe(output);
+        return output;
+    }
+
+    // Write the stream to a temp file and resolve to { filePath, size }
+    async _spool(stream) {
+        const filePath = path.join(this.tempDir, `otter-upload-${crypto.randomBytes(12).toString('hex')}`);
+        let received = 0;
+        const limit = new Transform({
+            transform: (chunk, encoding, callback) => {
+                received += chunk.length;
+                if (received > this.maxBytes) {
+                    return callback(new ValidationError(`File exceeds the ${this.maxBytes} byte upload limit`));
+                }
+                callback(null, chunk);
+            }
+        });
+        try {
+            await fs.promises.mkdir(this.tempDir, { recursive: true });
+            await pipeline(stream, limit, fs.createWriteStream(filePath, { mode: 0o600 }));
+        } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+        return { filePath, size: received };
+    }
+}
+
+module.exports = { OtterUploadStorage };
@@ -0,0 +1,117 @@
+// Polls the speech list and emits events for new, updated and finished-processing speeches
+const { EventEmitter } = require('events');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+
+const EVENT_TYPES = ['speech.created', 'speech.updated', 'speech.processed'];
+const SOURCES = ['owned', 'shared'];
+
+const _summary = (speech, source) => ({
+    otid: speech.otid,
+    title: speech.title || 'Untitled',
+    source: source,
+    created_at: speech.created_at || null,
+    modified_time: speech.modified_time !== undefined ? speech.modified_time : null,
+    duration: speech.duration || 0,
+    process_finished: Boolean(speech.process_finished)
+});
+
+// Compare two snapshots (otid -> summary) and list the changes between them
+const diffSnapshots = (previous, current) => {
+    const changes = [];
+    for (const [otid, speech] of current.entries()) {
+        const before = previous.get(otid);
+        if (!before) {
+            changes.push({ type: 'speech.created', speech });
+            continue;
+        }
+        if (!before.process_finished && speech.process_finished) {
+            changes.push({ type: 'speech.processed', speech });
+        } else if (before.modified_time !== speech.modified_time || before.title !== speech.title) {
+            changes.push({ type: 'speech.updated', speech });
+        }
+    }
+    return changes;
+};
+
+class SpeechWatcher extends EventEmitter {
+    // `getClient` returns a logged-in OtterAI instance (called on every poll so sessions can be rebuilt)
+    constructor({ getClient, interval = DEFAULT_INTERVAL, folder = 0 }) {
+        super();
+        this.getClient = getClient;
+        this.interval = interval;
+        this.folder = folder;
+        this.snapshot = new Map();
+        this.baselined = new Set(); // sources listed at least once; the first listing emits nothing
+        this.timer = null;
+        this.polling = false;
+    }
+
+    async poll() {
+        if (this.polling) {
+            return [];
+        }
+        this.polling = true;
+        try {
+            const otter = await this.getClient();
+            const result = await otter.getAllSpeechesFromAllSources(this.folder);
+            const bySource = result.data.speeches_by_source;
+            const failed = result.data.failed_sources || [];
+
+            const current = new Map();
+            SOURCES.forEach(source => {
+                // Keep what we knew about a source that failed to list, so its speeches aren't
+                // dropped now and announced as new once it lists again
+                if (failed.includes(source)) {
+                    this.snapshot.forEach((speech, otid) => {
+                        if (speech.source === source) {
+                            current.set(otid, speech);
+                        }
+                    });
+                    return;
+                }
+                (bySource[source] || []).forEach(speech => {
+                    if (speech.otid) {
+                        current.set(speech.otid, _summary(speech, source));
+                    }
+                });
+            });
+
+            const changes = diffSnapshots(this.snapshot, current).filter(change => this.baselined.has(change.speech.source));
+            this.snapshot = current;
+            SOURCES.filter(source => !failed.includes(source)).forEach(source => this.baselined.add(source));
+
+            changes.forEach(change => {
+                this.emit('change', change);
+                this.emit(change.type, change.speech);
+            });
+            return changes;
+        } catch (error) {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+            return [];
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    start() {
+        if (!this.timer) {
+            this.poll();
+            this.timer = setInterval(() => this.poll(), this.interval);
+            this.timer.unref();
+        }
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        return this;
+    }
+}
+
+module.exports = { SpeechWatcher, diffSnapshots, EVENT_TYPES, DEFAULT_INTERVAL };
@@ -0,0 +1,336 @@
+// Signed webhook delivery and per-session webhook subscriptions
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { parseRetryAfter } = require('./request-pipeline');
+const { EVENT_TYPES } = require('./watcher');
+const { NotFoundError, ValidationError } = require('./errors');
+const { logger: defaultLogger } = require('./logger');
+
+const SIGNATURE_HEADER = 'X-Otter-Signature';
+
+// Receivers must be on the public internet: unspecified, loopback, private, shared, link-local
+// (cloud metadata), benchmarking, multicast and unique-local ranges are refused
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_MESSAGE = 'url must not point to a loopback, link-local, private or unique-local address';
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Throws a ValidationError unless every address the URL's host resolves to is public
+const assertPublicUrl = async (url, lookup = dns.promises.lookup) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [{ address: host }];
+    } else {
+        try {
+            addresses = await lookup(host, { all: true });
+        } catch (error) {
+            throw new ValidationError(`url host ${host} could not be resolved`);
+        }
+    }
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+        throw new ValidationError(BLOCKED_ADDRESS_MESSAGE);
+    }
+};
+
+// dns.lookup for the delivery sockets: a host re-pointed at an internal address after it was
+// checked still cannot be connected to
+const _publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+            return callback(new ValidationError(BLOCKED_ADDRESS_MESSAGE));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed deliveries
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// For receivers: check a `t=<timestamp>,v1=<hex>` header against the raw body
+const verifySignature = (secret, header, body, toleranceSeconds = 300, now = Date.now()) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!parts.v1 || !Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+class WebhookDispatcher {
+    constructor({
+        retries = 5,
+        minDelay = 1000,
+        maxDelay = 60000,
+        timeout = 10000,
+        deadLetterPath = null,
+        httpClient = axios,
+        allowPrivateNetworks = false,
+        logger = defaultLogger
+    } = {}) {
+        this.retries = retries;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.timeout = timeout;
+        this.deadLetterPath = deadLetterPath;
+        this.httpClient = httpClient;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+        this.logger = logger;
+        this.agents = allowPrivateNetworks ? {} : {
+            httpAgent: new http.Agent({ lookup: _publicLookup }),
+            httpsAgent: new https.Agent({ lookup: _publicLookup })
+        };
+    }
+
+    _backoff(attempt) {
+        const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // Client errors other than 408/429 mean the receiver rejected the event; don't retry them
+    _isRetryable(status) {
+        return status === null || status >= 500 || status === 408 || status === 429;
+    }
+
+    async deliver(subscription, event) {
+        const body = JSON.stringify(event);
+        const deliveryId = `dlv_${crypto.randomBytes(12).toString('hex')}`;
+        let lastStatus = null;
+        let lastError = null;
+
+        // Checked again on every delivery: DNS may have changed since the subscription was made
+        if (!this.allowPrivateNetworks) {
+            try {
+                await assertPublicUrl(subscription.url);
+            } catch (error) {
+                const failure = { delivered: false, deliveryId, status: null, error: error.message };
+                await this._deadLetter(subscription, event, failure);
+                return failure;
+            }
+        }
+
+        for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000);
+            let retryAfter = null;
+
+            try {
+                const response = await this.httpClient.post(subscription.url, body, {
+                    ...this.agents,
+                    timeout: this.timeout,
+                    validateStatus: () => true,
+                    maxRedirects: 0,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'otterai-js-webhooks/1.0',
+                        'X-Otter-Event': event.type,
+                        'X-Otter-Delivery': deliveryId,
+                        [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+                    }
+                });
+                lastStatus = response.status;
+                lastError = null;
+                if (response.status >= 200 && response.status < 300) {
+                    return { delivered: true, deliveryId, attempts: attempt, status: response.status };
+                }
+                retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+            } catch (error) {
+                lastStatus = null;
+                lastError = error;
+            }
+
+            const blocked = lastError && lastError.cause instanceof ValidationError;
+            if (blocked || !this._isRetryable(lastStatus) || attempt > this.retries) {
+                break;
+            }
+            const delay = retryAfter !== null ? Math.min(retryAfter, this.maxDelay) : this._backoff(attempt);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const failure = {
+            delivered: false,
+            deliveryId,
+            status: lastStatus,
+            error: lastError ? lastError.message : `Receiver responded with status ${lastStatus}`
+        };
+        await this._deadLetter(subscription, event, failure);
+        return failure;
+    }
+
+    // Undeliverable events are appended to a JSON-lines file so they can be inspected and replayed
+    async _deadLetter(subscription, event, failure) {
+        if (!this.deadLetterPath) {
+            return;
+        }
+        const entry = {
+            failed_at: new Date().toISOString(),
+            subscription_id: subscription.id,
+            url: subscription.url,
+            delivery_id: failure.deliveryId,
+            status: failure.status,
+            error: failure.error,
+            event
+        };
+        try {
+            await fs.promises.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+            await fs.promises.appendFile(this.deadLetterPath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            this.logger.error('Failed to write webhook dead letter', {
+                subscription_id: subscription.id,
+                delivery_id: failure.deliveryId,
+                error
+            });
+        }
+    }
+}
+
+// Subscriptions per session, with one speech watcher per session that has subscriptions
+class WebhookRegistry {
+    constructor({ dispatcher, createWatcher, requireHttps = false, allowPrivateNetworks = false }) {
+        this.dispatcher = dispatcher;
+        this.createWatcher = createWatcher;
+        this.requireHttps = requireHttps;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+        this.subscriptions = new Map(); // sessionId -> Map(id -> subscription)
+        this.watchers = new Map();      // sessionId -> SpeechWatcher
+    }
+
+    async _validate({ url, events }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new ValidationError('url must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol) || (this.requireHttps && parsed.protocol !== 'https:')) {
+            throw new ValidationError(this.requireHttps ? 'url must use https' : 'url must be an absolute http(s) URL');
+        }
+        if (events !== undefined) {
+            if (!Array.isArray(events) || events.length === 0 || events.some(type => !EVENT_TYPES.includes(type))) {
+                throw new ValidationError(`events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`);
+            }
+        }
+        if (!this.allowPrivateNetworks) {
+            await assertPublicUrl(url);
+        }
+    }
+
+    list(sessionId) {
+        return Array.from((this.subscriptions.get(sessionId) || new Map()).values());
+    }
+
+    get(sessionId, id) {
+        const subscription = (this.subscriptions.get(sessionId) || new Map()).get(id);
+        if (!subscription) {
+            throw new NotFoundError(`No webhook found with ID: ${id}`);
+        }
+        return subscription;
+    }
+
+    async add(sessionId, { url, events, secret }) {
+        await this._validate({ url, events });
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new ValidationError('secret must be a string of at least 16 characters');
+        }
+
+        const subscription = {
+            id: `whk_${crypto.randomBytes(12).toString('hex')}`,
+            url,
+            events: events || [...EVENT_TYPES],
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+
+        if (!this.subscriptions.has(sessionId)) {
+            this.subscriptions.set(sessionId, new Map());
+        }
+        this.subscriptions.get(sessionId).set(subscription.id, subscription);
+        this._ensureWatcher(sessionId);
+        return subscription;
+    }
+
+    remove(sessionId, id) {
+        this.get(sessionId, id);
+        const subscriptions = this.subscriptions.get(sessionId);
+        subscriptions.delete(id);
+        if (subscriptions.size === 0) {
+            this.removeSession(sessionId);
+        }
+    }
+
+    // Drop every subscription of a session (logout or expiry)
+    removeSession(sessionId) {
+        this.subscriptions.delete(sessionId);
+        const watcher = this.watchers.get(sessionId);
+        if (watcher) {
+            watcher.stop();
+            this.watchers.delete(sessionId);
+        }
+    }
+
+    _ensureWatcher(sessionId) {
+        if (this.watchers.has(sessionId)) {
+            return;
+        }
+        const watcher = this.createWatcher(sessionId);
+        watcher.on('change', change => this.publish(sessionId, change));
+        watcher.on('error', error => {
+            if (error && error.code === 'AUTHENTICATION_FAILED') {
+                this.dispatcher.logger.warn('Webhook watcher lost its Otter.ai session; removing its subscriptions', { error });
+                this.removeSession(sessionId);
+                return;
+            }
+            this.dispatcher.logger.warn('Webhook watcher poll failed', { error });
+        });
+        this.watchers.set(sessionId, watcher.start());
+    }
+
+    publish(sessionId, change) {
+        const event = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type: change.type,
+            created_at: new Date().toISOString(),
+            data: change.speech
+        };
+        const deliveries = this.list(sessionId)
+            .filter(subscription => subscription.events.includes(change.type))
+            .map(subscription => this.dispatcher.deliver(subscription, event));
+        return Promise.all(deliveries);
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    WebhookRegistry,
+    signPayload,
+    verifySignature,
+    isPublicAddress,
+    assertPublicUrl,
+    SIGNATURE_HEADER
+};